@@ -2,21 +2,22 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const User = require('./models/User');
-
-const SUPPORTED_STOCKS = ['AAPL', 'GOOG', 'TSLA', 'AMZN', 'META', 'NVDA', 'MSFT'];
+const { loadInstruments, isSupported } = require('./services/instrumentCatalog');
 
 const cleanupSubscriptions = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('MongoDB connected for cleanup...');
 
+    await loadInstruments();
+
     const users = await User.find({});
     console.log(`Found ${users.length} users`);
 
     for (const user of users) {
       const oldSubscriptions = user.subscribedStocks;
       const validSubscriptions = oldSubscriptions.filter(ticker => 
-        SUPPORTED_STOCKS.includes(ticker)
+        isSupported(ticker)
       );
 
       if (oldSubscriptions.length !== validSubscriptions.length) {
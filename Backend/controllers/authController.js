@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { isSupportedCurrency, getCurrencies } = require('../services/fxRates');
+const { revokeUserSessions, notifyCurrencyChange } = require('../sockets/stockSocket');
 
 // JWT Secret - ensure it exists
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -178,6 +180,8 @@ exports.login = async (req, res) => {
           name: user.name,
           email: user.email,
           subscribedStocks: user.subscribedStocks,
+          role: user.role,
+          preferredCurrency: user.preferredCurrency,
           lastLogin: user.lastLogin
         }
       }
@@ -259,6 +263,8 @@ exports.emailLogin = async (req, res) => {
           name: user.name,
           email: user.email,
           subscribedStocks: user.subscribedStocks,
+          role: user.role,
+          preferredCurrency: user.preferredCurrency,
           lastLogin: user.lastLogin
         }
       }
@@ -396,6 +402,8 @@ exports.getMe = async (req, res) => {
         name: user.name,
         email: user.email,
         subscribedStocks: user.subscribedStocks,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       }
@@ -450,6 +458,9 @@ exports.changePassword = async (req, res) => {
       $unset: { refreshToken: 1, refreshTokenExpiry: 1 }
     });
 
+    // Live sockets authenticated with the old password are signed out too
+    revokeUserSessions(req.user.id, 'PASSWORD_CHANGED', 'Password changed. Please login again.');
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully. Please login again.'
@@ -482,3 +493,41 @@ exports.verifyToken = async (req, res) => {
     });
   }
 };
+
+// @desc    Update display preferences (currently the preferred currency)
+// @route   PUT /api/auth/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferredCurrency = String(req.body.preferredCurrency || '').trim().toUpperCase();
+
+    if (!isSupportedCurrency(preferredCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency. Supported: ${getCurrencies().join(', ')}`,
+        code: 'INVALID_CURRENCY'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { preferredCurrency },
+      { new: true, runValidators: true }
+    );
+    notifyCurrencyChange(req.user.id, user.preferredCurrency);
+
+    res.status(200).json({
+      success: true,
+      message: `Prices will be shown in ${preferredCurrency}`,
+      data: {
+        preferredCurrency: user.preferredCurrency
+      }
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,19 @@
+const { getRates } = require('../services/fxRates');
+
+// @desc    Get current FX rates (units of each currency per 1 USD)
+// @route   GET /api/fx
+// @access  Public
+exports.getFxRates = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getRates()
+    });
+  } catch (error) {
+    console.error('FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,126 @@
+const catalog = require('../services/instrumentCatalog');
+const { getDisplayCurrency, withDisplay } = require('../services/displayCurrency');
+
+// Map catalog and validation errors to a response
+const sendError = (res, error, context) => {
+  if (error.status && error.code) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((err) => err.message).join(', '),
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  // Two admins listing the same ticker at once
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Instrument is already listed',
+      code: 'INSTRUMENT_EXISTS'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    Get all listed instruments, with the base price in the user's currency
+// @route   GET /api/instruments
+// @access  Private
+exports.getInstruments = async (req, res) => {
+  try {
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
+
+    res.status(200).json({
+      success: true,
+      data: catalog.getInstruments().map((instrument) => withDisplay(instrument, 'instrument', currency))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get instruments');
+  }
+};
+
+// @desc    Get a single instrument
+// @route   GET /api/instruments/:ticker
+// @access  Private
+exports.getInstrument = async (req, res) => {
+  try {
+    const instrument = catalog.getInstrument(req.params.ticker);
+    if (!instrument) {
+      return res.status(404).json({
+        success: false,
+        message: `${String(req.params.ticker).toUpperCase()} is not listed`,
+        code: 'INSTRUMENT_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withDisplay(instrument, 'instrument', getDisplayCurrency(req.user.preferredCurrency))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get instrument');
+  }
+};
+
+// @desc    List a new instrument
+// @route   POST /api/instruments
+// @access  Private (admin)
+exports.createInstrument = async (req, res) => {
+  try {
+    const instrument = await catalog.createInstrument(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: `${instrument.ticker} listed`,
+      data: instrument
+    });
+  } catch (error) {
+    sendError(res, error, 'Create instrument');
+  }
+};
+
+// @desc    Update an instrument's details
+// @route   PUT /api/instruments/:ticker
+// @access  Private (admin)
+exports.updateInstrument = async (req, res) => {
+  try {
+    const instrument = await catalog.updateInstrument(req.params.ticker, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      message: `${instrument.ticker} updated`,
+      data: instrument
+    });
+  } catch (error) {
+    sendError(res, error, 'Update instrument');
+  }
+};
+
+// @desc    Delist an instrument (also removes it from every user's subscriptions)
+// @route   DELETE /api/instruments/:ticker
+// @access  Private (admin)
+exports.deleteInstrument = async (req, res) => {
+  try {
+    const instrument = await catalog.deleteInstrument(req.params.ticker);
+
+    res.status(200).json({
+      success: true,
+      message: `${instrument.ticker} delisted`,
+      data: instrument
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete instrument');
+  }
+};
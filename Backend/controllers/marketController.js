@@ -0,0 +1,74 @@
+const { getMarketStatus } = require('../services/marketCalendar');
+const circuitBreaker = require('../services/circuitBreaker');
+const marketIndex = require('../services/marketIndex');
+const market = require('../services/marketState');
+
+// @desc    Get current market session status
+// @route   GET /api/market/status
+// @access  Public
+exports.getStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getMarketStatus()
+    });
+  } catch (error) {
+    console.error('Market status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the composite index - level, change from the session open and constituent weights
+// @route   GET /api/market/index
+// @access  Public
+exports.getIndex = async (req, res) => {
+  try {
+    const { INDEX_TICKER, INDEX_NAME } = marketIndex;
+    const { price, change, history } = market.getStockData([INDEX_TICKER])[INDEX_TICKER];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ticker: INDEX_TICKER,
+        name: INDEX_NAME,
+        weighting: marketIndex.getAppliedWeighting(),
+        level: price,
+        change,
+        history,
+        constituents: marketIndex.getConstituents()
+      }
+    });
+  } catch (error) {
+    console.error('Market index error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get current trading halts and the halt audit log (newest first)
+// @route   GET /api/market/halts?ticker=AAPL&limit=50
+// @access  Public
+exports.getHalts = async (req, res) => {
+  try {
+    const ticker = req.query.ticker ? String(req.query.ticker).trim().toUpperCase() : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: circuitBreaker.getHalts().filter((halt) => !ticker || halt.ticker === ticker),
+        log: await circuitBreaker.getHaltLog({ ticker, limit: req.query.limit })
+      }
+    });
+  } catch (error) {
+    console.error('Halt log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,187 @@
+const orderService = require('../services/orderService');
+const { getDisplayCurrency, withDisplay } = require('../services/displayCurrency');
+const { notifyOrderUpdate, notifyWalletUpdate, syncOrder } = require('../sockets/stockSocket');
+
+// Map order errors to a response
+const sendError = (res, error, context) => {
+  if (error.status && error.code) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Prices of a resting order, e.g. "stop 180, limit 179.5"
+const describePrices = (order) => [
+  order.stopPrice !== null && `stop ${order.stopPrice}`,
+  order.limitPrice !== null && `limit ${order.limitPrice}`
+].filter(Boolean).join(', ');
+
+// Confirmation for a placed order
+const describeOrder = (order) => {
+  if (order.status === 'filled') {
+    return `${order.side === 'buy' ? 'Bought' : 'Sold'} ${order.quantity} ${order.ticker} at ${order.fillPrice}`;
+  }
+  return `Placed ${order.type.replace('_', '-')} ${order.side} for ${order.quantity} ${order.ticker} (${describePrices(order)})`;
+};
+
+// Orders with display amounts in the requesting user's currency
+const toDisplayOrders = (req, orders) => {
+  const currency = getDisplayCurrency(req.user.preferredCurrency);
+  return orders.map((order) => withDisplay(order, 'order', currency));
+};
+
+// Hand new or changed orders to the matching engine and tell every open tab of the user
+const publishOrders = (userId, orders, position) => {
+  orders.forEach((order, index) => {
+    syncOrder(userId, order);
+    // The position changed with the first order only
+    notifyOrderUpdate(userId, index === 0 ? { ...order, position } : order);
+  });
+};
+
+// @desc    Place an order (paper trading) - market orders fill at the live price,
+//          limit/stop/stop-limit orders rest until the matching engine fills them.
+//          `bracket: { takeProfit, stopLoss, timeInForce? }` attaches exits to a buy.
+// @route   POST /api/orders
+// @access  Private
+exports.placeOrder = async (req, res) => {
+  try {
+    const {
+      order, position, wallet, children
+    } = await orderService.placeOrder(req.user.id, req.body);
+
+    publishOrders(req.user.id, [order, ...children], position);
+    if (wallet) notifyWalletUpdate(req.user.id, wallet);
+
+    const [takeProfit, stopLoss] = children;
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
+    res.status(201).json({
+      success: true,
+      message: takeProfit
+        ? `${describeOrder(order)} with take-profit ${takeProfit.limitPrice} and stop-loss ${stopLoss.stopPrice}`
+        : describeOrder(order),
+      data: {
+        order: withDisplay(order, 'order', currency),
+        position: withDisplay(position, 'position', currency),
+        wallet: withDisplay(wallet, 'wallet', currency),
+        children: toDisplayOrders(req, children)
+      }
+    });
+  } catch (error) {
+    // A market order that could not settle was recorded as rejected
+    if (error.order) publishOrders(req.user.id, [error.order, ...error.linked], null);
+    sendError(res, error, 'Place order');
+  }
+};
+
+// @desc    Place an OCO pair - two resting orders where the first to fill cancels the other
+// @route   POST /api/orders/oco
+// @access  Private
+exports.placeOcoOrder = async (req, res) => {
+  try {
+    const { orders } = await orderService.placeOcoOrder(req.user.id, req.body);
+
+    publishOrders(req.user.id, orders, null);
+
+    res.status(201).json({
+      success: true,
+      message: `Placed OCO ${orders[0].side} for ${orders[0].quantity} ${orders[0].ticker} (${orders.map(describePrices).join(' or ')})`,
+      data: { orders: toDisplayOrders(req, orders) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Place OCO order');
+  }
+};
+
+// @desc    Cancel a pending, open or partially filled order - shares already filled stay
+//          filled. Cancelling an OCO leg cancels its group.
+// @route   DELETE /api/orders/:id
+// @access  Private
+exports.cancelOrder = async (req, res) => {
+  try {
+    const { order, linked } = await orderService.cancelOrder(req.user.id, req.params.id);
+    const linkedOrders = linked.map(({ userId, ...rest }) => rest);
+
+    publishOrders(req.user.id, [order, ...linkedOrders], null);
+
+    res.status(200).json({
+      success: true,
+      message: order.filledQuantity > 0
+        ? `Cancelled the ${order.ticker} order after ${order.filledQuantity} of ${order.quantity} filled`
+        : `Cancelled the ${order.ticker} order`,
+      data: {
+        order: toDisplayOrders(req, [order])[0],
+        linked: toDisplayOrders(req, linkedOrders)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancel order');
+  }
+};
+
+// @desc    Change the quantity, limit price or stop price of a pending, open or partially filled order
+// @route   PATCH /api/orders/:id
+// @access  Private
+exports.modifyOrder = async (req, res) => {
+  try {
+    const { order } = await orderService.modifyOrder(req.user.id, req.params.id, req.body);
+
+    publishOrders(req.user.id, [order], null);
+
+    res.status(200).json({
+      success: true,
+      message: `Modified the ${order.ticker} ${order.type.replace('_', '-')} ${order.side} to ${order.quantity} shares (${describePrices(order)})`,
+      data: { order: toDisplayOrders(req, [order])[0] }
+    });
+  } catch (error) {
+    sendError(res, error, 'Modify order');
+  }
+};
+
+// @desc    Get the user's orders, newest first
+// @route   GET /api/orders?ticker=&status=&limit=
+// @access  Private
+exports.getOrders = async (req, res) => {
+  try {
+    const orders = await orderService.getOrders(req.user.id, {
+      ticker: req.query.ticker,
+      status: req.query.status,
+      limit: req.query.limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: toDisplayOrders(req, orders)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get orders');
+  }
+};
+
+// @desc    Get the user's positions marked to the live price
+// @route   GET /api/positions?closed=true
+// @access  Private
+exports.getPositions = async (req, res) => {
+  try {
+    const positions = await orderService.getPositions(req.user.id, {
+      includeClosed: req.query.closed === 'true'
+    });
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
+
+    res.status(200).json({
+      success: true,
+      data: positions.map((position) => withDisplay(position, 'position', currency))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get positions');
+  }
+};
@@ -1,7 +1,14 @@
 const User = require('../models/User');
-
-// Supported stocks list (per requirements)
-const SUPPORTED_STOCKS = ['AAPL', 'GOOG', 'TSLA', 'AMZN', 'META', 'NVDA', 'MSFT'];
+const subscriptionService = require('../services/subscriptionService');
+const { notifySubscriptionChange } = require('../sockets/stockSocket');
+const { INTERVALS } = require('../services/candleAggregator');
+const { loadCandles, closedCandles } = require('../services/candleHistory');
+const indicators = require('../services/indicators');
+const { DEPTH_LEVELS, getBook } = require('../services/orderBook');
+const { TAPE_SIZE, getTrades } = require('../services/tradeTape');
+const catalog = require('../services/instrumentCatalog');
+const { INDEX_TICKER } = require('../services/marketIndex');
+const { getDisplayCurrency, withDisplay } = require('../services/displayCurrency');
 
 // @desc    Get all supported stocks
 // @route   GET /api/stocks
@@ -10,7 +17,7 @@ exports.getSupportedStocks = async (req, res) => {
   try {
     res.status(200).json({
       success: true,
-      data: SUPPORTED_STOCKS
+      data: catalog.getTickers()
     });
   } catch (error) {
     res.status(500).json({
@@ -44,38 +51,115 @@ exports.getSubscribedStocks = async (req, res) => {
 // @access  Private
 exports.subscribeStock = async (req, res) => {
   try {
-    const { ticker } = req.body;
-    const normalizedTicker = String(ticker || '').trim().toUpperCase();
+    const { ticker, subscribedStocks } = await subscriptionService.subscribe(req.user.id, req.body.ticker);
 
-    // Validate ticker
-    if (!normalizedTicker || !SUPPORTED_STOCKS.includes(normalizedTicker)) {
-      return res.status(400).json({
+    // Keep every open tab (socket) of this user in sync
+    notifySubscriptionChange(req.user.id, subscribedStocks);
+
+    res.status(200).json({
+      success: true,
+      message: `Successfully subscribed to ${ticker}`,
+      data: subscribedStocks
+    });
+  } catch (error) {
+    if (error.code) {
+      return res.status(error.status).json({
         success: false,
-        message: `Invalid stock ticker. Supported: ${SUPPORTED_STOCKS.join(', ')}`
+        message: error.message,
+        code: error.code
       });
     }
+    console.error('Subscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
 
-    const user = await User.findById(req.user.id);
+// @desc    Unsubscribe from a stock
+// @route   POST /api/stocks/unsubscribe
+// @access  Private
+exports.unsubscribeStock = async (req, res) => {
+  try {
+    const { ticker, subscribedStocks } = await subscriptionService.unsubscribe(req.user.id, req.body.ticker);
+
+    // Keep every open tab (socket) of this user in sync
+    notifySubscriptionChange(req.user.id, subscribedStocks);
+
+    res.status(200).json({
+      success: true,
+      message: `Successfully unsubscribed from ${ticker}`,
+      data: subscribedStocks
+    });
+  } catch (error) {
+    if (error.code) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Parse a query time (ISO string or epoch milliseconds) into epoch ms
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : NaN;
+};
+
+// @desc    Get OHLCV candles for a stock (with display prices in the user's currency)
+//          or the composite index
+// @route   GET /api/stocks/:ticker/candles?interval=&from=&to=
+// @access  Private
+exports.getStockCandles = async (req, res) => {
+  try {
+    const ticker = String(req.params.ticker || '').trim().toUpperCase();
+    const interval = req.query.interval || '1m';
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
 
-    // Check if already subscribed
-    if (user.subscribedStocks.includes(normalizedTicker)) {
+    if (!catalog.isSupported(ticker) && ticker !== INDEX_TICKER) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown stock ticker. Supported: ${catalog.getTickers().join(', ')}`
+      });
+    }
+
+    if (!INTERVALS[interval]) {
       return res.status(400).json({
         success: false,
-        message: `Already subscribed to ${normalizedTicker}`
+        message: `Invalid interval. Supported: ${Object.keys(INTERVALS).join(', ')}`
       });
     }
 
-    // Add stock to subscriptions
-    user.subscribedStocks.push(normalizedTicker);
-    await user.save();
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO dates or epoch milliseconds'
+      });
+    }
+
+    const candles = await loadCandles(ticker, interval, { from, to });
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
 
     res.status(200).json({
       success: true,
-      message: `Successfully subscribed to ${normalizedTicker}`,
-      data: user.subscribedStocks
+      data: {
+        ticker,
+        interval,
+        candles: ticker === INDEX_TICKER ? candles : candles.map((candle) => withDisplay(candle, 'candle', currency))
+      }
     });
   } catch (error) {
-    console.error('Subscribe error:', error);
+    console.error('Get candles error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -83,43 +167,138 @@ exports.subscribeStock = async (req, res) => {
   }
 };
 
-// @desc    Unsubscribe from a stock
-// @route   POST /api/stocks/unsubscribe
+// Most indicator points returned per request
+const MAX_INDICATOR_POINTS = 5000;
+
+// @desc    Get a technical indicator computed from a stock's (or the index's) closed candles
+// @route   GET /api/stocks/:ticker/indicators?type=&params=&interval=&from=&to=
 // @access  Private
-exports.unsubscribeStock = async (req, res) => {
+exports.getStockIndicators = async (req, res) => {
   try {
-    const { ticker } = req.body;
-    const normalizedTicker = String(ticker || '').trim().toUpperCase();
+    const ticker = String(req.params.ticker || '').trim().toUpperCase();
+    const interval = req.query.interval || '1m';
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
 
-    // Validate ticker
-    if (!normalizedTicker || !SUPPORTED_STOCKS.includes(normalizedTicker)) {
+    if (!catalog.isSupported(ticker) && ticker !== INDEX_TICKER) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown stock ticker. Supported: ${catalog.getTickers().join(', ')}`
+      });
+    }
+
+    if (!INTERVALS[interval]) {
       return res.status(400).json({
         success: false,
-        message: `Invalid stock ticker. Supported: ${SUPPORTED_STOCKS.join(', ')}`
+        message: `Invalid interval. Supported: ${Object.keys(INTERVALS).join(', ')}`
       });
     }
 
-    const user = await User.findById(req.user.id);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO dates or epoch milliseconds'
+      });
+    }
 
-    // Check if subscribed
-    if (!user.subscribedStocks.includes(normalizedTicker)) {
+    const type = indicators.normalizeType(req.query.type);
+    const params = indicators.parseIndicatorParams(type, req.query.params);
+
+    // Load enough bars before `from` for the indicator to settle by the first point
+    const warmupFrom = from === undefined
+      ? undefined
+      : from - indicators.getWarmupBars(type, params, interval) * INTERVALS[interval];
+    const candles = closedCandles(await loadCandles(ticker, interval, { from: warmupFrom, to }), interval);
+    const points = indicators.computeIndicator(type, candles, params)
+      .filter((point) => from === undefined || point.time >= from)
+      .slice(-MAX_INDICATOR_POINTS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ticker,
+        interval,
+        type,
+        params,
+        points
+      }
+    });
+  } catch (error) {
+    if (error.code) {
       return res.status(400).json({
         success: false,
-        message: `Not subscribed to ${normalizedTicker}`
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Get indicators error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the order book (market depth) for a stock
+// @route   GET /api/stocks/:ticker/depth?levels=
+// @access  Private
+exports.getStockDepth = async (req, res) => {
+  try {
+    const ticker = String(req.params.ticker || '').trim().toUpperCase();
+    const levels = Math.min(Math.max(parseInt(req.query.levels, 10) || DEPTH_LEVELS, 1), DEPTH_LEVELS);
+
+    if (!catalog.isSupported(ticker)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown stock ticker. Supported: ${catalog.getTickers().join(', ')}`
       });
     }
 
-    // Remove stock from subscriptions
-    user.subscribedStocks = user.subscribedStocks.filter(s => s !== normalizedTicker);
-    await user.save();
+    res.status(200).json({
+      success: true,
+      data: getBook(ticker, levels)
+    });
+  } catch (error) {
+    console.error('Get depth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get recent trades (time and sales) for a stock, newest first
+// @route   GET /api/stocks/:ticker/trades?limit=&since=
+// @access  Private
+exports.getStockTrades = async (req, res) => {
+  try {
+    const ticker = String(req.params.ticker || '').trim().toUpperCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), TAPE_SIZE);
+    const since = parseTime(req.query.since);
+
+    if (!catalog.isSupported(ticker)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown stock ticker. Supported: ${catalog.getTickers().join(', ')}`
+      });
+    }
+
+    if (Number.isNaN(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be an ISO date or epoch milliseconds'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: `Successfully unsubscribed from ${normalizedTicker}`,
-      data: user.subscribedStocks
+      data: {
+        ticker,
+        trades: getTrades(ticker, { limit, since })
+      }
     });
   } catch (error) {
-    console.error('Unsubscribe error:', error);
+    console.error('Get trades error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -0,0 +1,25 @@
+const { openPriceStream } = require('../services/priceEventStream');
+const { getDisplayCurrency } = require('../services/displayCurrency');
+
+// @desc    Stream price updates for the user's subscriptions as Server-Sent Events
+//          (fallback for clients that cannot use WebSockets)
+// @route   GET /api/stream/prices?token=
+// @access  Private
+exports.streamPrices = (req, res) => {
+  try {
+    openPriceStream(res, {
+      userId: req.user.id,
+      subscribed: req.user.subscribedStocks,
+      currency: getDisplayCurrency(req.user.preferredCurrency),
+      expiresAt: req.tokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Price stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+};
@@ -0,0 +1,88 @@
+const walletService = require('../services/walletService');
+const { getDisplayCurrency, withDisplay } = require('../services/displayCurrency');
+const { notifyWalletUpdate } = require('../sockets/stockSocket');
+
+// Map wallet errors to a response
+const sendError = (res, error, context) => {
+  if (error.status && error.code) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    Get the user's cash balance (the wallet opens with the starting balance on first use)
+// @route   GET /api/wallet
+// @access  Private
+exports.getWallet = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: withDisplay(await walletService.getWallet(req.user.id), 'wallet', getDisplayCurrency(req.user.preferredCurrency))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get wallet');
+  }
+};
+
+// @desc    Get a page of the user's ledger, newest first
+// @route   GET /api/wallet/transactions?page=&limit=&type=
+// @access  Private
+exports.getTransactions = async (req, res) => {
+  try {
+    const { transactions, pagination } = await walletService.getTransactions(req.user.id, {
+      page: req.query.page,
+      limit: req.query.limit,
+      type: req.query.type
+    });
+
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
+
+    res.status(200).json({
+      success: true,
+      data: transactions.map((transaction) => withDisplay(transaction, 'transaction', currency)),
+      pagination
+    });
+  } catch (error) {
+    sendError(res, error, 'Get transactions');
+  }
+};
+
+// Run a simulated transfer and tell every open tab of the user
+const transfer = (action, verb) => async (req, res) => {
+  try {
+    const { transaction, wallet } = await walletService[action](req.user.id, req.body?.amount);
+
+    notifyWalletUpdate(req.user.id, wallet);
+
+    const currency = getDisplayCurrency(req.user.preferredCurrency);
+    res.status(201).json({
+      success: true,
+      message: `${verb} ${Math.abs(transaction.amount)} - balance ${wallet.balance}`,
+      data: {
+        transaction: withDisplay(transaction, 'transaction', currency),
+        wallet: withDisplay(wallet, 'wallet', currency)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, `Wallet ${action}`);
+  }
+};
+
+// @desc    Add simulated cash to the wallet
+// @route   POST /api/wallet/deposit
+// @access  Private
+exports.deposit = transfer('deposit', 'Deposited');
+
+// @desc    Take simulated cash out of the wallet - no more than it holds
+// @route   POST /api/wallet/withdraw
+// @access  Private
+exports.withdraw = transfer('withdraw', 'Withdrew');
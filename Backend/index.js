@@ -9,9 +9,21 @@ const cookieParser = require('cookie-parser');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const stockRoutes = require('./routes/stockRoutes');
+const marketRoutes = require('./routes/marketRoutes');
+const instrumentRoutes = require('./routes/instrumentRoutes');
+const fxRoutes = require('./routes/fxRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const positionRoutes = require('./routes/positionRoutes');
+const walletRoutes = require('./routes/walletRoutes');
 
 // Import socket handler
 const { setupSocket } = require('./sockets/stockSocket');
+const { createBusAdapter } = require('./sockets/busAdapter');
+const { createMessageBus } = require('./services/messageBus');
+const { initTickStore } = require('./services/tickStore');
+const { loadInstruments } = require('./services/instrumentCatalog');
+const { restoreMarketState } = require('./services/marketState');
 
 // Initialize Express app
 const app = express();
@@ -32,7 +44,7 @@ console.log('Allowed CORS origins:', allowedOrigins);
 const io = new Server(server, {
   cors: {
     origin: allowedOrigins,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     credentials: true,
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID']
   }
@@ -52,7 +64,7 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID'],
   exposedHeaders: ['Content-Range', 'X-Content-Range']
 };
@@ -68,6 +80,13 @@ app.use(cookieParser());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/stocks', stockRoutes);
+app.use('/api/market', marketRoutes);
+app.use('/api/instruments', instrumentRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/positions', positionRoutes);
+app.use('/api/wallet', walletRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -95,11 +114,29 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('✅ Connected to MongoDB');
+
+    // Load the instrument catalog and restore recorded prices before the tick loop starts
+    await loadInstruments();
+    await initTickStore();
+    await restoreMarketState();
+
+    // Link this instance to the others - Socket.io broadcasts and market data travel over the bus
+    const bus = createMessageBus();
+    await bus.connect();
+    io.adapter(createBusAdapter(bus));
+    console.log(`Message bus: ${bus.name} (node ${bus.nodeId})`);
     
     // Setup Socket.io after DB connection
-    setupSocket(io);
+    const election = await setupSocket(io, bus);
+
+    // Hand the market leadership to another instance straight away on shutdown
+    process.once('SIGTERM', async () => {
+      await election.stop();
+      await bus.close();
+      process.exit(0);
+    });
     
     server.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT}`);
@@ -108,7 +145,7 @@ mongoose.connect(process.env.MONGODB_URI)
     });
   })
   .catch((error) => {
-    console.error('❌ MongoDB connection error:', error);
+    console.error('❌ Server startup error:', error);
     process.exit(1);
   });
 
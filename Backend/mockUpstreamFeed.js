@@ -0,0 +1,45 @@
+// Local stand-in for an upstream market data WebSocket.
+// Run with `npm run feed:mock`, then start the API with PRICE_FEED=websocket
+// and PRICE_FEED_URL=ws://localhost:7070
+const WebSocket = require('ws');
+require('dotenv').config();
+
+const { createPriceModel } = require('./services/priceModel');
+const DEFAULT_INSTRUMENTS = require('./data/instruments.json');
+
+const PORT = Number(process.env.MOCK_FEED_PORT) || 7070;
+const model = createPriceModel({ seed: process.env.PRICE_SEED, timeScale: 60 });
+
+// Quotes the default instruments, starting from their base prices
+const prices = {};
+const modelParams = {};
+DEFAULT_INSTRUMENTS.forEach(({ ticker, basePrice, modelParams: params }) => {
+  prices[ticker] = basePrice;
+  modelParams[ticker] = params;
+});
+
+const wss = new WebSocket.Server({ port: PORT });
+
+// Publish one quote per ticker, the same way most vendor feeds stream
+setInterval(() => {
+  Object.keys(prices).forEach((ticker) => {
+    prices[ticker] = model.step(prices[ticker], { seconds: 0.5, params: modelParams[ticker] });
+    const message = JSON.stringify({
+      ticker,
+      price: prices[ticker],
+      timestamp: new Date().toISOString()
+    });
+
+    wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(message);
+      }
+    });
+  });
+}, 500);
+
+wss.on('connection', () => {
+  console.log(`Client connected (${wss.clients.size} total)`);
+});
+
+console.log(`✅ Mock upstream feed running on ws://localhost:${PORT}`);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Closed OHLCV bar rolled up from the recorded ticks - long candle ranges are read
+// from here rather than re-aggregated from the raw ticks (services/tickStore.js)
+const candleSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true
+  },
+  interval: {
+    type: String,
+    required: true
+  },
+  // Start of the bar
+  time: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+candleSchema.index({ ticker: 1, interval: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('Candle', candleSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Audit record of a trading halt - written when a circuit breaker trips and
+// completed when the ticker resumes
+const haltLogSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  reason: {
+    type: String,
+    enum: ['circuit_breaker'],
+    default: 'circuit_breaker'
+  },
+  // Band that tripped, counted from 1 for the narrowest
+  level: {
+    type: Number,
+    required: true
+  },
+  percent: {
+    type: Number,
+    required: true
+  },
+  // Session reference price the move is measured from
+  referencePrice: {
+    type: Number,
+    required: true
+  },
+  // Price the feed moved to, and the band limit the ticker was halted at
+  triggerPrice: {
+    type: Number,
+    required: true
+  },
+  haltPrice: {
+    type: Number,
+    required: true
+  },
+  haltedAt: {
+    type: Date,
+    required: true
+  },
+  resumesAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the ticker trades again
+  resumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  versionKey: false
+});
+
+haltLogSchema.index({ ticker: 1, haltedAt: -1 });
+
+module.exports = mongoose.model('HaltLog', haltLogSchema);
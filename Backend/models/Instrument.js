@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { DEFAULT_MODEL_PARAMS } = require('../services/priceModel');
+
+const instrumentSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[A-Z0-9.-]{1,10}$/, 'Ticker must be 1-10 letters, digits, dots or dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide the company name'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Short display name (e.g. "Apple" for "Apple Inc.")
+  shortName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Short name cannot exceed 50 characters']
+  },
+  sector: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  exchange: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'NASDAQ'
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  tickSize: {
+    type: Number,
+    default: 0.01,
+    min: [0.0001, 'Tick size must be at least 0.0001']
+  },
+  // Reference price a newly listed instrument starts trading from
+  basePrice: {
+    type: Number,
+    required: [true, 'Please provide a base price'],
+    min: [0.01, 'Base price must be positive']
+  },
+  // Used to weight the instrument in a cap-weighted composite index (services/marketIndex.js)
+  sharesOutstanding: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shares outstanding cannot be negative']
+  },
+  // Annual dividend yield in percent of the price, paid quarterly to holders (services/dividendService.js)
+  dividendYield: {
+    type: Number,
+    default: 0,
+    min: [0, 'Dividend yield cannot be negative'],
+    max: [100, 'Dividend yield cannot exceed 100']
+  },
+  // Annualised parameters the price simulator moves the instrument with (services/priceModel.js)
+  modelParams: {
+    drift: { type: Number, default: DEFAULT_MODEL_PARAMS.drift },
+    volatility: {
+      type: Number,
+      default: DEFAULT_MODEL_PARAMS.volatility,
+      min: [0, 'Volatility cannot be negative']
+    },
+    meanReversion: {
+      type: Number,
+      default: DEFAULT_MODEL_PARAMS.meanReversion,
+      min: [0, 'Mean reversion cannot be negative']
+    },
+    jumpIntensity: {
+      type: Number,
+      default: DEFAULT_MODEL_PARAMS.jumpIntensity,
+      min: [0, 'Jump intensity cannot be negative']
+    },
+    jumpMean: { type: Number, default: DEFAULT_MODEL_PARAMS.jumpMean },
+    jumpStdDev: {
+      type: Number,
+      default: DEFAULT_MODEL_PARAMS.jumpStdDev,
+      min: [0, 'Jump standard deviation cannot be negative']
+    }
+  },
+  // Circuit-breaker bands - a move of `percent` from the session's reference price
+  // halts trading for `haltSeconds`. Empty uses CIRCUIT_BREAKER_BANDS (services/circuitBreaker.js).
+  circuitBreakers: {
+    type: [{
+      _id: false,
+      percent: {
+        type: Number,
+        required: [true, 'Please provide the band percentage'],
+        min: [0.1, 'Band percentage must be at least 0.1'],
+        max: [100, 'Band percentage cannot exceed 100']
+      },
+      haltSeconds: {
+        type: Number,
+        required: [true, 'Please provide the halt duration'],
+        min: [1, 'Halt duration must be at least 1 second']
+      }
+    }],
+    default: []
+  },
+  logo: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Brand color used for the logo fallback
+  color: {
+    type: String,
+    trim: true,
+    default: '#64748b'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Instrument', instrumentSchema);
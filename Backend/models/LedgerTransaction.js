@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Accounts a ledger transaction posts to:
+//   cash          the user's wallet
+//   securities    shares held, at cost
+//   realized_pnl  gains (credit) and losses (debit) locked in by sells
+//   fees          trading fees paid
+//   dividends     dividends received
+//   external      money moved in and out by deposits and withdrawals
+//   opening       the wallet's starting balance
+const ACCOUNTS = ['cash', 'securities', 'realized_pnl', 'fees', 'dividends', 'external', 'opening'];
+
+const TRANSACTION_TYPES = ['opening', 'deposit', 'withdrawal', 'trade', 'dividend', 'reversal'];
+
+// One movement of a user's money, double-entry: its entries (debits positive,
+// credits negative) always sum to zero. Transactions are numbered per user, so two
+// posted at the same moment can never both build on the same balance.
+const ledgerTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  entries: {
+    type: [{
+      _id: false,
+      account: { type: String, enum: ACCOUNTS, required: true },
+      amount: { type: Number, required: true }
+    }],
+    validate: {
+      validator: (entries) => entries.length >= 2
+        && Math.abs(entries.reduce((sum, entry) => sum + entry.amount, 0)) < 0.005,
+      message: 'Ledger entries must balance'
+    }
+  },
+  // Change to the cash balance, and the balance after it (USD)
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Identifies a movement that must post only once, e.g. "dividend:AAPL:2026-Q4"
+  reference: {
+    type: String,
+    default: undefined
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  ticker: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+ledgerTransactionSchema.index({ user: 1, sequence: 1 }, { unique: true });
+ledgerTransactionSchema.index(
+  { user: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+ledgerTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../services/orderLifecycle');
+
+// A paper-trading order. Market orders fill straight away at the live quote
+// (buys at the ask, sells at the bid) - see services/orderService.js. Limit, stop
+// and stop-limit orders rest until the matching engine fills or expires them -
+// see services/matchingEngine.js. A bracket order's take-profit and stop-loss are
+// child orders of its entry; they wait as `pending` until the entry fills, then
+// rest as an OCO pair - orders sharing an `ocoGroup`, where filling one cancels the rest.
+// Statuses follow the lifecycle in services/orderLifecycle.js.
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker'],
+    uppercase: true,
+    trim: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: [true, 'Please provide the order side']
+  },
+  type: {
+    type: String,
+    enum: ['market', 'limit', 'stop', 'stop_limit'],
+    default: 'market'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please provide a quantity'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Worst price a limit (or triggered stop-limit) order fills at (USD)
+  limitPrice: {
+    type: Number,
+    default: null
+  },
+  // Price that triggers a stop or stop-limit order (USD)
+  stopPrice: {
+    type: Number,
+    default: null
+  },
+  // 'day' orders expire at the close of the regular session, 'gtc' ones rest until filled
+  timeInForce: {
+    type: String,
+    enum: ['day', 'gtc'],
+    default: 'day'
+  },
+  // Close a day order expires at - null when the market never closes
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // When a stop or stop-limit order's stop price was reached
+  triggeredAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'filled'
+  },
+  // Every status change (and modification), oldest first
+  statusHistory: [{
+    _id: false,
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, default: null }
+  }],
+  // Shares filled so far - resting orders can fill over several ticks
+  filledQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Bumped on every change, so a fill never lands on an order modified since it was read
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Entry order of a bracket's take-profit or stop-loss
+  parentOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Role of a bracket child
+  legRole: {
+    type: String,
+    enum: ['take_profit', 'stop_loss', null],
+    default: null
+  },
+  // Orders of one OCO group - the first to fill cancels the others
+  ocoGroup: {
+    type: String,
+    default: null
+  },
+  // Why a resting order could not fill
+  rejectReason: {
+    type: String,
+    default: null
+  },
+  // Average price the filled shares traded at (USD)
+  fillPrice: {
+    type: Number,
+    default: null
+  },
+  // When the order last filled
+  filledAt: {
+    type: Date,
+    default: null
+  },
+  // When the order was cancelled, expired or was rejected
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+// Resting orders are reloaded by status when the matching engine starts
+orderSchema.index({ status: 1 });
+orderSchema.index({ parentOrder: 1 });
+orderSchema.index({ ocoGroup: 1 });
+
+module.exports = mongoose.model('Order', orderSchema);
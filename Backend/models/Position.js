@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A user's holding in one ticker, built up from their fills. Closed positions are
+// kept (quantity 0) so their realized profit and loss is not lost.
+const positionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Volume-weighted cost of the shares held (USD)
+  averagePrice: {
+    type: Number,
+    default: 0
+  },
+  // Profit and loss locked in by sells (USD)
+  realizedPnl: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+positionSchema.index({ user: 1, ticker: 1 }, { unique: true });
+
+module.exports = mongoose.model('Position', positionSchema);
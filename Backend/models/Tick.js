@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// How long recorded ticks are kept before MongoDB expires them
+const TICK_RETENTION_DAYS = Number(process.env.TICK_RETENTION_DAYS) || 365;
+
+const tickSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: 0
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Stored as a MongoDB time-series collection bucketed per ticker
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'ticker',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: TICK_RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+module.exports = mongoose.model('Tick', tickSchema);
@@ -24,13 +24,24 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't return password by default in queries
   },
+  // Tickers are checked against the instrument catalog when subscribing
+  // (services/subscriptionService.js), so new listings need no schema change
   subscribedStocks: {
     type: [String],
-    default: [],
-    enum: {
-      values: ['AAPL', 'GOOG', 'TSLA', 'AMZN', 'META', 'NVDA', 'MSFT'],
-      message: '{VALUE} is not a supported stock'
-    }
+    default: []
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Currency prices and totals are displayed in (checked against services/fxRates.js)
+  preferredCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'INR',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
   },
   refreshToken: {
     type: String,
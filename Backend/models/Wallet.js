@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A user's virtual cash account. The ledger (models/LedgerTransaction.js) is the
+// record of every movement; the wallet holds the balance after the latest one,
+// `sequence` being that transaction's number.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Cash available (USD)
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Sequence number of the last ledger transaction applied
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+walletSchema.index({ user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,31 @@
+// Grant the admin role to an existing user: node promoteAdmin.js user@example.com
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/User');
+
+const promoteAdmin = async () => {
+  const email = String(process.argv[2] || '').trim().toLowerCase();
+  if (!email) {
+    console.error('Usage: node promoteAdmin.js <email>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true });
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`${user.email} is now an admin`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Promote error:', error);
+    process.exit(1);
+  }
+};
+
+promoteAdmin();
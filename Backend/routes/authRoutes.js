@@ -8,6 +8,7 @@ const {
   getMe, 
   refreshToken, 
   changePassword,
+  updatePreferences,
   verifyToken 
 } = require('../controllers/authController');
 const { protect } = require('../utils/authMiddleware');
@@ -22,6 +23,7 @@ router.post('/refresh-token', refreshToken);
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
 router.put('/change-password', protect, changePassword);
+router.put('/preferences', protect, updatePreferences);
 router.get('/verify', protect, verifyToken);
 
 module.exports = router;
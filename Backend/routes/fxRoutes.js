@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getFxRates } = require('../controllers/fxController');
+
+// Public routes
+router.get('/', getFxRates);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInstruments,
+  getInstrument,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument
+} = require('../controllers/instrumentController');
+const { protect, authorize } = require('../utils/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getInstruments);
+router.get('/:ticker', getInstrument);
+
+// Admin only
+router.post('/', authorize('admin'), createInstrument);
+router.put('/:ticker', authorize('admin'), updateInstrument);
+router.delete('/:ticker', authorize('admin'), deleteInstrument);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getStatus, getIndex, getHalts } = require('../controllers/marketController');
+
+// Public routes
+router.get('/status', getStatus);
+router.get('/index', getIndex);
+router.get('/halts', getHalts);
+
+module.exports = router;
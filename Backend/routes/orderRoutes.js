@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  placeOrder, placeOcoOrder, cancelOrder, modifyOrder, getOrders
+} = require('../controllers/orderController');
+const { protect } = require('../utils/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getOrders);
+router.post('/', placeOrder);
+router.post('/oco', placeOcoOrder);
+router.patch('/:id', modifyOrder);
+router.delete('/:id', cancelOrder);
+
+module.exports = router;
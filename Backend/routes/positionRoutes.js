@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getPositions } = require('../controllers/orderController');
+const { protect } = require('../utils/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getPositions);
+
+module.exports = router;
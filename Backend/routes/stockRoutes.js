@@ -4,7 +4,11 @@ const {
   getSupportedStocks, 
   getSubscribedStocks, 
   subscribeStock, 
-  unsubscribeStock 
+  unsubscribeStock,
+  getStockCandles,
+  getStockIndicators,
+  getStockDepth,
+  getStockTrades
 } = require('../controllers/stockController');
 const { protect } = require('../utils/authMiddleware');
 
@@ -15,5 +19,9 @@ router.get('/', getSupportedStocks);
 router.get('/subscribed', getSubscribedStocks);
 router.post('/subscribe', subscribeStock);
 router.post('/unsubscribe', unsubscribeStock);
+router.get('/:ticker/candles', getStockCandles);
+router.get('/:ticker/indicators', getStockIndicators);
+router.get('/:ticker/depth', getStockDepth);
+router.get('/:ticker/trades', getStockTrades);
 
 module.exports = router;
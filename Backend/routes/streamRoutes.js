@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { streamPrices } = require('../controllers/streamController');
+const { protectStream } = require('../utils/authMiddleware');
+
+// EventSource cannot set headers - the token may be passed as ?token=
+router.use(protectStream);
+
+router.get('/prices', streamPrices);
+
+module.exports = router;
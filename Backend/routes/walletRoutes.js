@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWallet, getTransactions, deposit, withdraw
+} = require('../controllers/walletController');
+const { protect } = require('../utils/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getWallet);
+router.get('/transactions', getTransactions);
+router.post('/deposit', deposit);
+router.post('/withdraw', withdraw);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const { EventEmitter } = require('events');
+
+// OHLCV candle aggregator - rolls price ticks into fixed-interval bars
+// kept in memory per ticker and interval.
+
+// Supported candle intervals in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+// Bars kept in memory per ticker and interval (one day of 1m, ~3 days of 5m, ...)
+const MAX_CANDLES = {
+  '1m': 1440,
+  '5m': 864,
+  '15m': 672,
+  '1h': 720,
+  '1d': 365,
+};
+
+// candles[ticker][interval] = [{ time, open, high, low, close, volume }], oldest first
+const candles = {};
+
+// Emits 'close' (ticker, interval, bar) when the first tick of a new bucket closes the previous bar
+const events = new EventEmitter();
+
+// Start of the bucket a timestamp falls into
+const getBucketStart = (time, interval) => {
+  const size = INTERVALS[interval];
+  return Math.floor(time / size) * size;
+};
+
+// Synthesize traded volume for a tick - bigger moves trade more shares
+const synthesizeVolume = (previousPrice, price, random = Math.random) => {
+  const move = previousPrice > 0 ? Math.abs(price - previousPrice) / previousPrice : 0;
+  const lots = (5 + random() * 15) * (1 + move * 500);
+  return Math.round(lots) * 100;
+};
+
+// Roll one tick into every interval for a ticker. Returns the bars the tick closed,
+// as [{ interval, bar }].
+const recordTick = (ticker, price, volume, timestamp) => {
+  const time = new Date(timestamp || Date.now()).getTime();
+  if (!candles[ticker]) candles[ticker] = {};
+  const closed = [];
+
+  Object.keys(INTERVALS).forEach((interval) => {
+    if (!candles[ticker][interval]) candles[ticker][interval] = [];
+
+    const bars = candles[ticker][interval];
+    const bucket = getBucketStart(time, interval);
+    const last = bars[bars.length - 1];
+
+    if (last && last.time === bucket) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.volume += volume;
+      return;
+    }
+
+    // Ignore late ticks that belong to an already closed bar
+    if (last && bucket < last.time) return;
+
+    bars.push({ time: bucket, open: price, high: price, low: price, close: price, volume });
+    if (bars.length > MAX_CANDLES[interval]) {
+      bars.shift();
+    }
+    if (last) {
+      closed.push({ interval, bar: { ...last } });
+      events.emit('close', ticker, interval, { ...last });
+    }
+  });
+  return closed;
+};
+
+// Get bars for a ticker and interval, optionally within [from, to] (epoch ms)
+const getCandles = (ticker, interval, { from, to } = {}) => {
+  const bars = candles[ticker]?.[interval] || [];
+
+  return bars
+    .filter((bar) => (from === undefined || bar.time + INTERVALS[interval] > from)
+      && (to === undefined || bar.time <= to))
+    .map((bar) => ({ ...bar }));
+};
+
+// Time of the oldest bar held in memory (Infinity when nothing is recorded yet)
+const getCoverageStart = (ticker, interval) => {
+  const bars = candles[ticker]?.[interval] || [];
+  return bars.length > 0 ? bars[0].time : Infinity;
+};
+
+// Call `listener(ticker, interval, bar)` whenever a bar closes - returns an unsubscribe function
+const onCandleClose = (listener) => {
+  events.on('close', listener);
+  return () => events.off('close', listener);
+};
+
+module.exports = {
+  INTERVALS,
+  recordTick,
+  getCandles,
+  getCoverageStart,
+  getBucketStart,
+  synthesizeVolume,
+  onCandleClose
+};
@@ -0,0 +1,22 @@
+const { INTERVALS, getCandles, getCoverageStart } = require('./candleAggregator');
+const { getStoredCandles } = require('./tickStore');
+
+// Serve candles from memory when it covers the range, otherwise from the stored bars
+// topped up with the newest in-memory bars that have not been stored yet
+const loadCandles = async (ticker, interval, range) => {
+  const recent = getCandles(ticker, interval, range);
+  if (range.from !== undefined && getCoverageStart(ticker, interval) <= range.from) {
+    return recent;
+  }
+
+  const stored = await getStoredCandles(ticker, interval, range);
+  if (stored.length === 0) return recent;
+
+  const lastStored = stored[stored.length - 1].time;
+  return stored.concat(recent.filter((bar) => bar.time > lastStored));
+};
+
+// Bars whose interval has ended by `now` (drops the bar still forming)
+const closedCandles = (bars, interval, now = Date.now()) => bars.filter((bar) => bar.time + INTERVALS[interval] <= now);
+
+module.exports = { loadCandles, closedCandles };
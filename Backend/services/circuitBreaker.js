@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const HaltLog = require('../models/HaltLog');
+const catalog = require('./instrumentCatalog');
+
+// Volatility circuit breakers. Every instrument has bands of increasing width
+// around its session reference price (set at each regular open, or at midnight in
+// an always-open market). A tick that moves past a band not yet tripped this
+// session is capped at the band's limit and halts the ticker for the band's
+// cooldown. Only the leader node trips and lifts halts; the other nodes apply the
+// ones published with each tick.
+
+// Parse "percent:haltSeconds,..." into bands, narrowest first
+const parseBands = (value) => String(value || '')
+  .split(',')
+  .map((band) => {
+    const [percent, haltSeconds] = band.split(':').map(Number);
+    return { percent, haltSeconds };
+  })
+  .filter(({ percent, haltSeconds }) => percent > 0 && haltSeconds > 0)
+  .sort((a, b) => a.percent - b.percent);
+
+// Bands for instruments without their own
+const DEFAULT_BANDS = parseBands(process.env.CIRCUIT_BREAKER_BANDS || '5:300,10:900,20:3600');
+// Most audit records returned per halt log request
+const MAX_LOG_LIMIT = 200;
+
+const isEnabled = () => process.env.CIRCUIT_BREAKERS !== 'false';
+
+const canPersist = () => mongoose.connection.readyState === 1;
+
+// halts[ticker] = { ticker, reason, level, percent, referencePrice, triggerPrice, haltPrice, haltedAt, resumesAt }
+const halts = new Map();
+// Highest band level tripped per ticker this session - each band halts a ticker at most once
+const tripped = {};
+
+const getBands = (ticker) => {
+  const bands = catalog.getInstrument(ticker)?.circuitBreakers;
+  return bands?.length ? [...bands].sort((a, b) => a.percent - b.percent) : DEFAULT_BANDS;
+};
+
+const isHalted = (ticker) => halts.has(ticker);
+
+const getHalts = () => Array.from(halts.values()).map((halt) => ({ ...halt }));
+
+// Write to the halt log without holding up the tick
+const persist = (operation) => {
+  if (!canPersist()) return;
+  operation().catch((error) => {
+    console.error('Failed to write halt log:', error.message);
+  });
+};
+
+// The widest untripped band a move to `price` breaches, with the price at its edge - or null
+const checkBreach = (ticker, price, referencePrice) => {
+  if (!isEnabled() || !(referencePrice > 0)) return null;
+
+  const move = ((price - referencePrice) / referencePrice) * 100;
+  let breach = null;
+  getBands(ticker).forEach((band, index) => {
+    const level = index + 1;
+    if (level <= (tripped[ticker] || 0) || Math.abs(move) < band.percent) return;
+
+    const limitPrice = referencePrice * (1 + (Math.sign(move) * band.percent) / 100);
+    breach = { level, ...band, limitPrice: Number(limitPrice.toFixed(2)) };
+  });
+  return breach;
+};
+
+// Apply a halt tripped here or on the leader
+const applyHalt = (halt) => {
+  halts.set(halt.ticker, { ...halt });
+  tripped[halt.ticker] = Math.max(tripped[halt.ticker] || 0, halt.level);
+};
+
+// Lift a halt (here or on the leader)
+const applyResume = ({ ticker }) => {
+  halts.delete(ticker);
+};
+
+// Halt a ticker for a breached band (leader only) and record it in the halt log
+const haltTicker = (ticker, breach, { referencePrice, triggerPrice }) => {
+  const haltedAt = new Date();
+  const halt = {
+    ticker,
+    reason: 'circuit_breaker',
+    level: breach.level,
+    percent: breach.percent,
+    referencePrice,
+    triggerPrice: Number(triggerPrice.toFixed(2)),
+    haltPrice: breach.limitPrice,
+    haltedAt: haltedAt.toISOString(),
+    resumesAt: new Date(haltedAt.getTime() + breach.haltSeconds * 1000).toISOString()
+  };
+
+  applyHalt(halt);
+  persist(() => HaltLog.create(halt));
+  console.log(`${ticker} halted at ${halt.haltPrice} (${breach.percent}% band) until ${halt.resumesAt}`);
+  return halt;
+};
+
+// Lift every halt whose cooldown has ended (leader only). Returns the resumed halts.
+const resumeDue = () => {
+  const now = new Date();
+  const resumed = getHalts()
+    .filter((halt) => new Date(halt.resumesAt) <= now)
+    .map((halt) => ({ ...halt, resumedAt: now.toISOString() }));
+
+  resumed.forEach((halt) => {
+    applyResume(halt);
+    persist(() => HaltLog.updateOne(
+      { ticker: halt.ticker, haltedAt: halt.haltedAt },
+      { $set: { resumedAt: halt.resumedAt } }
+    ));
+    console.log(`${halt.ticker} resumed trading`);
+  });
+  return resumed;
+};
+
+// A new regular session (or day) moves the reference prices, so every band can trip again
+const resetBands = () => {
+  Object.keys(tripped).forEach((ticker) => {
+    delete tripped[ticker];
+  });
+};
+
+// Reload halts that were still open when the server stopped
+const restoreHalts = async () => {
+  if (!canPersist()) return;
+
+  const open = await HaltLog.find({ resumedAt: null }).lean();
+  open
+    .filter(({ ticker }) => catalog.isSupported(ticker))
+    .forEach((doc) => applyHalt({
+      ticker: doc.ticker,
+      reason: doc.reason,
+      level: doc.level,
+      percent: doc.percent,
+      referencePrice: doc.referencePrice,
+      triggerPrice: doc.triggerPrice,
+      haltPrice: doc.haltPrice,
+      haltedAt: doc.haltedAt.toISOString(),
+      resumesAt: doc.resumesAt.toISOString()
+    }));
+};
+
+// Recent halts from the audit log, newest first (optionally for one ticker)
+const getHaltLog = async ({ ticker, limit = 50 } = {}) => {
+  if (!canPersist()) return [];
+
+  const filter = ticker ? { ticker: String(ticker).trim().toUpperCase() } : {};
+  return HaltLog.find(filter)
+    .sort({ haltedAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), MAX_LOG_LIMIT))
+    .select('-_id')
+    .lean();
+};
+
+module.exports = {
+  DEFAULT_BANDS,
+  getBands,
+  isHalted,
+  getHalts,
+  checkBreach,
+  applyHalt,
+  applyResume,
+  haltTicker,
+  resumeDue,
+  resetBands,
+  restoreHalts,
+  getHaltLog
+};
@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const fxRates = require('./fxRates');
+const { INDEX_TICKER } = require('./marketIndex');
+
+// Amounts in the user's preferred currency. Prices, orders and cash are kept and
+// traded in USD; whatever is sent to a user carries its amounts converted at the
+// current FX rate under `display`, next to the USD values:
+//   { limitPrice: 189.5, ..., display: { currency: 'INR', limitPrice: 15823.25, ... } }
+// Clients format the display amounts and never convert. Amounts that do not move
+// with the market (a fill price, a balance) are converted at the rate of the moment
+// they are sent. The composite index is a level, not money, so it is never converted.
+
+// Money fields of everything sent with display amounts
+const DISPLAY_FIELDS = {
+  quote: ['price', 'bid', 'ask'],
+  order: ['limitPrice', 'stopPrice', 'fillPrice'],
+  position: ['averagePrice', 'costBasis', 'currentPrice', 'marketValue', 'unrealizedPnl', 'realizedPnl'],
+  wallet: ['balance'],
+  transaction: ['amount', 'balanceAfter'],
+  candle: ['open', 'high', 'low', 'close'],
+  instrument: ['basePrice']
+};
+
+// Currency a user's amounts are displayed in - USD when their preference has no rate
+const getDisplayCurrency = (preferred) => (fxRates.isSupportedCurrency(preferred)
+  ? String(preferred).trim().toUpperCase()
+  : fxRates.BASE_CURRENCY);
+
+// A user's display currency, read from their profile
+const getUserCurrency = async (userId) => {
+  const user = await User.findById(userId).select('preferredCurrency').lean();
+  return getDisplayCurrency(user?.preferredCurrency);
+};
+
+// USD amount in `currency`, to the cent (missing amounts stay null)
+const toDisplayAmount = (amount, currency) => (typeof amount === 'number' && Number.isFinite(amount)
+  ? Number(fxRates.convert(amount, fxRates.BASE_CURRENCY, currency).toFixed(2))
+  : null);
+
+// `values` (one of DISPLAY_FIELDS' kinds) with its amounts in `currency` under `display`
+const withDisplay = (values, kind, currency) => {
+  if (!values) return values;
+
+  const display = { currency };
+  DISPLAY_FIELDS[kind].forEach((field) => {
+    if (values[field] !== undefined) display[field] = toDisplayAmount(values[field], currency);
+  });
+  return { ...values, display };
+};
+
+// Quotes by ticker (`{ price, bid, ask, history? }` or the changed fields of a delta)
+// with display amounts - the composite index is left as it is
+const withDisplayQuotes = (quotes, currency) => {
+  const converted = {};
+  Object.keys(quotes).forEach((ticker) => {
+    const quote = quotes[ticker];
+    if (ticker === INDEX_TICKER) {
+      converted[ticker] = quote;
+      return;
+    }
+
+    const { display, ...rest } = withDisplay(quote, 'quote', currency);
+    if (Array.isArray(quote.history)) display.history = quote.history.map((price) => toDisplayAmount(price, currency));
+    converted[ticker] = { ...rest, display };
+  });
+  return converted;
+};
+
+// Build a value once per display currency - for payloads streamed to many connections
+const perCurrency = (build) => {
+  const built = new Map();
+  return (currency) => {
+    if (!built.has(currency)) built.set(currency, build(currency));
+    return built.get(currency);
+  };
+};
+
+module.exports = {
+  getDisplayCurrency,
+  getUserCurrency,
+  toDisplayAmount,
+  withDisplay,
+  withDisplayQuotes,
+  perCurrency
+};
@@ -0,0 +1,63 @@
+const Position = require('../models/Position');
+const catalog = require('./instrumentCatalog');
+const market = require('./marketState');
+const walletService = require('./walletService');
+const { getCalendarConfig, getMarketStatus, isTradingDay } = require('./marketCalendar');
+
+// Dividends - an instrument with a `dividendYield` (annual percent of its price) pays
+// a quarter of it on the first trading day of each quarter, to everyone holding it
+// then. The leader pays when that day's regular session opens, and again if it takes
+// over later that day; each holder's payment is referenced by ticker and quarter, so
+// running twice never pays twice.
+
+// "2026-Q4" for an exchange-local date
+const getQuarter = (dateKey) => {
+  const [year, month] = dateKey.split('-').map(Number);
+  return `${year}-Q${Math.ceil(month / 3)}`;
+};
+
+// Whether no trading day of the quarter came before `dateKey`
+const isFirstTradingDayOfQuarter = (dateKey, config) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const quarterStart = Date.UTC(year, Math.floor((month - 1) / 3) * 3, 1);
+  for (let time = Date.UTC(year, month - 1, day - 1); time >= quarterStart; time -= 24 * 60 * 60 * 1000) {
+    if (isTradingDay(new Date(time).toISOString().slice(0, 10), config)) return false;
+  }
+  return isTradingDay(dateKey, config);
+};
+
+// Pay the quarter's dividends if today is its first trading day. Calls
+// onWalletUpdate(userId, wallet) for each payment; resolves with how many were made.
+const payDividends = async ({ onWalletUpdate = () => {}, now = new Date() } = {}) => {
+  const config = getCalendarConfig();
+  const { localDate } = getMarketStatus(now, config);
+  if (!isFirstTradingDayOfQuarter(localDate, config)) return 0;
+
+  const period = getQuarter(localDate);
+  const quotes = market.getQuotes();
+  const payers = catalog.getInstruments().filter((instrument) => instrument.dividendYield > 0 && quotes[instrument.ticker]?.price > 0);
+
+  let paid = 0;
+  for (const instrument of payers) {
+    const perShare = (quotes[instrument.ticker].price * instrument.dividendYield) / 100 / 4;
+    const holders = await Position.find({ ticker: instrument.ticker, quantity: { $gt: 0 } }).lean();
+    for (const position of holders) {
+      const userId = position.user.toString();
+      const result = await walletService.postDividend(userId, {
+        ticker: instrument.ticker,
+        quantity: position.quantity,
+        perShare,
+        period
+      });
+      if (result) {
+        paid += 1;
+        onWalletUpdate(userId, result.wallet);
+      }
+    }
+  }
+
+  if (paid > 0) console.log(`Dividends: ${paid} payments for ${period}`);
+  return paid;
+};
+
+module.exports = { payDividends };
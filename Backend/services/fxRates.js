@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { createPriceModel, TRADING_SECONDS_PER_YEAR } = require('./priceModel');
+
+// Foreign exchange rates, quoted as units of each currency per one US dollar -
+// the currency every price is streamed in. Rates are simulated around the values
+// in the rates file, or read from that file as-is (FX_SOURCE=file).
+const BASE_CURRENCY = 'USD';
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'fx-rates.json');
+const SOURCES = ['simulator', 'file'];
+
+// Annualized volatility and mean-reversion speed of simulated rates
+const FX_VOLATILITY = 0.08;
+const FX_MEAN_REVERSION = 2;
+
+// Read the FX configuration from the environment
+const getFxConfig = () => ({
+  source: String(process.env.FX_SOURCE || 'simulator').trim().toLowerCase(),
+  file: process.env.FX_FILE || DEFAULT_FILE,
+  intervalMs: Number(process.env.FX_INTERVAL_MS) || 5000,
+  seed: process.env.PRICE_SEED,
+  timeScale: Number(process.env.PRICE_MODEL_TIME_SCALE) || 60
+});
+
+// Parse a rates file: { "base": "USD", "rates": { "INR": 83.5, ... } }
+const loadRatesFile = (file) => {
+  const content = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (content.base && String(content.base).toUpperCase() !== BASE_CURRENCY) {
+    throw new Error(`FX rates in ${file} must be quoted against ${BASE_CURRENCY}`);
+  }
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  Object.entries(content.rates || {}).forEach(([code, rate]) => {
+    const currency = String(code).toUpperCase();
+    if (/^[A-Z]{3}$/.test(currency) && Number(rate) > 0) {
+      rates[currency] = Number(rate);
+    }
+  });
+  return rates;
+};
+
+// Reference rates simulated rates revert to
+let anchors = loadRatesFile(DEFAULT_FILE);
+let current = { base: BASE_CURRENCY, rates: { ...anchors }, timestamp: new Date().toISOString() };
+let timer = null;
+
+const getRates = () => ({ ...current, rates: { ...current.rates } });
+
+const getCurrencies = () => Object.keys(current.rates);
+
+const isSupportedCurrency = (currency) => current.rates[String(currency || '').toUpperCase()] !== undefined;
+
+// Convert an amount between two supported currencies at the current rates
+const convert = (amount, from = BASE_CURRENCY, to = BASE_CURRENCY) => {
+  const fromRate = current.rates[String(from).toUpperCase()];
+  const toRate = current.rates[String(to).toUpperCase()];
+  if (!fromRate || !toRate) {
+    throw new Error(`Unsupported currency conversion ${from} -> ${to}`);
+  }
+  return (amount / fromRate) * toRate;
+};
+
+// Start updating rates, calling onUpdate({ base, rates, timestamp }) whenever they change
+const startFxRates = (onUpdate, config = getFxConfig()) => {
+  if (timer) return;
+
+  if (!SOURCES.includes(config.source)) {
+    throw new Error(`Unknown FX source "${config.source}". Supported: ${SOURCES.join(', ')}`);
+  }
+
+  anchors = loadRatesFile(config.file);
+  // Carry on from rates already received from a previous leader
+  const resumed = { ...anchors };
+  Object.keys(anchors).forEach((currency) => {
+    if (current.rates[currency]) resumed[currency] = current.rates[currency];
+  });
+  current = { base: BASE_CURRENCY, rates: resumed, timestamp: new Date().toISOString() };
+  const model = createPriceModel({ seed: config.seed });
+  const dt = (config.intervalMs / 1000) * config.timeScale / TRADING_SECONDS_PER_YEAR;
+
+  console.log(`FX rates: ${config.source} (${getCurrencies().join(', ')})`);
+
+  timer = setInterval(() => {
+    let rates;
+
+    if (config.source === 'file') {
+      // Re-read the file so edited rates go live without a restart
+      try {
+        rates = loadRatesFile(config.file);
+      } catch (error) {
+        console.error('Failed to reload FX rates:', error.message);
+        return;
+      }
+      if (JSON.stringify(rates) === JSON.stringify(current.rates)) return;
+    } else {
+      // Mean-reverting random walk on the log rate around the file rates
+      rates = { [BASE_CURRENCY]: 1 };
+      Object.keys(anchors).forEach((currency) => {
+        if (currency === BASE_CURRENCY) return;
+        const rate = current.rates[currency] || anchors[currency];
+        const logReturn = FX_VOLATILITY * Math.sqrt(dt) * model.gaussian()
+          - FX_MEAN_REVERSION * Math.log(rate / anchors[currency]) * dt;
+        rates[currency] = Number((rate * Math.exp(logReturn)).toPrecision(6));
+      });
+    }
+
+    current = { base: BASE_CURRENCY, rates, timestamp: new Date().toISOString() };
+    onUpdate(getRates());
+  }, config.intervalMs);
+};
+
+// Adopt rates published by the node that runs the FX updates
+const applyRates = (snapshot) => {
+  current = { ...snapshot, rates: { ...snapshot.rates } };
+};
+
+const stopFxRates = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getFxConfig,
+  getRates,
+  getCurrencies,
+  isSupportedCurrency,
+  convert,
+  startFxRates,
+  stopFxRates,
+  applyRates
+};
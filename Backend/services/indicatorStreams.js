@@ -0,0 +1,120 @@
+const catalog = require('./instrumentCatalog');
+const indicators = require('./indicators');
+const { INTERVALS, onCandleClose } = require('./candleAggregator');
+const { loadCandles, closedCandles } = require('./candleHistory');
+const { INDEX_TICKER } = require('./marketIndex');
+
+// Live indicator streams - each (ticker, interval, indicator, params) combination
+// keeps a rolling window of closed candles on this node and computes one new
+// point every time a candle closes. Every node sees the same candles, so each
+// streams to its own connections.
+
+// Points sent when a stream is opened
+const HISTORY_POINTS = 100;
+
+// Error carrying a machine-readable code
+const streamError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// streams[key] = { key, ticker, interval, type, params, windowSize, bars, ready }
+const streams = new Map();
+let updateListener = null;
+
+// Same indicator and parameters -> same key, however the request spelled them
+const getStreamKey = (ticker, interval, type, params) => {
+  const paramList = Object.keys(params).map((name) => `${name}:${params[name]}`).join(',');
+  return `${ticker}:${interval}:${type}${paramList ? `:${paramList}` : ''}`;
+};
+
+const describe = ({ key, ticker, interval, type, params }) => ({ key, ticker, interval, type, params });
+
+// Open (or join) a stream. Resolves with its description and the latest points.
+const openStream = async ({ ticker, interval = '1m', type, params } = {}) => {
+  const normalizedTicker = String(ticker || '').trim().toUpperCase();
+  if (!catalog.isSupported(normalizedTicker) && normalizedTicker !== INDEX_TICKER) {
+    throw streamError('INVALID_TICKER', `Invalid stock ticker. Supported: ${catalog.getTickers().join(', ')}`);
+  }
+  if (!INTERVALS[interval]) {
+    throw streamError('INVALID_INTERVAL', `Invalid interval. Supported: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const normalizedType = indicators.normalizeType(type);
+  const parsedParams = indicators.parseIndicatorParams(normalizedType, params);
+  const key = getStreamKey(normalizedTicker, interval, normalizedType, parsedParams);
+
+  let stream = streams.get(key);
+  if (!stream) {
+    const windowSize = indicators.getWarmupBars(normalizedType, parsedParams, interval) + HISTORY_POINTS;
+    stream = {
+      key,
+      ticker: normalizedTicker,
+      interval,
+      type: normalizedType,
+      params: parsedParams,
+      windowSize,
+      bars: []
+    };
+    // Candles closing while the history loads are appended once it arrives
+    stream.ready = loadCandles(normalizedTicker, interval, {
+      from: Date.now() - windowSize * INTERVALS[interval]
+    }).then((bars) => {
+      const pending = stream.bars;
+      const loaded = closedCandles(bars, interval);
+      const lastLoaded = loaded.length > 0 ? loaded[loaded.length - 1].time : -Infinity;
+      stream.bars = loaded.concat(pending.filter((bar) => bar.time > lastLoaded)).slice(-windowSize);
+    });
+    streams.set(key, stream);
+
+    try {
+      await stream.ready;
+    } catch (error) {
+      streams.delete(key);
+      throw error;
+    }
+  } else {
+    await stream.ready;
+  }
+
+  return {
+    ...describe(stream),
+    points: indicators.computeIndicator(stream.type, stream.bars, stream.params).slice(-HISTORY_POINTS)
+  };
+};
+
+// Stop computing a stream nobody on this node watches any more
+const closeStream = (key) => {
+  streams.delete(key);
+};
+
+const hasStream = (key) => streams.has(key);
+
+// Receives (stream, point) for each new point
+const onIndicatorUpdate = (listener) => {
+  updateListener = listener;
+};
+
+onCandleClose((ticker, interval, bar) => {
+  streams.forEach((stream) => {
+    if (stream.ticker !== ticker || stream.interval !== interval) return;
+
+    const last = stream.bars[stream.bars.length - 1];
+    if (last && last.time >= bar.time) return;
+
+    stream.bars.push(bar);
+    if (stream.bars.length > stream.windowSize) stream.bars.shift();
+
+    const points = indicators.computeIndicator(stream.type, stream.bars, stream.params);
+    const point = points[points.length - 1];
+    if (point?.time === bar.time && updateListener) updateListener(describe(stream), point);
+  });
+});
+
+module.exports = {
+  openStream,
+  closeStream,
+  hasStream,
+  onIndicatorUpdate
+};
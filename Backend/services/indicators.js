@@ -0,0 +1,215 @@
+const { INTERVALS } = require('./candleAggregator');
+const { getTradingDate } = require('./marketCalendar');
+
+// Technical indicators computed from OHLCV candles ([{ time, open, high, low,
+// close, volume }], oldest first). Each returns one point per candle once it has
+// enough history: { time, value } or, for multi-line indicators, named values.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIOD = 500;
+
+// Error carrying a machine-readable code
+const indicatorError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const round = (value) => Number(value.toFixed(4));
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Exponential moving average seeded with the simple average of the first `period`
+// values. Leading nulls (an input that is still warming up) are skipped.
+const emaSeries = (values, period) => {
+  const out = values.map(() => null);
+  const start = values.findIndex((value) => value !== null);
+  if (start === -1 || values.length - start < period) return out;
+
+  const k = 2 / (period + 1);
+  let ema = average(values.slice(start, start + period));
+  out[start + period - 1] = ema;
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+};
+
+// Wilder's smoothing (RSI, ATR) - an EMA with k = 1 / period
+const wilderSeries = (values, period) => {
+  const out = values.map(() => null);
+  if (values.length < period) return out;
+
+  let smoothed = average(values.slice(0, period));
+  out[period - 1] = smoothed;
+  for (let i = period; i < values.length; i++) {
+    smoothed = (smoothed * (period - 1) + values[i]) / period;
+    out[i] = smoothed;
+  }
+  return out;
+};
+
+// Pair each candle with its value, dropping candles still warming up
+const toPoints = (candles, values, format = (value) => ({ value: round(value) })) => candles
+  .map((candle, i) => (values[i] === null ? null : { time: candle.time, ...format(values[i]) }))
+  .filter(Boolean);
+
+const sma = (candles, { period }) => {
+  const closes = candles.map((candle) => candle.close);
+  const values = closes.map((close, i) => (i < period - 1 ? null : average(closes.slice(i - period + 1, i + 1))));
+  return toPoints(candles, values);
+};
+
+const ema = (candles, { period }) => toPoints(candles, emaSeries(candles.map((candle) => candle.close), period));
+
+const rsi = (candles, { period }) => {
+  const changes = candles.slice(1).map((candle, i) => candle.close - candles[i].close);
+  const gains = wilderSeries(changes.map((change) => Math.max(change, 0)), period);
+  const losses = wilderSeries(changes.map((change) => Math.max(-change, 0)), period);
+
+  // Change i is the move into candle i + 1
+  const values = candles.map((candle, i) => {
+    if (i === 0 || gains[i - 1] === null) return null;
+    if (losses[i - 1] === 0) return 100;
+    return 100 - 100 / (1 + gains[i - 1] / losses[i - 1]);
+  });
+  return toPoints(candles, values);
+};
+
+const macd = (candles, { fast, slow, signal }) => {
+  const closes = candles.map((candle) => candle.close);
+  const fastEma = emaSeries(closes, fast);
+  const slowEma = emaSeries(closes, slow);
+  const macdLine = closes.map((close, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signalLine = emaSeries(macdLine, signal);
+
+  const values = macdLine.map((value, i) => (signalLine[i] === null ? null : [value, signalLine[i]]));
+  return toPoints(candles, values, ([line, signalValue]) => ({
+    macd: round(line),
+    signal: round(signalValue),
+    histogram: round(line - signalValue)
+  }));
+};
+
+const bollinger = (candles, { period, stdDev }) => {
+  const closes = candles.map((candle) => candle.close);
+  const values = closes.map((close, i) => {
+    if (i < period - 1) return null;
+    const window = closes.slice(i - period + 1, i + 1);
+    const middle = average(window);
+    const deviation = Math.sqrt(average(window.map((value) => (value - middle) ** 2)));
+    return [middle, deviation];
+  });
+
+  return toPoints(candles, values, ([middle, deviation]) => ({
+    middle: round(middle),
+    upper: round(middle + stdDev * deviation),
+    lower: round(middle - stdDev * deviation)
+  }));
+};
+
+// Volume-weighted average of the typical price, restarting each trading day
+const vwap = (candles) => {
+  let day = null;
+  let priceVolume = 0;
+  let volume = 0;
+
+  const values = candles.map((candle) => {
+    const candleDay = getTradingDate(candle.time);
+    if (candleDay !== day) {
+      day = candleDay;
+      priceVolume = 0;
+      volume = 0;
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    priceVolume += typical * candle.volume;
+    volume += candle.volume;
+    return volume > 0 ? priceVolume / volume : typical;
+  });
+  return toPoints(candles, values);
+};
+
+const atr = (candles, { period }) => {
+  const trueRanges = candles.map((candle, i) => {
+    if (i === 0) return candle.high - candle.low;
+    const previousClose = candles[i - 1].close;
+    return Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+  });
+  return toPoints(candles, wilderSeries(trueRanges, period));
+};
+
+// Supported indicators - default parameters and how many candles before the
+// first returned point they need to settle (`warmup`, in bars)
+const INDICATORS = {
+  sma: { defaults: { period: 20 }, compute: sma, warmup: ({ period }) => period },
+  ema: { defaults: { period: 20 }, compute: ema, warmup: ({ period }) => period * 3 },
+  rsi: { defaults: { period: 14 }, compute: rsi, warmup: ({ period }) => period * 3 },
+  macd: { defaults: { fast: 12, slow: 26, signal: 9 }, compute: macd, warmup: ({ slow, signal }) => slow * 3 + signal },
+  bollinger: { defaults: { period: 20, stdDev: 2 }, compute: bollinger, warmup: ({ period }) => period },
+  vwap: { defaults: {}, compute: vwap, warmup: (params, interval) => Math.ceil(DAY_MS / INTERVALS[interval]) },
+  atr: { defaults: { period: 14 }, compute: atr, warmup: ({ period }) => period * 3 }
+};
+
+const normalizeType = (type) => String(type || '').trim().toLowerCase();
+
+const getIndicator = (type) => {
+  const indicator = INDICATORS[normalizeType(type)];
+  if (!indicator) {
+    throw indicatorError('INVALID_INDICATOR', `Unknown indicator. Supported: ${Object.keys(INDICATORS).join(', ')}`);
+  }
+  return indicator;
+};
+
+// Validate parameters given as an object or as "name:value,..." (e.g. "fast:12,slow:26"),
+// filling in the defaults for any left out
+const parseIndicatorParams = (type, raw) => {
+  const { defaults } = getIndicator(type);
+  let given = raw || {};
+  if (typeof raw === 'string') {
+    given = {};
+    raw.split(',').filter(Boolean).forEach((pair) => {
+      const [name, value] = pair.split(':');
+      given[name.trim()] = value;
+    });
+  }
+
+  const params = { ...defaults };
+  Object.keys(given).forEach((name) => {
+    if (defaults[name] === undefined) {
+      throw indicatorError('INVALID_INDICATOR_PARAMS', `Unknown ${normalizeType(type)} parameter "${name}"`);
+    }
+    const value = Number(given[name]);
+    // Standard deviations may be fractional; every other parameter is a bar count
+    const valid = name === 'stdDev'
+      ? value > 0 && value <= 10
+      : Number.isInteger(value) && value >= 1 && value <= MAX_PERIOD;
+    if (!valid) {
+      throw indicatorError('INVALID_INDICATOR_PARAMS', `Invalid ${normalizeType(type)} parameter "${name}"`);
+    }
+    params[name] = value;
+  });
+
+  if (params.fast !== undefined && params.fast >= params.slow) {
+    throw indicatorError('INVALID_INDICATOR_PARAMS', 'The fast period must be shorter than the slow period');
+  }
+  return params;
+};
+
+// Candles needed before the first returned point
+const getWarmupBars = (type, params, interval) => getIndicator(type).warmup(params, interval);
+
+const computeIndicator = (type, candles, params) => getIndicator(type).compute(candles, params);
+
+module.exports = {
+  INDICATORS,
+  normalizeType,
+  parseIndicatorParams,
+  getWarmupBars,
+  computeIndicator
+};
@@ -0,0 +1,189 @@
+const { EventEmitter } = require('events');
+const Instrument = require('../models/Instrument');
+const User = require('../models/User');
+const DEFAULT_INSTRUMENTS = require('../data/instruments.json');
+const { INDEX_TICKER } = require('./marketIndex');
+const { getModelParams } = require('./priceModel');
+
+// In-memory copy of the Instrument collection - the single source of truth for
+// which tickers are listed. Loaded on boot and kept current by the CRUD helpers.
+let instruments = new Map();
+
+// Emits 'change' with the full list whenever an instrument is added, edited or removed,
+// and whether this node made the edit ('edit') or reloaded the collection ('load')
+const events = new EventEmitter();
+
+// Error carrying a machine-readable code and HTTP status
+const catalogError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const normalizeTicker = (ticker) => String(ticker || '').trim().toUpperCase();
+
+// Fields an admin may set (the ticker is fixed once listed)
+const EDITABLE_FIELDS = ['name', 'shortName', 'sector', 'exchange', 'currency', 'tickSize', 'basePrice', 'sharesOutstanding', 'dividendYield', 'modelParams', 'circuitBreakers', 'logo', 'color'];
+
+// Fields added to the catalog after it was first seeded - copied from the default
+// instruments onto listings that predate them (see backfillDefaults)
+const BACKFILL_FIELDS = ['sharesOutstanding', 'dividendYield', 'modelParams'];
+
+const pickEditable = (data = {}) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+const toInstrument = (doc) => ({
+  ticker: doc.ticker,
+  name: doc.name,
+  shortName: doc.shortName || doc.name,
+  sector: doc.sector,
+  exchange: doc.exchange,
+  currency: doc.currency,
+  tickSize: doc.tickSize,
+  basePrice: doc.basePrice,
+  sharesOutstanding: doc.sharesOutstanding || 0,
+  dividendYield: doc.dividendYield || 0,
+  modelParams: getModelParams(doc.modelParams),
+  circuitBreakers: (doc.circuitBreakers || []).map(({ percent, haltSeconds }) => ({ percent, haltSeconds })),
+  logo: doc.logo,
+  color: doc.color
+});
+
+const publish = (source = 'edit') => {
+  events.emit('change', getInstruments(), source);
+};
+
+// Give default instruments seeded before a field existed that field's default value.
+// Only listings that have never had the field are touched, so admin edits stay.
+const backfillDefaults = async () => {
+  const operations = [];
+  DEFAULT_INSTRUMENTS.forEach((instrument) => {
+    BACKFILL_FIELDS.forEach((field) => {
+      if (instrument[field] === undefined) return;
+      operations.push({
+        updateOne: {
+          filter: { ticker: instrument.ticker, [field]: { $exists: false } },
+          update: { $set: { [field]: instrument[field] } }
+        }
+      });
+    });
+  });
+  if (operations.length === 0) return;
+
+  const { modifiedCount } = await Instrument.bulkWrite(operations, { ordered: false });
+  if (modifiedCount > 0) console.log(`Backfilled ${modifiedCount} instrument fields from the defaults`);
+};
+
+// Nested fields are set one by one, so an edit to some model parameters keeps the others
+const toUpdate = (fields) => {
+  const update = { ...fields };
+  if (fields.modelParams && typeof fields.modelParams === 'object') {
+    delete update.modelParams;
+    Object.keys(fields.modelParams).forEach((name) => {
+      update[`modelParams.${name}`] = fields.modelParams[name];
+    });
+  }
+  return update;
+};
+
+// Load the catalog from MongoDB, seeding the default instruments into an empty collection
+const loadInstruments = async () => {
+  if (await Instrument.estimatedDocumentCount() === 0) {
+    await Instrument.insertMany(DEFAULT_INSTRUMENTS);
+    console.log(`Seeded ${DEFAULT_INSTRUMENTS.length} default instruments`);
+  } else {
+    await backfillDefaults();
+  }
+
+  const docs = await Instrument.find().sort({ createdAt: 1, ticker: 1 }).lean();
+  instruments = new Map(docs.map((doc) => [doc.ticker, toInstrument(doc)]));
+  publish('load');
+  return getInstruments();
+};
+
+const getInstruments = () => Array.from(instruments.values()).map((instrument) => ({ ...instrument }));
+
+const getTickers = () => Array.from(instruments.keys());
+
+const getInstrument = (ticker) => {
+  const instrument = instruments.get(normalizeTicker(ticker));
+  return instrument ? { ...instrument } : null;
+};
+
+const isSupported = (ticker) => instruments.has(normalizeTicker(ticker));
+
+// List a new instrument
+const createInstrument = async (data) => {
+  const ticker = normalizeTicker(data.ticker);
+  if (ticker === INDEX_TICKER) {
+    throw catalogError('TICKER_RESERVED', `${ticker} is reserved for the composite index`, 409);
+  }
+  if (instruments.has(ticker) || await Instrument.exists({ ticker })) {
+    throw catalogError('INSTRUMENT_EXISTS', `${ticker} is already listed`, 409);
+  }
+
+  const doc = await Instrument.create({ ...pickEditable(data), ticker });
+  instruments.set(doc.ticker, toInstrument(doc));
+  publish();
+  return toInstrument(doc);
+};
+
+// Edit an instrument's details (the ticker itself cannot change)
+const updateInstrument = async (ticker, updates) => {
+  const normalizedTicker = normalizeTicker(ticker);
+
+  const doc = await Instrument.findOneAndUpdate(
+    { ticker: normalizedTicker },
+    { $set: toUpdate(pickEditable(updates)) },
+    { new: true, runValidators: true }
+  );
+  if (!doc) {
+    throw catalogError('INSTRUMENT_NOT_FOUND', `${normalizedTicker} is not listed`, 404);
+  }
+
+  instruments.set(doc.ticker, toInstrument(doc));
+  publish();
+  return toInstrument(doc);
+};
+
+// Delist an instrument and drop it from every user's subscriptions
+const deleteInstrument = async (ticker) => {
+  const normalizedTicker = normalizeTicker(ticker);
+
+  const doc = await Instrument.findOneAndDelete({ ticker: normalizedTicker });
+  if (!doc) {
+    throw catalogError('INSTRUMENT_NOT_FOUND', `${normalizedTicker} is not listed`, 404);
+  }
+
+  await User.updateMany(
+    { subscribedStocks: normalizedTicker },
+    { $pull: { subscribedStocks: normalizedTicker } }
+  );
+
+  instruments.delete(normalizedTicker);
+  publish();
+  return toInstrument(doc);
+};
+
+const onCatalogChange = (listener) => {
+  events.on('change', listener);
+  return () => events.off('change', listener);
+};
+
+module.exports = {
+  loadInstruments,
+  getInstruments,
+  getTickers,
+  getInstrument,
+  isSupported,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument,
+  onCatalogChange
+};
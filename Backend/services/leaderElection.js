@@ -0,0 +1,62 @@
+// Lease-based leader election over the message bus. One node holds the lease
+// and renews it every third of its TTL; if that node dies, another takes over
+// once the lease expires.
+
+const LEADER_KEY = 'market:leader';
+const DEFAULT_LEASE_MS = 10000;
+
+const createLeaderElection = ({
+  bus,
+  key = LEADER_KEY,
+  leaseMs = Number(process.env.LEADER_LEASE_MS) || DEFAULT_LEASE_MS,
+  onElected = () => {},
+  onDemoted = () => {}
+}) => {
+  let leader = false;
+  let timer = null;
+
+  const campaign = async () => {
+    let held = false;
+    try {
+      held = await bus.acquireLock(key, bus.nodeId, leaseMs);
+    } catch (error) {
+      // Without the bus the lease cannot be renewed - step down before another node takes it
+      console.error('Leader election failed:', error.message);
+    }
+
+    if (held && !leader) {
+      leader = true;
+      console.log(`Node ${bus.nodeId} elected market leader`);
+      onElected();
+    } else if (!held && leader) {
+      leader = false;
+      console.log(`Node ${bus.nodeId} lost market leadership`);
+      onDemoted();
+    }
+  };
+
+  const start = async () => {
+    if (timer) return;
+    timer = setInterval(campaign, Math.max(100, Math.floor(leaseMs / 3)));
+    await campaign();
+  };
+
+  // Stop campaigning and hand the lease to the next node straight away
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    if (!leader) return;
+
+    leader = false;
+    onDemoted();
+    await bus.releaseLock(key, bus.nodeId);
+  };
+
+  return {
+    start,
+    stop,
+    isLeader: () => leader
+  };
+};
+
+module.exports = { createLeaderElection, LEADER_KEY };
@@ -0,0 +1,191 @@
+// Exchange calendar - regular hours, pre/post-market windows, time zone and holidays.
+// Times are wall-clock times in the exchange time zone.
+
+// NYSE full-day holidays (YYYY-MM-DD, exchange local date)
+const DEFAULT_HOLIDAYS = [
+  '2025-01-01', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19',
+  '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+  '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+  '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+  '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+  '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24',
+];
+
+const SESSIONS = {
+  PRE_MARKET: 'pre_market',
+  REGULAR: 'regular',
+  POST_MARKET: 'post_market',
+  CLOSED: 'closed',
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Parse "HH:MM" into minutes after midnight
+const parseClock = (value, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return parseClock(fallback);
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Read the calendar configuration from the environment
+const getCalendarConfig = () => ({
+  timezone: process.env.MARKET_TIMEZONE || 'America/New_York',
+  preOpen: parseClock(process.env.MARKET_PRE_OPEN, '04:00'),
+  open: parseClock(process.env.MARKET_OPEN, '09:30'),
+  close: parseClock(process.env.MARKET_CLOSE, '16:00'),
+  postClose: parseClock(process.env.MARKET_POST_CLOSE, '20:00'),
+  tradingDays: process.env.MARKET_TRADING_DAYS
+    ? parseList(process.env.MARKET_TRADING_DAYS).map(Number)
+    : [1, 2, 3, 4, 5],
+  holidays: new Set(process.env.MARKET_HOLIDAYS !== undefined
+    ? parseList(process.env.MARKET_HOLIDAYS)
+    : DEFAULT_HOLIDAYS),
+  alwaysOpen: process.env.MARKET_ALWAYS_OPEN === 'true'
+});
+
+// Wall-clock parts of an instant in a time zone
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+// Offset (ms) of a time zone from UTC at a given instant
+const getOffset = (time, timezone) => {
+  const p = getZonedParts(new Date(time), timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+};
+
+// Convert an exchange-local date key and minutes after midnight into a UTC timestamp
+const zonedTimeToUtc = (dateKey, minutes, timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const firstPass = guess - getOffset(guess, timezone);
+  // Re-evaluate the offset at the result so DST changes resolve correctly
+  return guess - getOffset(firstPass, timezone);
+};
+
+// Exchange-local date (YYYY-MM-DD) an instant falls on
+const getTradingDate = (time, timezone = getCalendarConfig().timezone) => getZonedParts(new Date(time), timezone).dateKey;
+
+// Date key n days after another date key
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const isTradingDay = (dateKey, config) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return config.tradingDays.includes(weekday) && !config.holidays.has(dateKey);
+};
+
+// Session boundaries for a trading day as [{ session, at }] in chronological order
+const getDaySchedule = (dateKey, config) => [
+  { session: SESSIONS.PRE_MARKET, at: zonedTimeToUtc(dateKey, config.preOpen, config.timezone) },
+  { session: SESSIONS.REGULAR, at: zonedTimeToUtc(dateKey, config.open, config.timezone) },
+  { session: SESSIONS.POST_MARKET, at: zonedTimeToUtc(dateKey, config.close, config.timezone) },
+  { session: SESSIONS.CLOSED, at: zonedTimeToUtc(dateKey, config.postClose, config.timezone) },
+];
+
+// Find the first boundary after `time` matching `session` (searching up to two weeks ahead)
+const findNext = (time, dateKey, config, session) => {
+  for (let offset = 0; offset < 14; offset++) {
+    const key = addDays(dateKey, offset);
+    if (!isTradingDay(key, config)) continue;
+
+    const boundary = getDaySchedule(key, config)
+      .find((item) => item.at > time && (!session || item.session === session));
+    if (boundary) return boundary;
+  }
+  return null;
+};
+
+// Current market status
+const getMarketStatus = (now = new Date(), config = getCalendarConfig()) => {
+  const time = new Date(now).getTime();
+  const local = getZonedParts(new Date(time), config.timezone);
+
+  if (config.alwaysOpen) {
+    return {
+      session: SESSIONS.REGULAR,
+      isOpen: true,
+      isTrading: true,
+      timezone: config.timezone,
+      localDate: local.dateKey,
+      nextSession: null,
+      nextChangeAt: null,
+      nextOpen: null,
+      nextClose: null,
+      timestamp: new Date(time).toISOString()
+    };
+  }
+
+  let session = SESSIONS.CLOSED;
+  if (isTradingDay(local.dateKey, config)) {
+    getDaySchedule(local.dateKey, config).forEach((item) => {
+      if (item.at <= time) session = item.session;
+    });
+  }
+
+  const nextChange = findNext(time, local.dateKey, config);
+  const nextOpen = findNext(time, local.dateKey, config, SESSIONS.REGULAR);
+  const nextClose = findNext(time, local.dateKey, config, SESSIONS.POST_MARKET);
+  const toIso = (boundary) => (boundary ? new Date(boundary.at).toISOString() : null);
+
+  return {
+    session,
+    isOpen: session === SESSIONS.REGULAR,
+    isTrading: session !== SESSIONS.CLOSED,
+    timezone: config.timezone,
+    localDate: local.dateKey,
+    nextSession: nextChange ? nextChange.session : null,
+    nextChangeAt: toIso(nextChange),
+    nextOpen: toIso(nextOpen),
+    nextClose: toIso(nextClose),
+    timestamp: new Date(time).toISOString()
+  };
+};
+
+// Whether `status` starts a session `previous` was not in - a change of session, or a
+// new day of an always-open market (which stays in the regular session), so reference
+// prices and circuit breakers still roll over once a day
+const isNewSession = (previous, status) => status.session !== previous?.session
+  || (status.session === SESSIONS.REGULAR && status.localDate !== previous.localDate);
+
+module.exports = {
+  SESSIONS,
+  getCalendarConfig,
+  getMarketStatus,
+  isNewSession,
+  getTradingDate,
+  zonedTimeToUtc,
+  isTradingDay
+};
@@ -0,0 +1,121 @@
+const { createPriceFeed } = require('./priceFeeds');
+const { getMarketStatus, isNewSession, SESSIONS } = require('./marketCalendar');
+const { buildDelta, applyDelta } = require('./priceStream');
+const fxRates = require('./fxRates');
+const catalog = require('./instrumentCatalog');
+const market = require('./marketState');
+
+// Bus channels market data is distributed on. Every message carries the nodeId that sent it.
+const CHANNELS = {
+  TICK: 'market:tick', // { tick, delta, basePrices }
+  SESSION: 'market:session', // { status, basePrices }
+  FX: 'market:fx', // { rates }
+  CATALOG: 'market:catalog' // instruments were edited on the sending node
+};
+
+const publish = (bus, channel, message = {}) => {
+  bus.publish(channel, { ...message, nodeId: bus.nodeId }).catch((error) => {
+    console.error(`Failed to publish ${channel}:`, error.message);
+  });
+};
+
+// Generate market data - run only on the elected leader node. Starts the price
+// feed, the session clock and the FX rates, applies each result here and
+// publishes it for the other nodes. The handlers run once this node's state has changed:
+//   onTick({ tick, delta }), onSession(status), onFx(rates)
+const createMarketProducer = ({ bus, onTick, onSession, onFx }) => {
+  let priceFeed = null;
+  let sessionTimer = null;
+
+  const start = () => {
+    if (priceFeed) return;
+
+    // Prices continue from the state every node shares, so a new leader picks up where the last one stopped
+    market.relinkIndex();
+    priceFeed = createPriceFeed({
+      getTickers: catalog.getTickers,
+      getPrice: market.getPrice,
+      getAnchor: market.getBasePrice,
+      getModelParams: (ticker) => catalog.getInstrument(ticker)?.modelParams
+    });
+    console.log(`Price feed: ${priceFeed.name}`);
+
+    // FX rates move independently of the exchange session
+    fxRates.startFxRates((rates) => {
+      publish(bus, CHANNELS.FX, { rates });
+      onFx(rates);
+    });
+
+    // Announce session changes (pre-market, open, close, after hours, and each new
+    // day of an always-open market)
+    sessionTimer = setInterval(() => {
+      const status = getMarketStatus();
+      if (!isNewSession(market.getSessionStatus(), status)) return;
+
+      const basePrices = status.session === SESSIONS.REGULAR ? market.rollSessionOpen() : undefined;
+      market.setSessionStatus(status);
+      console.log(`Market session: ${status.session}`);
+      publish(bus, CHANNELS.SESSION, { status, basePrices });
+      onSession(status);
+    }, 1000);
+
+    priceFeed.start((feedTick) => {
+      // Prices only move during open sessions
+      if (!market.getSessionStatus().isTrading) return;
+
+      const tick = market.produceTick(feedTick);
+      const delta = buildDelta(market.getQuotes(), tick.timestamp);
+      // Base prices ride along so nodes that joined mid-session show the same change
+      publish(bus, CHANNELS.TICK, { tick, delta, basePrices: market.getBasePrices() });
+      onTick({ tick, delta });
+    });
+  };
+
+  const stop = () => {
+    if (!priceFeed) return;
+
+    priceFeed.stop();
+    priceFeed = null;
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+    fxRates.stopFxRates();
+  };
+
+  return { start, stop };
+};
+
+// Keep this node in step with the leader: apply the ticks, session changes and
+// FX rates it publishes, and reload the instrument catalog when another node edits it.
+// onTick({ tick, delta }) runs after each tick from another node is applied.
+const followMarket = async ({ bus, onTick }) => {
+  const fromOtherNodes = (handler) => (message) => {
+    if (message.nodeId !== bus.nodeId) handler(message);
+  };
+
+  catalog.onCatalogChange((instruments, source) => {
+    if (source === 'edit') publish(bus, CHANNELS.CATALOG);
+  });
+
+  return Promise.all([
+    bus.subscribe(CHANNELS.TICK, fromOtherNodes(({ tick, delta, basePrices }) => {
+      if (basePrices) market.applyBasePrices(basePrices);
+      market.applyTick(tick);
+      applyDelta(delta);
+      onTick({ tick, delta });
+    })),
+    bus.subscribe(CHANNELS.SESSION, fromOtherNodes(({ status, basePrices }) => {
+      if (basePrices) market.rollSessionOpen(basePrices);
+      market.setSessionStatus(status);
+    })),
+    bus.subscribe(CHANNELS.FX, fromOtherNodes(({ rates }) => {
+      fxRates.applyRates(rates);
+    })),
+    bus.subscribe(CHANNELS.CATALOG, fromOtherNodes(() => {
+      catalog.loadInstruments().catch((error) => {
+        console.error('Failed to reload instruments:', error.message);
+      });
+    }))
+  ]);
+};
+
+module.exports = { CHANNELS, createMarketProducer, followMarket };
@@ -0,0 +1,82 @@
+// Composite market index over every listed instrument, weighted by market cap
+// (price x shares outstanding) or equally (MARKET_INDEX_WEIGHTING). The index is
+// chain-linked: each rebalance carries the current level forward and resets the
+// weights to current prices, so listings, delistings and a new leader never make
+// the level jump. It is streamed like any ticker under INDEX_TICKER.
+
+const INDEX_TICKER = 'COMPOSITE';
+const INDEX_NAME = 'Composite Index';
+// Level the index starts from before any ticks have been recorded
+const BASE_LEVEL = 1000;
+const WEIGHTINGS = ['cap', 'equal'];
+
+const getWeighting = () => {
+  const weighting = String(process.env.MARKET_INDEX_WEIGHTING || 'cap').trim().toLowerCase();
+  return WEIGHTINGS.includes(weighting) ? weighting : 'cap';
+};
+
+// Level at the last rebalance, and each constituent's weight and price at that moment
+let linkLevel = null;
+let constituents = {};
+// Weighting of the last rebalance - a cap-weighted index falls back to equal weights
+// while no listing has shares outstanding
+let appliedWeighting = null;
+
+const isLinked = () => linkLevel !== null;
+
+// Reset the weights to `prices` (instrument ticker -> price), continuing from `level`
+const rebalance = (level, prices, instruments) => {
+  const priced = instruments.filter(({ ticker }) => prices[ticker] > 0);
+  const capWeighted = getWeighting() === 'cap' && priced.some((instrument) => instrument.sharesOutstanding > 0);
+
+  // Instruments without shares outstanding drop out of a cap-weighted index;
+  // if none have them it falls back to equal weights
+  const sizes = {};
+  priced.forEach(({ ticker, sharesOutstanding }) => {
+    sizes[ticker] = capWeighted ? prices[ticker] * (sharesOutstanding || 0) : 1;
+  });
+  const total = Object.values(sizes).reduce((sum, size) => sum + size, 0);
+
+  const weighting = capWeighted ? 'cap' : 'equal';
+  if (weighting !== getWeighting() && weighting !== appliedWeighting) {
+    console.warn('Composite index: no listing has sharesOutstanding - weighting equally instead of by market cap');
+  }
+  appliedWeighting = weighting;
+
+  constituents = {};
+  Object.keys(sizes).forEach((ticker) => {
+    if (sizes[ticker] > 0) constituents[ticker] = { weight: sizes[ticker] / total, price: prices[ticker] };
+  });
+  linkLevel = level;
+};
+
+// Weighting the index is computed with (the configured one until it first rebalances)
+const getAppliedWeighting = () => appliedWeighting || getWeighting();
+
+// Index level at `prices` - each constituent contributes its weighted return since the last rebalance
+const computeLevel = (prices) => {
+  const growth = Object.keys(constituents).reduce((sum, ticker) => {
+    const { weight, price } = constituents[ticker];
+    const current = prices[ticker] > 0 ? prices[ticker] : price;
+    return sum + weight * (current / price);
+  }, 0);
+
+  return Number((linkLevel * (growth || 1)).toFixed(2));
+};
+
+// Constituent weights, largest first
+const getConstituents = () => Object.keys(constituents)
+  .map((ticker) => ({ ticker, weight: Number(constituents[ticker].weight.toFixed(6)) }))
+  .sort((a, b) => b.weight - a.weight);
+
+module.exports = {
+  INDEX_TICKER,
+  INDEX_NAME,
+  BASE_LEVEL,
+  getWeighting,
+  getAppliedWeighting,
+  isLinked,
+  rebalance,
+  computeLevel,
+  getConstituents
+};
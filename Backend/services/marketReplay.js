@@ -0,0 +1,245 @@
+const tickStore = require('./tickStore');
+
+// Replays recorded ticks from the tick store at 1x-100x speed. A session is
+// independent of the live market: it keeps its own prices, history and stream
+// sequence, and reports them through the same snapshot/delta shapes as the live stream.
+
+const MIN_SPEED = 1;
+const MAX_SPEED = 100;
+// Largest range a session may load, in ticks
+const MAX_REPLAY_TICKS = Number(process.env.REPLAY_MAX_TICKS) || 200000;
+// Longest real-time wait between frames - skips the overnight and weekend gaps in the recording
+const MAX_FRAME_DELAY_MS = 2000;
+// Price points per ticker sent with a snapshot (matches the live stream)
+const HISTORY_POINTS = 20;
+
+const STATUS = {
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  STOPPED: 'stopped'
+};
+
+// Error carrying a machine-readable code
+const replayError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const parseSpeed = (speed) => {
+  const value = Number(speed);
+  if (!Number.isFinite(value) || value < MIN_SPEED || value > MAX_SPEED) {
+    throw replayError('INVALID_SPEED', `Speed must be between ${MIN_SPEED}x and ${MAX_SPEED}x`);
+  }
+  return value;
+};
+
+const parseTime = (value, name) => {
+  const time = new Date(value).getTime();
+  if (value === undefined || value === null || Number.isNaN(time)) {
+    throw replayError('INVALID_RANGE', `A valid ${name} time is required`);
+  }
+  return time;
+};
+
+// Group ticks recorded at the same moment into frames: [{ time, prices: { TICKER: price } }]
+const toFrames = (ticks) => {
+  const frames = [];
+  ticks.forEach((tick) => {
+    let frame = frames[frames.length - 1];
+    if (!frame || frame.time !== tick.timestamp) {
+      frame = { time: tick.timestamp, prices: {} };
+      frames.push(frame);
+    }
+    frame.prices[tick.ticker] = tick.price;
+  });
+  return frames;
+};
+
+// Load the recorded ticks for a range and prepare a paused session positioned at its first frame.
+// handlers.onSnapshot(snapshot), onDelta(delta) and onState(state) receive everything the session streams.
+const createReplaySession = async ({ tickers, from, to, speed = MIN_SPEED }, handlers) => {
+  const start = parseTime(from, 'start');
+  const end = parseTime(to, 'end');
+  if (end <= start) {
+    throw replayError('INVALID_RANGE', 'The end of the range must be after its start');
+  }
+  let playbackSpeed = parseSpeed(speed);
+
+  const ticks = await tickStore.loadTickRange(tickers, { from: start, to: end, limit: MAX_REPLAY_TICKS + 1 });
+  if (ticks.length === 0) {
+    throw replayError('REPLAY_NO_DATA', 'No recorded prices in this range');
+  }
+  if (ticks.length > MAX_REPLAY_TICKS) {
+    throw replayError('REPLAY_RANGE_TOO_LARGE', 'Too many recorded prices in this range - choose a shorter one');
+  }
+
+  const frames = toFrames(ticks);
+
+  // Reference price per ticker for the change percentage - its first price in the range
+  const openingPrices = {};
+  frames.forEach((frame) => {
+    Object.keys(frame.prices).forEach((ticker) => {
+      if (openingPrices[ticker] === undefined) openingPrices[ticker] = frame.prices[ticker];
+    });
+  });
+
+  let prices = {};
+  let history = {};
+  let cursor = 0; // Index of the next frame to play
+  let sequence = 0;
+  let status = STATUS.PAUSED;
+  let timer = null;
+
+  const calculateChange = (ticker) => {
+    const change = ((prices[ticker] - openingPrices[ticker]) / openingPrices[ticker]) * 100;
+    return Number(change.toFixed(2));
+  };
+
+  const getPosition = () => frames[Math.max(0, cursor - 1)].time;
+
+  const getState = () => ({
+    status,
+    tickers: Object.keys(openingPrices),
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    position: new Date(getPosition()).toISOString(),
+    speed: playbackSpeed
+  });
+
+  const getSnapshot = () => {
+    const stocks = {};
+    Object.keys(prices).forEach((ticker) => {
+      stocks[ticker] = {
+        price: prices[ticker],
+        change: calculateChange(ticker),
+        history: history[ticker].slice(-HISTORY_POINTS)
+      };
+    });
+    return {
+      seq: sequence,
+      stocks,
+      timestamp: new Date(getPosition()).toISOString(),
+      replay: true
+    };
+  };
+
+  // Apply one frame, returning the changed fields per ticker
+  const applyFrame = (frame) => {
+    const changes = {};
+    Object.keys(frame.prices).forEach((ticker) => {
+      prices[ticker] = frame.prices[ticker];
+      history[ticker] = [...(history[ticker] || []), frame.prices[ticker]].slice(-HISTORY_POINTS);
+      changes[ticker] = { price: prices[ticker], change: calculateChange(ticker) };
+    });
+    return changes;
+  };
+
+  // Rebuild prices and history as of frame `index`
+  const rebuild = (index) => {
+    prices = {};
+    history = {};
+    cursor = Math.max(1, Math.min(index, frames.length));
+    frames.slice(0, cursor).forEach(applyFrame);
+  };
+
+  // Rebuild and send a fresh baseline
+  const moveTo = (index) => {
+    rebuild(index);
+    sequence += 1;
+    handlers.onSnapshot(getSnapshot());
+  };
+
+  const step = () => {
+    const frame = frames[cursor];
+    cursor += 1;
+    sequence += 1;
+    handlers.onDelta({
+      seq: sequence,
+      prevSeq: sequence - 1,
+      changes: applyFrame(frame),
+      timestamp: new Date(frame.time).toISOString(),
+      replay: true
+    });
+    schedule();
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (status !== STATUS.PLAYING) return;
+
+    if (cursor >= frames.length) {
+      status = STATUS.ENDED;
+      handlers.onState(getState());
+      return;
+    }
+
+    const gap = frames[cursor].time - frames[cursor - 1].time;
+    timer = setTimeout(step, Math.min(MAX_FRAME_DELAY_MS, gap / playbackSpeed));
+  };
+
+  const play = () => {
+    if (status === STATUS.STOPPED || status === STATUS.PLAYING) return getState();
+    // Start over once the end was reached
+    if (status === STATUS.ENDED) moveTo(1);
+    status = STATUS.PLAYING;
+    handlers.onState(getState());
+    schedule();
+    return getState();
+  };
+
+  const pause = () => {
+    if (status !== STATUS.PLAYING) return getState();
+    clearTimeout(timer);
+    status = STATUS.PAUSED;
+    handlers.onState(getState());
+    return getState();
+  };
+
+  // Jump to a moment in the range - the frame at or just before it
+  const seek = (time) => {
+    if (status === STATUS.STOPPED) return getState();
+    const target = parseTime(time, 'seek');
+    const index = frames.findIndex((frame) => frame.time > target);
+    moveTo(index === -1 ? frames.length : index);
+
+    if (status === STATUS.ENDED) status = STATUS.PAUSED;
+    handlers.onState(getState());
+    schedule();
+    return getState();
+  };
+
+  const setSpeed = (value) => {
+    playbackSpeed = parseSpeed(value);
+    handlers.onState(getState());
+    schedule();
+    return getState();
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    status = STATUS.STOPPED;
+    return getState();
+  };
+
+  rebuild(1);
+
+  return {
+    play,
+    pause,
+    seek,
+    setSpeed,
+    stop,
+    getState,
+    getSnapshot
+  };
+};
+
+module.exports = {
+  MIN_SPEED,
+  MAX_SPEED,
+  MAX_REPLAY_TICKS,
+  STATUS,
+  createReplaySession
+};
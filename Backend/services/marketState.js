@@ -0,0 +1,291 @@
+const { recordTick, synthesizeVolume } = require('./candleAggregator');
+const tickStore = require('./tickStore');
+const { getMarketStatus } = require('./marketCalendar');
+const orderBook = require('./orderBook');
+const tradeTape = require('./tradeTape');
+const catalog = require('./instrumentCatalog');
+const circuitBreaker = require('./circuitBreaker');
+const marketIndex = require('./marketIndex');
+
+const { INDEX_TICKER } = marketIndex;
+
+// Prices, history and session of the simulated market. Only the leader node
+// produces ticks; every other node applies the leader's ticks so all of them
+// hold - and stream - identical state.
+
+// Base prices for calculating percentage change (simulating open price)
+const basePrices = {};
+
+// Current stock prices (shared across all users)
+const stockPrices = {};
+
+// Price history for charts (shared across all users)
+const HISTORY_LENGTH = 50;
+const priceHistory = {};
+
+// Current exchange session (prices only move while the market is trading)
+let marketStatus = getMarketStatus();
+
+const getSessionStatus = () => marketStatus;
+
+const setSessionStatus = (status) => {
+  marketStatus = status;
+};
+
+const getPrice = (ticker) => stockPrices[ticker];
+
+const getBasePrice = (ticker) => basePrices[ticker];
+
+// Every streamed ticker - the listed instruments plus the composite index
+const getStreamTickers = () => [...catalog.getTickers(), INDEX_TICKER];
+
+const isStreamTicker = (ticker) => ticker === INDEX_TICKER || catalog.isSupported(ticker);
+
+// Re-link the composite index to the current prices (keeps its level, resets its weights)
+const relinkIndex = () => {
+  marketIndex.rebalance(stockPrices[INDEX_TICKER], stockPrices, catalog.getInstruments());
+};
+
+// Move a ticker's synthetic bid/ask ladder using the instrument's tick size
+const refreshBook = (ticker, timestamp) => {
+  orderBook.updateBook(ticker, stockPrices[ticker], timestamp, {
+    tickSize: catalog.getInstrument(ticker)?.tickSize
+  });
+};
+
+// Start tracking newly listed instruments at their base price and drop delisted ones
+// (the composite index is re-weighted over the new listings)
+const syncInstruments = () => {
+  const tickers = catalog.getTickers();
+
+  if (stockPrices[INDEX_TICKER] === undefined) {
+    basePrices[INDEX_TICKER] = marketIndex.BASE_LEVEL;
+    stockPrices[INDEX_TICKER] = marketIndex.BASE_LEVEL;
+    priceHistory[INDEX_TICKER] = [marketIndex.BASE_LEVEL];
+  }
+
+  tickers.forEach((ticker) => {
+    if (stockPrices[ticker] !== undefined) return;
+    const { basePrice } = catalog.getInstrument(ticker);
+    basePrices[ticker] = basePrice;
+    stockPrices[ticker] = basePrice;
+    priceHistory[ticker] = [basePrice];
+    refreshBook(ticker);
+  });
+
+  Object.keys(stockPrices).forEach((ticker) => {
+    if (ticker === INDEX_TICKER || tickers.includes(ticker)) return;
+    delete basePrices[ticker];
+    delete stockPrices[ticker];
+    delete priceHistory[ticker];
+  });
+
+  relinkIndex();
+};
+
+// Reset the reference prices to the opening prices of a new regular session
+// (or to the leader's opening prices, when given). Circuit-breaker bands move with
+// them and the composite index is re-weighted at the opening prices.
+const rollSessionOpen = (openingPrices = stockPrices) => {
+  getStreamTickers().forEach((ticker) => {
+    if (openingPrices[ticker] !== undefined) basePrices[ticker] = openingPrices[ticker];
+  });
+  circuitBreaker.resetBands();
+  relinkIndex();
+  return { ...basePrices };
+};
+
+// Reference prices of every streamed ticker
+const getBasePrices = () => ({ ...basePrices });
+
+// Take the leader's reference prices as they are - a node that starts mid-session
+// has only the base prices it started from
+const applyBasePrices = (leaderPrices) => {
+  getStreamTickers().forEach((ticker) => {
+    if (leaderPrices[ticker] !== undefined) basePrices[ticker] = leaderPrices[ticker];
+  });
+};
+
+// Calculate percentage change from base price
+const calculateChange = (ticker) => {
+  const base = basePrices[ticker];
+  const current = stockPrices[ticker];
+  const change = ((current - base) / base) * 100;
+  return Number(change.toFixed(2));
+};
+
+// Best bid/ask for a ticker
+const getTopOfBook = (ticker) => {
+  const quote = orderBook.getBestQuote(ticker);
+  return quote ? { bid: quote.bid, ask: quote.ask } : {};
+};
+
+// Latest quote (price, change, bid and ask) per ticker, without history
+const getQuotes = () => {
+  const quotes = {};
+  getStreamTickers().forEach(ticker => {
+    quotes[ticker] = {
+      price: stockPrices[ticker],
+      change: calculateChange(ticker),
+      ...getTopOfBook(ticker)
+    };
+  });
+  return quotes;
+};
+
+// Quote plus recent history for chart rendering (all listed tickers and the index by default)
+const getStockData = (tickers = getStreamTickers()) => {
+  const data = {};
+  tickers.forEach((ticker) => {
+    if (!isStreamTicker(ticker) || stockPrices[ticker] === undefined) return;
+    data[ticker] = {
+      price: stockPrices[ticker],
+      change: calculateChange(ticker),
+      ...getTopOfBook(ticker),
+      history: priceHistory[ticker].slice(-20) // Last 20 data points for chart
+    };
+  });
+  return data;
+};
+
+// Add to history (keep last 50 points)
+const pushHistory = (ticker) => {
+  priceHistory[ticker].push(stockPrices[ticker]);
+  if (priceHistory[ticker].length > HISTORY_LENGTH) {
+    priceHistory[ticker].shift();
+  }
+};
+
+// Apply a tick from the price feed on the leader node. Returns everything the
+// other nodes need to reproduce it: { timestamp, prices, books, trades, halts, resumes }
+const produceTick = ({ prices, timestamp }) => {
+  const tick = {
+    timestamp: timestamp || new Date().toISOString(),
+    prices: {},
+    books: {},
+    trades: [],
+    halts: [],
+    // Halts whose cooldown ended trade again from this tick
+    resumes: circuitBreaker.resumeDue()
+  };
+
+  catalog.getTickers().forEach(ticker => {
+    // Halted tickers hold their price until the halt lifts
+    if (circuitBreaker.isHalted(ticker)) return;
+
+    const price = Number(prices?.[ticker]);
+    if (!Number.isFinite(price) || price <= 0) return;
+
+    // A move past a circuit-breaker band stops at the band's limit and halts the ticker
+    const breach = circuitBreaker.checkBreach(ticker, price, basePrices[ticker]);
+
+    const previousPrice = stockPrices[ticker];
+    stockPrices[ticker] = Number((breach ? breach.limitPrice : price).toFixed(2));
+
+    // Move the synthetic bid/ask ladder with the price
+    refreshBook(ticker, timestamp);
+
+    // Print the tick's volume to the tape as discrete trades at the bid/ask
+    const prints = tradeTape.printTrades(ticker, {
+      previousPrice,
+      price: stockPrices[ticker],
+      volume: synthesizeVolume(previousPrice, stockPrices[ticker]),
+      quote: orderBook.getBestQuote(ticker),
+      timestamp
+    });
+
+    // Roll the tick into OHLCV candles and queue it, and any bars it closed, for persistence
+    // (volume = traded size). Only the leader persists, so each tick is stored once however many nodes run.
+    const volume = prints.reduce((sum, trade) => sum + trade.size, 0);
+    const closed = recordTick(ticker, stockPrices[ticker], volume, timestamp);
+    tickStore.recordTick(ticker, stockPrices[ticker], volume, timestamp);
+    tickStore.recordCandles(ticker, closed);
+    pushHistory(ticker);
+
+    tick.prices[ticker] = stockPrices[ticker];
+    tick.books[ticker] = orderBook.getBook(ticker);
+    tick.trades.push(...prints);
+
+    if (breach) {
+      tick.halts.push(circuitBreaker.haltTicker(ticker, breach, {
+        referencePrice: basePrices[ticker],
+        triggerPrice: price
+      }));
+    }
+  });
+
+  // The composite index moves with its constituents (it has no volume of its own)
+  if (Object.keys(tick.prices).length > 0) {
+    if (!marketIndex.isLinked()) relinkIndex();
+    stockPrices[INDEX_TICKER] = marketIndex.computeLevel(stockPrices);
+    const closed = recordTick(INDEX_TICKER, stockPrices[INDEX_TICKER], 0, timestamp);
+    tickStore.recordTick(INDEX_TICKER, stockPrices[INDEX_TICKER], 0, timestamp);
+    tickStore.recordCandles(INDEX_TICKER, closed);
+    pushHistory(INDEX_TICKER);
+    tick.prices[INDEX_TICKER] = stockPrices[INDEX_TICKER];
+  }
+
+  return tick;
+};
+
+// Apply a tick produced by the leader node
+const applyTick = ({ timestamp, prices, books, trades, halts = [], resumes = [] }) => {
+  resumes.forEach(circuitBreaker.applyResume);
+
+  Object.keys(prices).forEach((ticker) => {
+    // Listed on the leader but not yet loaded here
+    if (stockPrices[ticker] === undefined) return;
+
+    stockPrices[ticker] = prices[ticker];
+    if (books[ticker]) orderBook.setBook(ticker, books[ticker]);
+
+    const volume = trades
+      .filter((trade) => trade.ticker === ticker)
+      .reduce((sum, trade) => sum + trade.size, 0);
+    recordTick(ticker, stockPrices[ticker], volume, timestamp);
+    pushHistory(ticker);
+  });
+
+  tradeTape.recordTrades(trades.filter((trade) => stockPrices[trade.ticker] !== undefined));
+  halts.filter(({ ticker }) => stockPrices[ticker] !== undefined).forEach(circuitBreaker.applyHalt);
+};
+
+// Restore the last recorded price, recent history and open halts so restarts continue where they left off
+const restoreMarketState = async () => {
+  syncInstruments();
+  await circuitBreaker.restoreHalts();
+  const latest = await tickStore.loadLatestTicks(getStreamTickers(), HISTORY_LENGTH);
+
+  Object.keys(latest).forEach((ticker) => {
+    const ticks = latest[ticker];
+    stockPrices[ticker] = ticks[ticks.length - 1].price;
+    priceHistory[ticker] = ticks.map((tick) => tick.price);
+    if (ticker !== INDEX_TICKER) refreshBook(ticker);
+  });
+  relinkIndex();
+
+  if (Object.keys(latest).length > 0) {
+    console.log(`Restored last prices for ${Object.keys(latest).join(', ')}`);
+  }
+};
+
+module.exports = {
+  HISTORY_LENGTH,
+  getSessionStatus,
+  setSessionStatus,
+  getPrice,
+  getBasePrice,
+  getStreamTickers,
+  isStreamTicker,
+  relinkIndex,
+  syncInstruments,
+  rollSessionOpen,
+  getBasePrices,
+  applyBasePrices,
+  calculateChange,
+  getQuotes,
+  getStockData,
+  produceTick,
+  applyTick,
+  restoreMarketState
+};
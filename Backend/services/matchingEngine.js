@@ -0,0 +1,188 @@
+const market = require('./marketState');
+const orderBook = require('./orderBook');
+const orderService = require('./orderService');
+const { ACTIVE_STATUSES } = require('./orderLifecycle');
+
+// Matching engine for resting orders - limit, stop and stop-limit. Runs only on
+// the elected leader, next to the price feed: every tick it checks the open orders
+// of each ticker that moved and fills those whose price was reached. Open orders
+// live in MongoDB, so a restarted or newly elected leader reloads them on start.
+//
+//   limit       buy fills once the ask is at or below the limit, sell once the bid is at or above it
+//   stop        triggers once the last price reaches the stop, then fills like a market order
+//   stop_limit  triggers like a stop, then rests as a limit order
+//
+// Fills take the live quote - buys at the ask, sells at the bid - so a limit order
+// can fill at a better price than its limit, never a worse one. Each fill takes at
+// most the size shown at the touch, so a large order fills over several ticks
+// (partially_filled until the last share).
+//
+// Orders of an OCO group (including a bracket's exits) are worked one at a time,
+// so once one leg fills its siblings are cancelled before any of them can fill.
+
+// Open and partially filled orders by ticker: { ticker: Map(orderId -> order) }
+const books = new Map();
+// Orders (and OCO groups) with a fill, trigger or expiry in progress - skipped by
+// later ticks until it lands
+const working = new Set();
+
+let running = false;
+// onOrderUpdate(userId, order) - an order triggered, filled, was cancelled, expired or was rejected
+let notify = () => {};
+// onWalletUpdate(userId, wallet) - a fill moved a user's cash
+let notifyWallet = () => {};
+
+// Drop an order from its ticker's book - only the copy given, when one is, so a
+// change that already replaced it stays
+const removeOrder = (order, copy) => {
+  const book = books.get(order.ticker);
+  if (!book || (copy && book.get(order.id) !== copy)) return;
+
+  book.delete(order.id);
+  if (book.size === 0) books.delete(order.ticker);
+};
+
+// Bring the book in line with an order's latest state: rest it while it is open or
+// partially filled, drop it otherwise (ignored unless the engine runs on this node).
+// Changes can arrive out of order, so an older revision never replaces a newer one.
+const syncOrder = (order) => {
+  if (!running) return;
+
+  const booked = books.get(order.ticker)?.get(order.id);
+  if (booked && booked.revision > order.revision) return;
+  if (!ACTIVE_STATUSES.includes(order.status)) {
+    removeOrder(order);
+    return;
+  }
+
+  if (!books.has(order.ticker)) books.set(order.ticker, new Map());
+  books.get(order.ticker).set(order.id, order);
+};
+
+// Whether the last price reached a stop order's stop
+const isStopReached = (order, quote) => (order.side === 'buy'
+  ? quote.price >= order.stopPrice
+  : quote.price <= order.stopPrice);
+
+// Whether the quote crosses a limit order's limit
+const isLimitReached = (order, quote) => (order.side === 'buy'
+  ? quote.ask <= order.limitPrice
+  : quote.bid >= order.limitPrice);
+
+const isWorking = (order) => working.has(order.id) || Boolean(order.ocoGroup && working.has(order.ocoGroup));
+
+// Rest or drop an order the engine changed alongside another (bracket exits, OCO siblings)
+const applyLinkedOrder = ({ userId, ...order }) => {
+  syncOrder({ ...order, userId });
+  notify(userId, order);
+};
+
+// Run one change to an order, then rest its new state (or drop it once it is closed)
+const work = async (order, action) => {
+  const keys = [order.id, order.ocoGroup].filter(Boolean);
+  keys.forEach((key) => working.add(key));
+  try {
+    const result = await action();
+    if (result?.order) {
+      syncOrder({ ...result.order, userId: order.userId });
+      notify(order.userId, { ...result.order, position: result.position });
+      if (result.wallet) notifyWallet(order.userId, result.wallet);
+      (result.linked || []).forEach(applyLinkedOrder);
+    } else if (result === null) {
+      // Closed or changed elsewhere (a user, another leader, or a reload raced it) -
+      // the change that did it brings its own copy
+      removeOrder(order, order);
+    }
+  } catch (error) {
+    console.error(`Matching order ${order.id} failed:`, error.message);
+  } finally {
+    keys.forEach((key) => working.delete(key));
+  }
+};
+
+// Check one order against its ticker's latest quote
+const evaluateOrder = (order, quote) => {
+  if (isWorking(order)) return;
+
+  const fillPrice = order.side === 'buy' ? quote.ask : quote.bid;
+  if (!(fillPrice > 0)) return;
+  const touch = orderBook.getBestQuote(order.ticker);
+  const available = (order.side === 'buy' ? touch?.askSize : touch?.bidSize) || undefined;
+  const fill = () => work(order, () => orderService.fillRestingOrder(order, fillPrice, available));
+
+  // Stops wait for their trigger; a stop-limit becomes a limit order once it fires
+  if (order.type !== 'limit' && !order.triggeredAt) {
+    if (!isStopReached(order, quote)) return;
+
+    if (order.type === 'stop') {
+      fill();
+      return;
+    }
+
+    work(order, async () => {
+      const triggered = await orderService.triggerRestingOrder(order);
+      return triggered ? { order: triggered, position: undefined } : null;
+    });
+    return;
+  }
+
+  // A triggered stop keeps filling at the quote until its last share
+  if (order.type === 'stop' || isLimitReached(order, quote)) fill();
+};
+
+// Match the open orders of every ticker that moved in a tick
+const matchTick = (tick) => {
+  if (!running || books.size === 0) return;
+
+  const quotes = market.getQuotes();
+  Object.keys(tick.prices).forEach((ticker) => {
+    const book = books.get(ticker);
+    if (!book || !quotes[ticker]) return;
+    book.forEach((order) => evaluateOrder(order, quotes[ticker]));
+  });
+};
+
+// Expire the day orders whose close has passed - run at each session change
+const expireDayOrders = (now = Date.now()) => {
+  if (!running) return;
+
+  books.forEach((book) => {
+    book.forEach((order) => {
+      if (order.timeInForce !== 'day' || !order.expiresAt || isWorking(order)) return;
+      if (new Date(order.expiresAt).getTime() > now) return;
+
+      work(order, () => orderService.expireRestingOrder(order));
+    });
+  });
+};
+
+// Start matching on this node - reloads the open orders from MongoDB
+const startMatching = async ({ onOrderUpdate, onWalletUpdate } = {}) => {
+  if (running) return;
+
+  running = true;
+  notify = onOrderUpdate || (() => {});
+  notifyWallet = onWalletUpdate || (() => {});
+  const orders = await orderService.loadOpenOrders();
+  // Demoted while the orders loaded
+  if (!running) return;
+
+  orders.forEach(syncOrder);
+  console.log(`Matching engine: ${orders.length} open orders`);
+  // Day orders that reached their close while no leader was running
+  expireDayOrders();
+};
+
+// Stop matching - another node's engine takes over the open orders
+const stopMatching = () => {
+  running = false;
+  books.clear();
+};
+
+module.exports = {
+  startMatching,
+  stopMatching,
+  syncOrder,
+  matchTick,
+  expireDayOrders
+};
@@ -0,0 +1,38 @@
+const os = require('os');
+const { createMemoryBus } = require('./memoryBus');
+const { createRedisBus } = require('./redisBus');
+
+// Registered message bus transports, selected with MESSAGE_BUS
+const TRANSPORTS = {
+  memory: createMemoryBus,
+  redis: createRedisBus
+};
+
+// Read the bus configuration from the environment
+const getBusConfig = () => ({
+  transport: String(process.env.MESSAGE_BUS || 'memory').trim().toLowerCase(),
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  nodeId: process.env.NODE_ID || `${os.hostname()}-${process.pid}`
+});
+
+// Create the configured message bus that links the server instances.
+// Every transport exposes the same interface:
+//   connect()                      - open connections to the transport
+//   publish(channel, message)      - send a JSON message to every subscriber on every node (including this one)
+//   subscribe(channel, handler)    - handler(message) per message, resolves to an unsubscribe function
+//   acquireLock(key, owner, ttlMs) - take or renew a lease, resolves true while `owner` holds it
+//   releaseLock(key, owner)        - give up a lease held by `owner`
+//   close()                        - drop subscriptions and connections
+const createMessageBus = (config = getBusConfig()) => {
+  const factory = TRANSPORTS[config.transport];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown message bus "${config.transport}". Supported: ${Object.keys(TRANSPORTS).join(', ')}`
+    );
+  }
+
+  return { ...factory(config), nodeId: config.nodeId };
+};
+
+module.exports = { createMessageBus, getBusConfig, TRANSPORTS };
@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+
+// Shared by every bus created in this process, so separate buses (e.g. two
+// Socket.io servers in one test) still reach each other
+const channels = new EventEmitter();
+channels.setMaxListeners(0);
+
+// locks[key] = { owner, expiresAt }
+const locks = new Map();
+
+// In-process stand-in for Redis - same interface, no server required. Covers a
+// single server instance; run several instances against Redis.
+const createMemoryBus = () => {
+  const subscriptions = new Set();
+
+  const connect = async () => {};
+
+  // Deliver a serialized copy on the next turn of the event loop, like a network transport
+  const publish = async (channel, message) => {
+    const payload = JSON.stringify(message);
+    setImmediate(() => channels.emit(channel, payload));
+  };
+
+  const subscribe = async (channel, handler) => {
+    const listener = (payload) => handler(JSON.parse(payload));
+    const unsubscribe = () => {
+      channels.off(channel, listener);
+      subscriptions.delete(unsubscribe);
+    };
+
+    channels.on(channel, listener);
+    subscriptions.add(unsubscribe);
+    return unsubscribe;
+  };
+
+  // Take the lease if it is free or expired, or extend it if `owner` already holds it
+  const acquireLock = async (key, owner, ttlMs) => {
+    const lock = locks.get(key);
+    if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) return false;
+
+    locks.set(key, { owner, expiresAt: Date.now() + ttlMs });
+    return true;
+  };
+
+  const releaseLock = async (key, owner) => {
+    if (locks.get(key)?.owner === owner) locks.delete(key);
+  };
+
+  const close = async () => {
+    Array.from(subscriptions).forEach((unsubscribe) => unsubscribe());
+  };
+
+  return {
+    name: 'memory',
+    connect,
+    publish,
+    subscribe,
+    acquireLock,
+    releaseLock,
+    close
+  };
+};
+
+module.exports = { createMemoryBus };
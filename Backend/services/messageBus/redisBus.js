@@ -0,0 +1,73 @@
+const { createClient } = require('redis');
+
+// Set the lease if it is free, or extend it if ARGV[1] already holds it
+const ACQUIRE_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if owner == false then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+if owner == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+// Delete the lease only if ARGV[1] still holds it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Redis pub/sub and leases - lets several server instances share one market
+const createRedisBus = ({ url }) => {
+  // Subscribed connections cannot issue other commands, so pub/sub gets its own
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+
+  client.on('error', (error) => console.error('Redis error:', error.message));
+  subscriber.on('error', (error) => console.error('Redis subscriber error:', error.message));
+
+  const connect = async () => {
+    await Promise.all([client.connect(), subscriber.connect()]);
+    console.log(`Connected to Redis message bus ${url}`);
+  };
+
+  const publish = async (channel, message) => {
+    await client.publish(channel, JSON.stringify(message));
+  };
+
+  const subscribe = async (channel, handler) => {
+    const listener = (payload) => handler(JSON.parse(payload));
+    await subscriber.subscribe(channel, listener);
+    return () => subscriber.unsubscribe(channel, listener);
+  };
+
+  const acquireLock = async (key, owner, ttlMs) => {
+    const result = await client.eval(ACQUIRE_SCRIPT, { keys: [key], arguments: [owner, String(ttlMs)] });
+    return result === 1;
+  };
+
+  const releaseLock = async (key, owner) => {
+    await client.eval(RELEASE_SCRIPT, { keys: [key], arguments: [owner] });
+  };
+
+  const close = async () => {
+    await Promise.all([client.quit(), subscriber.quit()]);
+  };
+
+  return {
+    name: 'redis',
+    connect,
+    publish,
+    subscribe,
+    acquireLock,
+    releaseLock,
+    close
+  };
+};
+
+module.exports = { createRedisBus };
@@ -0,0 +1,97 @@
+// Synthetic Level 2 order book - a bid/ask ladder per ticker that is
+// rebuilt around the last price on every tick.
+
+const DEPTH_LEVELS = 10;
+const DEFAULT_TICK_SIZE = 0.01;
+
+// Half the quoted spread as a fraction of price (1 basis point, so a 2bp spread)
+const HALF_SPREAD_RATIO = 0.0001;
+// Distance between ladder levels as a fraction of price (1 basis point)
+const LEVEL_STEP_RATIO = 0.0001;
+
+// books[ticker] = { bids: [{ price, size }], asks: [{ price, size }], spread, timestamp }
+const books = {};
+
+const roundToTick = (price, tickSize) => Number((Math.round(price / tickSize) * tickSize).toFixed(4));
+
+// Resting size at a level - deeper levels hold more shares, with persistence between ticks
+const nextSize = (previous, level, random) => {
+  const base = 100 * (1 + level * 0.5);
+  const fresh = Math.round((base + random() * base * 4) / 10) * 10;
+  if (!previous) return fresh;
+  // Blend with the previous size so the ladder evolves instead of flickering
+  return Math.max(10, Math.round((previous * 0.7 + fresh * 0.3) / 10) * 10);
+};
+
+// Rebuild the ladder for a ticker around its latest price
+const updateBook = (ticker, price, timestamp, { tickSize = DEFAULT_TICK_SIZE, random = Math.random } = {}) => {
+  const previous = books[ticker];
+  const halfSpread = Math.max(tickSize, roundToTick(price * HALF_SPREAD_RATIO, tickSize));
+  const step = Math.max(tickSize, roundToTick(price * LEVEL_STEP_RATIO, tickSize));
+  const bestBid = roundToTick(price - halfSpread, tickSize);
+  const bestAsk = roundToTick(price + halfSpread, tickSize);
+
+  const bids = [];
+  const asks = [];
+  for (let level = 0; level < DEPTH_LEVELS; level++) {
+    bids.push({
+      price: roundToTick(bestBid - level * step, tickSize),
+      size: nextSize(previous?.bids[level]?.size, level, random)
+    });
+    asks.push({
+      price: roundToTick(bestAsk + level * step, tickSize),
+      size: nextSize(previous?.asks[level]?.size, level, random)
+    });
+  }
+
+  books[ticker] = {
+    ticker,
+    bids,
+    asks,
+    spread: Number((bestAsk - bestBid).toFixed(4)),
+    timestamp: timestamp || new Date().toISOString()
+  };
+  return books[ticker];
+};
+
+// Replace a ticker's ladder with one built on the leader node
+const setBook = (ticker, book) => {
+  books[ticker] = {
+    ...book,
+    bids: book.bids.map((level) => ({ ...level })),
+    asks: book.asks.map((level) => ({ ...level }))
+  };
+};
+
+// Current ladder for a ticker, limited to `levels` per side
+const getBook = (ticker, levels = DEPTH_LEVELS) => {
+  const book = books[ticker];
+  if (!book) return null;
+
+  return {
+    ...book,
+    bids: book.bids.slice(0, levels).map((level) => ({ ...level })),
+    asks: book.asks.slice(0, levels).map((level) => ({ ...level }))
+  };
+};
+
+// Top of book for a ticker
+const getBestQuote = (ticker) => {
+  const book = books[ticker];
+  if (!book) return null;
+
+  return {
+    bid: book.bids[0].price,
+    bidSize: book.bids[0].size,
+    ask: book.asks[0].price,
+    askSize: book.asks[0].size
+  };
+};
+
+module.exports = {
+  DEPTH_LEVELS,
+  updateBook,
+  setBook,
+  getBook,
+  getBestQuote
+};
@@ -0,0 +1,51 @@
+// Order lifecycle - the statuses an order moves through and the moves allowed.
+//
+//   pending ──> open ──> partially_filled ──> filled
+//      │          │              │
+//      └──────────┴──────────────┴──> cancelled / rejected / expired
+//
+// `pending` orders (a bracket's exits) wait for another order before they can trade; a
+// market order is pending while its fill settles, then moves straight to filled.
+// `open` and `partially_filled` orders rest with the matching engine. The other
+// statuses are final. Every move is recorded in the order's `statusHistory`. A fill that
+// could not be settled is taken back, returning the order to the status it had.
+
+const TRANSITIONS = {
+  pending: ['open', 'filled', 'cancelled', 'rejected'],
+  open: ['partially_filled', 'filled', 'cancelled', 'rejected', 'expired'],
+  // Each further partial fill is recorded as a move to the same status
+  partially_filled: ['partially_filled', 'filled', 'cancelled', 'rejected', 'expired'],
+  filled: [],
+  cancelled: [],
+  rejected: [],
+  expired: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses the matching engine works
+const ACTIVE_STATUSES = ['open', 'partially_filled'];
+
+// Statuses a user can still cancel or modify
+const LIVE_STATUSES = ['pending', ...ACTIVE_STATUSES];
+
+const isFinal = (status) => TRANSITIONS[status]?.length === 0;
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+// Statuses an order can be in to move to `status`
+const getSourceStatuses = (status) => ORDER_STATUSES.filter((from) => canTransition(from, status));
+
+// Entry for an order's statusHistory
+const toHistoryEntry = (status, reason, at = new Date()) => ({ status, at, reason });
+
+module.exports = {
+  TRANSITIONS,
+  ORDER_STATUSES,
+  ACTIVE_STATUSES,
+  LIVE_STATUSES,
+  isFinal,
+  canTransition,
+  getSourceStatuses,
+  toHistoryEntry
+};
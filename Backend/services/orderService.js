@@ -0,0 +1,777 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Position = require('../models/Position');
+const catalog = require('./instrumentCatalog');
+const market = require('./marketState');
+const circuitBreaker = require('./circuitBreaker');
+const walletService = require('./walletService');
+const { getMarketStatus } = require('./marketCalendar');
+const {
+  ACTIVE_STATUSES, LIVE_STATUSES, isFinal, getSourceStatuses, toHistoryEntry
+} = require('./orderLifecycle');
+
+// Paper trading - orders fill against the live simulated market and build up
+// each user's positions, paid for from their wallet (services/walletService.js).
+// Nothing leaves the server; prices are in USD.
+// Market orders fill here straight away; the other types rest with the matching
+// engine (services/matchingEngine.js) until their price is reached, and can fill
+// over several ticks. Status changes follow services/orderLifecycle.js.
+
+const SIDES = ['buy', 'sell'];
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit'];
+const TIME_IN_FORCE = ['day', 'gtc'];
+// Order types that need a limit price and a stop price
+const LIMIT_TYPES = ['limit', 'stop_limit'];
+const STOP_TYPES = ['stop', 'stop_limit'];
+// Largest quantity a single order may trade
+const MAX_ORDER_QUANTITY = 100000;
+// Attempts at updating a position another fill changed at the same moment
+const MAX_POSITION_RETRIES = 5;
+// Most orders returned per history request
+const MAX_HISTORY_LIMIT = 200;
+
+// Error carrying a machine-readable code and HTTP status
+const orderError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const roundPrice = (value) => Number(value.toFixed(2));
+
+const toOrder = (doc) => ({
+  id: doc._id.toString(),
+  ticker: doc.ticker,
+  side: doc.side,
+  type: doc.type,
+  quantity: doc.quantity,
+  limitPrice: doc.limitPrice ?? null,
+  stopPrice: doc.stopPrice ?? null,
+  timeInForce: doc.timeInForce,
+  expiresAt: doc.expiresAt ?? null,
+  triggeredAt: doc.triggeredAt ?? null,
+  status: doc.status,
+  statusHistory: (doc.statusHistory || []).map(({ status, at, reason }) => ({ status, at, reason })),
+  rejectReason: doc.rejectReason ?? null,
+  filledQuantity: doc.filledQuantity ?? (doc.status === 'filled' ? doc.quantity : 0),
+  fillPrice: doc.fillPrice,
+  filledAt: doc.filledAt,
+  closedAt: doc.closedAt ?? null,
+  parentOrderId: doc.parentOrder ? doc.parentOrder.toString() : null,
+  legRole: doc.legRole ?? null,
+  ocoGroup: doc.ocoGroup ?? null,
+  revision: doc.revision ?? 0,
+  createdAt: doc.createdAt
+});
+
+// Order as the matching engine holds it - with its owner
+const toRestingOrder = (doc) => ({ ...toOrder(doc), userId: doc.user.toString() });
+
+// Position marked to the live price
+const toPosition = (doc, quotes = market.getQuotes()) => {
+  const currentPrice = quotes[doc.ticker]?.price ?? null;
+  const marketValue = currentPrice === null ? null : roundPrice(currentPrice * doc.quantity);
+  return {
+    ticker: doc.ticker,
+    quantity: doc.quantity,
+    averagePrice: doc.averagePrice,
+    costBasis: roundPrice(doc.averagePrice * doc.quantity),
+    currentPrice,
+    marketValue,
+    unrealizedPnl: marketValue === null ? null : roundPrice(marketValue - doc.averagePrice * doc.quantity),
+    realizedPnl: doc.realizedPnl,
+    updatedAt: doc.updatedAt
+  };
+};
+
+// Price field of an order request, rounded to cents
+const parseOrderPrice = (value, field) => {
+  const price = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(price) || price <= 0) {
+    throw orderError('INVALID_PRICE', `${field} must be a positive number`);
+  }
+  return roundPrice(price);
+};
+
+// Check an order request and normalize its fields
+const validateOrder = ({
+  ticker, side, type = 'market', quantity, limitPrice, stopPrice, timeInForce = 'day'
+} = {}) => {
+  const normalizedTicker = String(ticker || '').trim().toUpperCase();
+  if (!normalizedTicker || !catalog.isSupported(normalizedTicker)) {
+    throw orderError('INVALID_TICKER', `Invalid stock ticker. Supported: ${catalog.getTickers().join(', ')}`);
+  }
+
+  const normalizedSide = String(side || '').trim().toLowerCase();
+  if (!SIDES.includes(normalizedSide)) {
+    throw orderError('INVALID_SIDE', 'Side must be buy or sell');
+  }
+
+  const normalizedType = String(type).trim().toLowerCase();
+  if (!ORDER_TYPES.includes(normalizedType)) {
+    throw orderError('INVALID_ORDER_TYPE', `Order type must be one of: ${ORDER_TYPES.join(', ')}`);
+  }
+
+  const shares = Number(quantity);
+  if (!Number.isInteger(shares) || shares < 1 || shares > MAX_ORDER_QUANTITY) {
+    throw orderError('INVALID_QUANTITY', `Quantity must be a whole number from 1 to ${MAX_ORDER_QUANTITY}`);
+  }
+
+  const normalizedTimeInForce = String(timeInForce).trim().toLowerCase();
+  if (!TIME_IN_FORCE.includes(normalizedTimeInForce)) {
+    throw orderError('INVALID_TIME_IN_FORCE', `Time in force must be one of: ${TIME_IN_FORCE.join(', ')}`);
+  }
+
+  return {
+    ticker: normalizedTicker,
+    side: normalizedSide,
+    type: normalizedType,
+    quantity: shares,
+    limitPrice: LIMIT_TYPES.includes(normalizedType) ? parseOrderPrice(limitPrice, 'Limit price') : null,
+    stopPrice: STOP_TYPES.includes(normalizedType) ? parseOrderPrice(stopPrice, 'Stop price') : null,
+    timeInForce: normalizedTimeInForce
+  };
+};
+
+// Price a market order fills at now - the ask for buys, the bid for sells
+const getFillPrice = (ticker, side) => {
+  if (!market.getSessionStatus().isTrading) {
+    throw orderError('MARKET_CLOSED', 'The market is closed', 409);
+  }
+  if (circuitBreaker.isHalted(ticker)) {
+    throw orderError('TICKER_HALTED', `${ticker} is halted`, 409);
+  }
+
+  const quote = market.getQuotes()[ticker];
+  const price = side === 'buy' ? quote?.ask ?? quote?.price : quote?.bid ?? quote?.price;
+  if (!(price > 0)) {
+    throw orderError('NO_PRICE', `No price for ${ticker} yet`, 409);
+  }
+  return price;
+};
+
+// Apply a fill to the user's position. The update only lands if the position is
+// unchanged since it was read, so concurrent fills (other tabs, other nodes) retry.
+// Resolves with the updated position, the average price the shares were held at
+// before the fill and the cost of the shares traded - the price paid for a buy, the
+// average price held at for a sell.
+const applyFill = async (userId, { ticker, side, quantity }, price) => {
+  for (let attempt = 0; attempt < MAX_POSITION_RETRIES; attempt++) {
+    const position = await Position.findOne({ user: userId, ticker }).lean();
+    const held = position?.quantity || 0;
+    const averagePrice = position?.averagePrice || 0;
+
+    if (side === 'sell' && held < quantity) {
+      throw orderError('INSUFFICIENT_POSITION', `You hold ${held} ${ticker} - cannot sell ${quantity}`);
+    }
+
+    const next = side === 'buy'
+      ? {
+        quantity: held + quantity,
+        averagePrice: roundPrice((held * averagePrice + quantity * price) / (held + quantity)),
+        realizedPnl: position?.realizedPnl || 0
+      }
+      : {
+        quantity: held - quantity,
+        // Nothing held keeps no cost
+        averagePrice: held - quantity > 0 ? averagePrice : 0,
+        realizedPnl: roundPrice((position?.realizedPnl || 0) + (price - averagePrice) * quantity)
+      };
+
+    try {
+      const updated = position
+        ? await Position.findOneAndUpdate(
+          { _id: position._id, quantity: held, averagePrice },
+          { $set: { ...next, updatedAt: new Date() } },
+          { new: true }
+        ).lean()
+        : (await Position.create({ user: userId, ticker, ...next })).toObject();
+      if (updated) {
+        return {
+          position: updated,
+          averagePrice,
+          costBasis: roundPrice((side === 'buy' ? price : averagePrice) * quantity)
+        };
+      }
+    } catch (error) {
+      // The first fill in a ticker raced another - read the position it created
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw orderError('POSITION_CONFLICT', 'Your position changed while the order filled - please try again', 409);
+};
+
+// Put back the shares of a sell whose proceeds could not be posted - held at the
+// average price they were sold from, without the P&L the sale realized
+const restoreSoldShares = async (userId, { ticker, quantity }, price, soldFrom) => {
+  for (let attempt = 0; attempt < MAX_POSITION_RETRIES; attempt++) {
+    const position = await Position.findOne({ user: userId, ticker }).lean();
+    if (!position) break;
+
+    const held = position.quantity || 0;
+    const averagePrice = position.averagePrice || 0;
+    const restored = await Position.findOneAndUpdate(
+      { _id: position._id, quantity: held, averagePrice },
+      {
+        $set: {
+          quantity: held + quantity,
+          averagePrice: roundPrice((held * averagePrice + quantity * soldFrom) / (held + quantity)),
+          realizedPnl: roundPrice((position.realizedPnl || 0) - (price - soldFrom) * quantity),
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    ).lean();
+    if (restored) return restored;
+  }
+  throw orderError('POSITION_CONFLICT', `Could not put back ${quantity} ${ticker}`, 409);
+};
+
+// Settle a fill: the cash moves through the user's wallet and the shares through
+// their position. A buy pays first, so one the wallet cannot cover changes nothing,
+// and is refunded if its position cannot be updated. A sell delivers its shares
+// first, and gets them back if its proceeds cannot be posted. Resolves with the
+// updated position and wallet.
+const settleFill = async (userId, orderId, { ticker, side, quantity }, price) => {
+  const fill = { order: orderId, ticker, side, quantity, price };
+  if (side === 'sell') {
+    const { position, averagePrice, costBasis } = await applyFill(userId, fill, price);
+    try {
+      const { wallet } = await walletService.postFill(userId, { ...fill, costBasis });
+      return { position, wallet };
+    } catch (error) {
+      await restoreSoldShares(userId, fill, price, averagePrice).catch((restoreError) => {
+        console.error(`Putting back ${quantity} ${ticker} for order ${orderId} failed:`, restoreError.message);
+      });
+      throw error;
+    }
+  }
+
+  const payment = await walletService.postFill(userId, fill);
+  try {
+    const { position } = await applyFill(userId, fill, price);
+    return { position, wallet: payment.wallet };
+  } catch (error) {
+    await walletService.reverseTransaction(userId, payment.transaction);
+    throw error;
+  }
+};
+
+// Day orders last until the next regular close (never, if the market is always open)
+const getExpiry = (timeInForce) => {
+  const { nextClose } = getMarketStatus();
+  return timeInForce === 'day' && nextClose ? new Date(nextClose) : null;
+};
+
+// Match an order only if nothing changed it since it was read (orders from before
+// revisions existed count as revision 0)
+const atRevision = (revision = 0) => (revision === 0 ? { revision: { $in: [0, null] } } : { revision });
+
+// Move an order to `status` - only from a status the lifecycle allows, and only at
+// `revision` when given - recording the move in its history. `set` updates other
+// fields alongside. Resolves with the updated order, or null when it could not move.
+const transitionOrder = (orderId, status, reason, { set = {}, revision } = {}) => {
+  const at = new Date();
+  return Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: getSourceStatuses(status) }, ...(revision !== undefined && atRevision(revision)) },
+    {
+      $set: { ...set, status, ...(isFinal(status) && { closedAt: at }) },
+      $inc: { revision: 1 },
+      $push: { statusHistory: toHistoryEntry(status, reason, at) }
+    },
+    { new: true }
+  ).lean();
+};
+
+// Resting sells are checked against the shares held now, and again when they fill
+const checkHolding = async (userId, { ticker, quantity }) => {
+  const position = await Position.findOne({ user: userId, ticker }).lean();
+  const held = position?.quantity || 0;
+  if (held < quantity) {
+    throw orderError('INSUFFICIENT_POSITION', `You hold ${held} ${ticker} - cannot sell ${quantity}`);
+  }
+};
+
+// The entry price (when known) must lie between the stop-loss and the take-profit
+const checkBracketPrices = ({ takeProfit, stopLoss }, entryPrice) => {
+  if (takeProfit <= stopLoss) {
+    throw orderError('INVALID_BRACKET', 'The take-profit must be above the stop-loss');
+  }
+  if (entryPrice !== null && entryPrice !== undefined && (entryPrice >= takeProfit || entryPrice <= stopLoss)) {
+    throw orderError('INVALID_BRACKET', `The entry price ${entryPrice} must lie between the stop-loss and the take-profit`);
+  }
+};
+
+// Check a bracket's take-profit and stop-loss and normalize them. Positions are
+// long only, so a bracket enters with a buy and exits with sells. Its exits rest
+// good-till-cancelled unless asked otherwise.
+const validateBracket = (entry, { takeProfit, stopLoss, timeInForce = 'gtc' } = {}) => {
+  if (entry.side !== 'buy') {
+    throw orderError('INVALID_BRACKET', 'A bracket order must enter with a buy');
+  }
+
+  const bracket = {
+    takeProfit: parseOrderPrice(takeProfit, 'Take-profit price'),
+    stopLoss: parseOrderPrice(stopLoss, 'Stop-loss price'),
+    timeInForce: String(timeInForce).trim().toLowerCase()
+  };
+  if (!TIME_IN_FORCE.includes(bracket.timeInForce)) {
+    throw orderError('INVALID_TIME_IN_FORCE', `Time in force must be one of: ${TIME_IN_FORCE.join(', ')}`);
+  }
+  checkBracketPrices(bracket, entry.limitPrice ?? entry.stopPrice);
+  return bracket;
+};
+
+// A bracket's exits - a take-profit limit sell and a stop-loss stop sell, grouped as
+// an OCO pair under the entry's id. They wait as `pending` until the entry fills.
+const toBracketExits = (userId, entry, entryId, bracket, status) => {
+  const exit = {
+    user: userId,
+    ticker: entry.ticker,
+    side: 'sell',
+    quantity: entry.quantity,
+    timeInForce: bracket.timeInForce,
+    expiresAt: status === 'open' ? getExpiry(bracket.timeInForce) : null,
+    status,
+    statusHistory: [toHistoryEntry(status, status === 'open' ? 'Bracket entry filled' : 'Waiting for the bracket entry to fill')],
+    parentOrder: entryId,
+    ocoGroup: entryId.toString(),
+    fillPrice: null,
+    filledAt: null
+  };
+  return [
+    { ...exit, type: 'limit', limitPrice: bracket.takeProfit, legRole: 'take_profit' },
+    { ...exit, type: 'stop', stopPrice: bracket.stopLoss, legRole: 'stop_loss' }
+  ];
+};
+
+// Resting buys are checked against the cash held now, at their limit (or stop) price -
+// the dearest one's when only one of several can fill - and paid for when they fill
+const checkBuyingPower = (userId, ...orders) => walletService.checkFunds(
+  userId,
+  Math.max(...orders.map((order) => (order.limitPrice ?? order.stopPrice) * order.quantity))
+);
+
+// Rest a limit, stop or stop-limit order (and its bracket's exits) for the matching engine
+const placeRestingOrder = async (userId, order, bracket) => {
+  if (order.side === 'sell') await checkHolding(userId, order);
+  else await checkBuyingPower(userId, order);
+
+  const doc = await Order.create({
+    user: userId,
+    ...order,
+    status: 'open',
+    statusHistory: [toHistoryEntry('open', 'Placed')],
+    expiresAt: getExpiry(order.timeInForce),
+    fillPrice: null,
+    filledAt: null
+  });
+  const exits = bracket ? await Order.create(toBracketExits(userId, order, doc._id, bracket, 'pending')) : [];
+
+  return { order: toOrder(doc), position: null, wallet: null, children: exits.map(toOrder) };
+};
+
+// Place an order for a user, optionally as a bracket `{ takeProfit, stopLoss, timeInForce? }`.
+// Market orders fill at the live quote and resolve with the filled order, the updated
+// position and wallet; the other types resolve with the open order (and a null
+// position and wallet) for the matching engine to work. `children` holds a bracket's
+// exits - open once the entry has filled, pending until then. A market order is
+// recorded as pending before it settles, so a fill always has its order; one that
+// cannot be settled is rejected, and fails with the reason - the error carries the
+// rejected order as `order` and its cancelled exits as `linked`.
+const placeOrder = async (userId, request) => {
+  const order = validateOrder(request);
+  const bracket = request?.bracket ? validateBracket(order, request.bracket) : null;
+  if (order.type !== 'market') return placeRestingOrder(userId, order, bracket);
+
+  const price = getFillPrice(order.ticker, order.side);
+  if (bracket) checkBracketPrices(bracket, price);
+
+  const doc = await Order.create({
+    user: userId,
+    ...order,
+    status: 'pending',
+    statusHistory: [toHistoryEntry('pending', 'Placed')],
+    fillPrice: null,
+    filledAt: null
+  });
+  if (bracket) await Order.create(toBracketExits(userId, order, doc._id, bracket, 'pending'));
+
+  let settled;
+  try {
+    settled = await settleFill(userId, doc._id, order, price);
+  } catch (error) {
+    const rejected = await transitionOrder(doc._id, 'rejected', error.message, { set: { rejectReason: error.message } });
+    if (rejected) {
+      const linked = await settleLinkedOrders(rejected);
+      error.order = toOrder(rejected);
+      error.linked = linked.map(({ userId: owner, ...exit }) => exit);
+    }
+    throw error;
+  }
+
+  const filled = await transitionOrder(doc._id, 'filled', `Filled ${order.quantity} at ${price}`, {
+    set: { filledQuantity: order.quantity, fillPrice: price, filledAt: new Date() }
+  });
+  const exits = await settleLinkedOrders(filled);
+
+  return {
+    order: toOrder(filled),
+    position: toPosition(settled.position),
+    wallet: settled.wallet,
+    children: exits.map(({ userId: owner, ...exit }) => exit)
+  };
+};
+
+// Place an OCO pair - two resting orders for the same shares, where the first to fill
+// cancels the other. `legs` holds each leg's `{ type, limitPrice?, stopPrice? }`; the
+// ticker, side, quantity and time in force are shared. Resolves with both legs.
+const placeOcoOrder = async (userId, { legs, ...shared } = {}) => {
+  if (!Array.isArray(legs) || legs.length !== 2) {
+    throw orderError('INVALID_OCO', 'An OCO order needs exactly two legs');
+  }
+
+  const orders = legs.map((leg) => validateOrder({
+    ...shared,
+    type: leg?.type,
+    limitPrice: leg?.limitPrice,
+    stopPrice: leg?.stopPrice
+  }));
+  if (orders.some((order) => order.type === 'market')) {
+    throw orderError('INVALID_OCO', 'OCO legs must be limit, stop or stop-limit orders');
+  }
+  // Only one leg can fill, so the shares (or the cash) are needed once
+  if (orders[0].side === 'sell') await checkHolding(userId, orders[0]);
+  else await checkBuyingPower(userId, ...orders);
+
+  const ocoGroup = crypto.randomBytes(12).toString('hex');
+  const docs = await Order.create(orders.map((order) => ({
+    user: userId,
+    ...order,
+    status: 'open',
+    statusHistory: [toHistoryEntry('open', 'Placed')],
+    expiresAt: getExpiry(order.timeInForce),
+    ocoGroup,
+    fillPrice: null,
+    filledAt: null
+  })));
+
+  return { orders: docs.map(toOrder) };
+};
+
+// Shrink a live OCO sibling to the shares its leg has left to fill, on top of any it
+// filled itself. Resolves with the updated order, or null when it had closed.
+const shrinkOcoSibling = (sibling, leg) => {
+  const quantity = (sibling.filledQuantity || 0) + leg.quantity - (leg.filledQuantity || 0);
+  if (quantity === sibling.quantity) return null;
+  return Order.findOneAndUpdate(
+    { _id: sibling._id, status: { $in: LIVE_STATUSES } },
+    {
+      $set: { quantity },
+      $inc: { revision: 1 },
+      $push: { statusHistory: toHistoryEntry(sibling.status, `OCO order ${leg._id} partially filled - quantity to ${quantity}`) }
+    },
+    { new: true }
+  ).lean();
+};
+
+// Bring an order's relatives in line once it has traded or closed: a closed entry
+// opens its bracket's exits for the shares it bought (or cancels them when it bought
+// none). An OCO leg that partially filled leaves the rest of its group for the shares
+// it has left, and one that filled in full, or closed, cancels the rest of its group.
+// Resolves with the orders that changed, as the matching engine holds them.
+const settleLinkedOrders = async (doc) => {
+  const closed = isFinal(doc.status);
+  const filledQuantity = doc.filledQuantity || 0;
+
+  const exits = closed ? await Order.find({ parentOrder: doc._id, status: 'pending' }).lean() : [];
+  const siblings = doc.ocoGroup && (closed || filledQuantity > 0)
+    ? await Order.find({ ocoGroup: doc.ocoGroup, _id: { $ne: doc._id }, status: { $in: LIVE_STATUSES } }).lean()
+    : [];
+
+  const changed = await Promise.all([
+    ...exits.map((exit) => (filledQuantity > 0
+      ? transitionOrder(exit._id, 'open', 'Bracket entry filled', {
+        set: { quantity: filledQuantity, expiresAt: getExpiry(exit.timeInForce) }
+      })
+      : transitionOrder(exit._id, 'cancelled', `Bracket entry ${doc.status}`))),
+    ...siblings.map((sibling) => (closed
+      ? transitionOrder(sibling._id, 'cancelled', `OCO order ${doc._id} ${doc.status}`)
+      : shrinkOcoSibling(sibling, doc)))
+  ]);
+  return changed.filter(Boolean).map(toRestingOrder);
+};
+
+// Settlement failures that reject the order - the shares to sell or the cash to buy
+// are gone, or the position kept changing under the fill. Anything else (the
+// database failing) leaves the order to fill on a later tick.
+const REJECTING_ERRORS = ['INSUFFICIENT_FUNDS', 'INSUFFICIENT_POSITION', 'POSITION_CONFLICT'];
+
+// Take back a fill claimed on an order that could not be settled: its filled shares
+// drop by the claim whatever changed the order since, and its fill price and time
+// return to `previous`. The order moves to `status` unless it has closed meanwhile
+// (a user cancelled it), when only the fill is taken back. Resolves with the order.
+const undoFill = async (claimed, shares, previous, status, reason) => {
+  const at = new Date();
+  const undo = { $set: previous, $inc: { filledQuantity: -shares, revision: 1 } };
+  const moved = await Order.findOneAndUpdate(
+    { _id: claimed._id, status: { $in: [claimed.status, ...getSourceStatuses(status)] } },
+    {
+      ...undo,
+      $set: {
+        ...previous,
+        status,
+        ...(isFinal(status) && { closedAt: at }),
+        ...(status === 'rejected' && { rejectReason: reason })
+      },
+      $push: { statusHistory: toHistoryEntry(status, `Fill of ${shares} undone - ${reason}`, at) }
+    },
+    { new: true }
+  ).lean();
+  return moved || Order.findOneAndUpdate({ _id: claimed._id }, undo, { new: true }).lean();
+};
+
+// Fill a resting order at `price` for the matching engine - as many of its remaining
+// shares as `available` allows (all of them when not given). The fill only lands on
+// the order as the engine read it, so it fills once however many ticks (or nodes)
+// reach it and never over a modification. Resolves with the filled (or partially
+// filled) order and the updated position and wallet, or null when the order had
+// closed or changed. A fill that cannot be settled is taken back: the order is
+// rejected when it could not be paid for or applied, and otherwise stays open (with a
+// null position and wallet) to fill later. `linked` holds the bracket exits and OCO
+// siblings the fill opened or cancelled.
+const fillRestingOrder = async (order, price, available = Infinity) => {
+  const previous = { fillPrice: order.fillPrice, filledAt: order.filledAt };
+  const shares = Math.min(order.quantity - order.filledQuantity, available);
+  if (!(shares > 0)) return null;
+
+  const filledQuantity = order.filledQuantity + shares;
+  const filledAt = new Date();
+  const claimed = await transitionOrder(
+    order.id,
+    filledQuantity === order.quantity ? 'filled' : 'partially_filled',
+    `Filled ${shares} at ${price}`,
+    {
+      revision: order.revision,
+      set: {
+        filledQuantity,
+        // Average price of every share filled so far
+        fillPrice: roundPrice(((order.fillPrice || 0) * order.filledQuantity + price * shares) / filledQuantity),
+        filledAt,
+        // A stop order fills the moment its stop is reached
+        triggeredAt: order.type === 'limit' ? null : order.triggeredAt || filledAt
+      }
+    }
+  );
+  if (!claimed) return null;
+
+  try {
+    const { position, wallet } = await settleFill(order.userId, order.id, { ...order, quantity: shares }, price);
+    return {
+      order: toOrder(claimed), position: toPosition(position), wallet, linked: await settleLinkedOrders(claimed)
+    };
+  } catch (error) {
+    const rejecting = REJECTING_ERRORS.includes(error.code);
+    if (!rejecting) console.error(`Settling a fill of order ${order.id} failed:`, error.message);
+
+    const undone = await undoFill(claimed, shares, previous, rejecting ? 'rejected' : order.status, error.message);
+    return {
+      order: toOrder(undone),
+      position: null,
+      wallet: null,
+      linked: rejecting && undone.status === 'rejected' ? await settleLinkedOrders(undone) : []
+    };
+  }
+};
+
+// Record that a stop-limit order's stop price was reached. Resolves with the
+// triggered order, or null when it had closed or changed.
+const triggerRestingOrder = async (order) => {
+  const triggered = await Order.findOneAndUpdate(
+    { _id: order.id, status: { $in: ACTIVE_STATUSES }, ...atRevision(order.revision) },
+    { $set: { triggeredAt: new Date() }, $inc: { revision: 1 } },
+    { new: true }
+  ).lean();
+  return triggered ? toOrder(triggered) : null;
+};
+
+// Expire a day order that reached its close. Resolves with the expired order and the
+// orders linked to it that changed, or null when it was no longer open.
+const expireRestingOrder = async (order) => {
+  const expired = await transitionOrder(order.id, 'expired', 'Reached the market close');
+  return expired ? { order: toOrder(expired), linked: await settleLinkedOrders(expired) } : null;
+};
+
+// Every order the matching engine works - open and partially filled
+const loadOpenOrders = async () => {
+  const docs = await Order.find({ status: { $in: ACTIVE_STATUSES } }).lean();
+  return docs.map(toRestingOrder);
+};
+
+// One of a user's orders (another user's orders are not found)
+const findUserOrder = async (userId, orderId) => {
+  const doc = mongoose.isValidObjectId(orderId)
+    ? await Order.findOne({ _id: orderId, user: userId }).lean()
+    : null;
+  if (!doc) {
+    throw orderError('ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+  return doc;
+};
+
+// A market order is only pending while its fill settles
+const checkNotSettling = (doc) => {
+  if (doc.type === 'market' && doc.status === 'pending') {
+    throw orderError('ORDER_SETTLING', 'The market order is filling', 409);
+  }
+};
+
+// Cancel one of a user's pending, open or partially filled orders. Shares already
+// filled stay filled. Cancelling an OCO leg cancels its group; cancelling a bracket
+// entry opens its exits for the shares it bought, or cancels them. Resolves with the
+// cancelled order and, in `linked`, the orders that changed with it.
+const cancelOrder = async (userId, orderId) => {
+  const doc = await findUserOrder(userId, orderId);
+  checkNotSettling(doc);
+  const cancelled = await transitionOrder(doc._id, 'cancelled', 'Cancelled by user');
+  if (!cancelled) {
+    throw orderError('ORDER_CLOSED', 'The order has already closed', 409);
+  }
+  return { order: toOrder(cancelled), linked: await settleLinkedOrders(cancelled) };
+};
+
+// A bracket's prices must stay in order after a change to its entry or an exit:
+// stop-loss < entry (while it can still fill) < take-profit
+const checkBracketChange = async (doc, set) => {
+  const entryId = doc.legRole ? doc.parentOrder : doc._id;
+  if (!entryId) return;
+
+  const [entry, exits] = await Promise.all([
+    doc.legRole ? Order.findById(entryId).lean() : doc,
+    Order.find({ parentOrder: entryId, status: { $in: LIVE_STATUSES } }).lean()
+  ]);
+  const withChange = (order) => (order && order._id.toString() === doc._id.toString() ? { ...order, ...set } : order);
+  const takeProfit = withChange(exits.find((exit) => exit.legRole === 'take_profit'));
+  const stopLoss = withChange(exits.find((exit) => exit.legRole === 'stop_loss'));
+  // Once one exit has gone there is nothing left to keep in order
+  if (!takeProfit || !stopLoss) return;
+
+  const liveEntry = entry && LIVE_STATUSES.includes(entry.status) ? withChange(entry) : null;
+  checkBracketPrices(
+    { takeProfit: takeProfit.limitPrice, stopLoss: stopLoss.stopPrice },
+    liveEntry ? liveEntry.limitPrice ?? liveEntry.stopPrice : null
+  );
+};
+
+// Work out the fields a modification changes on an order
+const validateModification = async (userId, doc, { quantity, limitPrice, stopPrice } = {}) => {
+  const set = {};
+
+  if (quantity !== undefined) {
+    // OCO legs and bracket exits trade the same shares as their siblings
+    if (doc.ocoGroup) {
+      throw orderError('MODIFY_NOT_ALLOWED', 'The quantity of an OCO or bracket exit order cannot change');
+    }
+    const shares = Number(quantity);
+    if (!Number.isInteger(shares) || shares < 1 || shares > MAX_ORDER_QUANTITY) {
+      throw orderError('INVALID_QUANTITY', `Quantity must be a whole number from 1 to ${MAX_ORDER_QUANTITY}`);
+    }
+    if (shares <= (doc.filledQuantity || 0)) {
+      throw orderError('INVALID_QUANTITY', `Quantity must be above the ${doc.filledQuantity} shares already filled`);
+    }
+    if (doc.side === 'sell') {
+      await checkHolding(userId, { ticker: doc.ticker, quantity: shares - (doc.filledQuantity || 0) });
+    }
+    set.quantity = shares;
+  }
+
+  if (limitPrice !== undefined) {
+    if (!LIMIT_TYPES.includes(doc.type)) {
+      throw orderError('MODIFY_NOT_ALLOWED', `A ${doc.type} order has no limit price`);
+    }
+    set.limitPrice = parseOrderPrice(limitPrice, 'Limit price');
+  }
+
+  if (stopPrice !== undefined) {
+    if (!STOP_TYPES.includes(doc.type)) {
+      throw orderError('MODIFY_NOT_ALLOWED', `A ${doc.type} order has no stop price`);
+    }
+    if (doc.triggeredAt) {
+      throw orderError('MODIFY_NOT_ALLOWED', 'The stop price has already been reached');
+    }
+    set.stopPrice = parseOrderPrice(stopPrice, 'Stop price');
+  }
+
+  if (Object.keys(set).length === 0) {
+    throw orderError('INVALID_MODIFICATION', 'Send a quantity, limitPrice or stopPrice to change');
+  }
+  if (set.limitPrice !== undefined || set.stopPrice !== undefined) await checkBracketChange(doc, set);
+  // A buy must still be covered for the shares it has left to fill
+  if (doc.side === 'buy') {
+    const modified = { ...doc, ...set };
+    await checkBuyingPower(userId, { ...modified, quantity: modified.quantity - (doc.filledQuantity || 0) });
+  }
+  return set;
+};
+
+// Change the quantity or prices of one of a user's pending, open or partially filled
+// orders. The change only lands on the order as it was read, so it never crosses a
+// fill; it is recorded in the order's history under its current status. Resolves
+// with the modified order.
+const modifyOrder = async (userId, orderId, changes) => {
+  const doc = await findUserOrder(userId, orderId);
+  if (!LIVE_STATUSES.includes(doc.status)) {
+    throw orderError('ORDER_CLOSED', `The order is already ${doc.status}`, 409);
+  }
+  checkNotSettling(doc);
+
+  const set = await validateModification(userId, doc, changes);
+  const reason = `Modified ${Object.entries(set).map(([field, value]) => `${field} to ${value}`).join(', ')}`;
+  const modified = await Order.findOneAndUpdate(
+    { _id: doc._id, status: doc.status, ...atRevision(doc.revision) },
+    { $set: set, $inc: { revision: 1 }, $push: { statusHistory: toHistoryEntry(doc.status, reason) } },
+    { new: true }
+  ).lean();
+  if (!modified) {
+    throw orderError('ORDER_CONFLICT', 'The order changed while it was being modified - please try again', 409);
+  }
+  return { order: toOrder(modified) };
+};
+
+// A user's orders, newest first (optionally for one ticker or status)
+const getOrders = async (userId, { ticker, status, limit = 50 } = {}) => {
+  const filter = { user: userId };
+  if (ticker) filter.ticker = String(ticker).trim().toUpperCase();
+  if (status) filter.status = String(status).trim().toLowerCase();
+
+  const docs = await Order.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), MAX_HISTORY_LIMIT))
+    .lean();
+  return docs.map(toOrder);
+};
+
+// A user's open positions (or every position, closed ones included), marked to market
+const getPositions = async (userId, { includeClosed = false } = {}) => {
+  const filter = { user: userId };
+  if (!includeClosed) filter.quantity = { $gt: 0 };
+
+  const docs = await Position.find(filter).sort({ ticker: 1 }).lean();
+  const quotes = market.getQuotes();
+  return docs.map((doc) => toPosition(doc, quotes));
+};
+
+module.exports = {
+  placeOrder,
+  placeOcoOrder,
+  cancelOrder,
+  modifyOrder,
+  getOrders,
+  getPositions,
+  fillRestingOrder,
+  triggerRestingOrder,
+  expireRestingOrder,
+  loadOpenOrders
+};
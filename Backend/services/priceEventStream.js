@@ -0,0 +1,163 @@
+const catalog = require('./instrumentCatalog');
+const market = require('./marketState');
+const { getSequence } = require('./priceStream');
+const { INDEX_TICKER } = require('./marketIndex');
+const { withDisplay, perCurrency } = require('./displayCurrency');
+
+// Server-Sent Events price stream - the fallback for clients that cannot open a
+// WebSocket. Each stream carries `price_update` events (the same payload as the
+// socket event, with display amounts in the user's currency) for its user's
+// subscriptions and the composite index. Streams are local to the node that
+// accepted them; every node feeds its own.
+
+// Comment line sent this often so proxies keep idle streams open
+const HEARTBEAT_MS = 15 * 1000;
+// How long before the token expires the client is told to reconnect with a new one
+const REAUTH_LEAD_MS = 60 * 1000;
+// Reconnect delay suggested to the browser's EventSource
+const RETRY_MS = 3000;
+
+// Open streams: { userId, res, tickers: Set, currency, timers: [] }
+const clients = new Set();
+
+const writeEvent = (res, event, data, id) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const getStreamTickers = (subscribed) => new Set([
+  ...(subscribed || []).filter((ticker) => catalog.isSupported(ticker)),
+  INDEX_TICKER
+]);
+
+// `price_update` payload for a ticker at the current quotes, with display amounts in `currency`
+const toPriceUpdate = (ticker, quote, seq, timestamp, currency) => {
+  const update = {
+    ticker,
+    price: quote.price,
+    change: quote.change,
+    bid: quote.bid,
+    ask: quote.ask,
+    seq,
+    timestamp
+  };
+  return ticker === INDEX_TICKER ? update : withDisplay(update, 'quote', currency);
+};
+
+// Current price of each ticker, as the baseline for updates to follow
+const sendCurrentPrices = (client, tickers) => {
+  const quotes = market.getQuotes();
+  const seq = getSequence();
+  const timestamp = new Date().toISOString();
+  tickers.forEach((ticker) => {
+    if (!quotes[ticker]) return;
+    writeEvent(client.res, 'price_update', toPriceUpdate(ticker, quotes[ticker], seq, timestamp, client.currency), seq);
+  });
+};
+
+const closeClient = (client) => {
+  client.timers.forEach((timer) => {
+    clearTimeout(timer);
+    clearInterval(timer);
+  });
+  clients.delete(client);
+};
+
+// Tell the client why its stream ended and close it
+const endStream = (client, code, message) => {
+  writeEvent(client.res, 'auth_required', { code, message });
+  client.res.end();
+  closeClient(client);
+};
+
+// Start streaming on an authenticated request's response. `expiresAt` (epoch ms) is
+// when its token expires - the stream ends then, so the client must reconnect with a
+// refreshed token.
+const openPriceStream = (res, {
+  userId, subscribed, currency, expiresAt
+}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = {
+    userId, res, tickers: getStreamTickers(subscribed), currency, timers: []
+  };
+  clients.add(client);
+  sendCurrentPrices(client, client.tickers);
+
+  client.timers.push(setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS));
+  if (expiresAt) {
+    const remaining = expiresAt - Date.now();
+    client.timers.push(setTimeout(() => {
+      writeEvent(res, 'auth_required', {
+        code: 'TOKEN_EXPIRING',
+        message: 'Token is about to expire - reconnect with a new one',
+        expiresAt: new Date(expiresAt).toISOString()
+      });
+    }, Math.max(remaining - REAUTH_LEAD_MS, 0)));
+    client.timers.push(setTimeout(() => endStream(client, 'TOKEN_EXPIRED', 'Token has expired'), remaining));
+  }
+
+  // The browser went away (or the stream was ended)
+  res.on('close', () => closeClient(client));
+};
+
+// Stream the tickers that changed in a delta to every stream that follows them
+const publishPriceUpdates = (delta) => {
+  if (clients.size === 0) return;
+
+  const quotes = market.getQuotes();
+  const getUpdates = perCurrency((currency) => Object.keys(delta.changes)
+    .filter((ticker) => quotes[ticker])
+    .map((ticker) => toPriceUpdate(ticker, quotes[ticker], delta.seq, delta.timestamp, currency)));
+
+  clients.forEach((client) => {
+    getUpdates(client.currency).forEach((update) => {
+      if (client.tickers.has(update.ticker)) writeEvent(client.res, 'price_update', update, delta.seq);
+    });
+  });
+};
+
+// Follow a user's new subscription list, sending the current price of any added ticker
+const setUserSubscriptions = (userId, subscribed) => {
+  clients.forEach((client) => {
+    if (client.userId !== userId) return;
+
+    const tickers = getStreamTickers(subscribed);
+    const added = Array.from(tickers).filter((ticker) => !client.tickers.has(ticker));
+    client.tickers = tickers;
+    sendCurrentPrices(client, added);
+  });
+};
+
+// Show a user's streams in a new display currency, starting from the current prices
+const setUserCurrency = (userId, currency) => {
+  clients.forEach((client) => {
+    if (client.userId !== userId) return;
+
+    client.currency = currency;
+    sendCurrentPrices(client, client.tickers);
+  });
+};
+
+// End a user's streams on this node (e.g. after a password change)
+const endUserStreams = (userId, code, message) => {
+  clients.forEach((client) => {
+    if (client.userId === userId) endStream(client, code, message);
+  });
+};
+
+module.exports = {
+  toPriceUpdate,
+  openPriceStream,
+  publishPriceUpdates,
+  setUserSubscriptions,
+  setUserCurrency,
+  endUserStreams
+};
@@ -0,0 +1,47 @@
+const { createSimulatorFeed } = require('./simulatorFeed');
+const { createReplayFeed } = require('./replayFeed');
+const { createWebSocketFeed } = require('./websocketFeed');
+
+// Registered price feed providers, selected with PRICE_FEED
+const PROVIDERS = {
+  simulator: createSimulatorFeed,
+  replay: createReplayFeed,
+  websocket: createWebSocketFeed
+};
+
+const DEFAULT_INTERVAL_MS = 1000;
+// Simulated seconds per real second - each 1s tick moves prices like one trading minute
+const DEFAULT_TIME_SCALE = 60;
+
+// Read the feed configuration from the environment
+const getFeedConfig = () => ({
+  provider: String(process.env.PRICE_FEED || 'simulator').trim().toLowerCase(),
+  intervalMs: Number(process.env.PRICE_FEED_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  file: process.env.PRICE_FEED_FILE,
+  loop: process.env.PRICE_FEED_LOOP !== 'false',
+  url: process.env.PRICE_FEED_URL,
+  seed: process.env.PRICE_SEED,
+  timeScale: Number(process.env.PRICE_MODEL_TIME_SCALE) || DEFAULT_TIME_SCALE
+});
+
+// Create the configured price feed.
+// Every provider exposes the same interface:
+//   start(onTick) - begin producing ticks, onTick({ prices: { TICKER: price }, timestamp })
+//   stop()        - stop producing ticks and release resources
+// getTickers() and getModelParams(ticker) are read on every tick so newly listed or
+// edited instruments trade without a restart.
+const createPriceFeed = ({
+  getTickers, getPrice, getAnchor, getModelParams, config = getFeedConfig()
+}) => {
+  const factory = PROVIDERS[config.provider];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown price feed "${config.provider}". Supported: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return factory({ ...config, getTickers, getPrice, getAnchor, getModelParams });
+};
+
+module.exports = { createPriceFeed, getFeedConfig, PROVIDERS };
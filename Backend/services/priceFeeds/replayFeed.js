@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+// Parse one CSV line (no quoted fields - ticks are plain numbers and symbols)
+const splitCsvLine = (line) => line.split(',').map((cell) => cell.trim());
+
+// Parse CSV with a header row containing at least: timestamp, ticker, price
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const col = {
+    timestamp: header.indexOf('timestamp'),
+    ticker: header.indexOf('ticker'),
+    price: header.indexOf('price')
+  };
+
+  if (col.timestamp === -1 || col.ticker === -1 || col.price === -1) {
+    throw new Error('Replay CSV must have timestamp, ticker and price columns');
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return {
+      timestamp: cells[col.timestamp],
+      ticker: cells[col.ticker],
+      price: cells[col.price]
+    };
+  });
+};
+
+// Parse NDJSON - each line is either { timestamp, ticker, price } or { timestamp, prices: {...} }
+const parseNdjson = (content) => {
+  const rows = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of replay file`);
+    }
+
+    if (record.prices && typeof record.prices === 'object') {
+      Object.entries(record.prices).forEach(([ticker, price]) => {
+        rows.push({ timestamp: record.timestamp, ticker, price });
+      });
+    } else {
+      rows.push({ timestamp: record.timestamp, ticker: record.ticker, price: record.price });
+    }
+  });
+
+  return rows;
+};
+
+// Group rows sharing a timestamp into frames of { TICKER: price }
+const buildFrames = (rows) => {
+  const frames = [];
+  let current = null;
+
+  rows.forEach((row) => {
+    const ticker = String(row.ticker || '').trim().toUpperCase();
+    const price = Number(row.price);
+    if (!ticker || !Number.isFinite(price) || price <= 0) return;
+
+    if (!current || current.timestamp !== String(row.timestamp)) {
+      current = { timestamp: String(row.timestamp), prices: {} };
+      frames.push(current);
+    }
+    current.prices[ticker] = price;
+  });
+
+  return frames;
+};
+
+const loadFrames = (file) => {
+  const resolved = path.resolve(file);
+  const content = fs.readFileSync(resolved, 'utf8');
+  const isNdjson = /\.(nd)?jsonl?$/i.test(resolved) || content.trimStart().startsWith('{');
+  return buildFrames(isNdjson ? parseNdjson(content) : parseCsv(content));
+};
+
+// File replayer - plays back recorded ticks from a CSV or NDJSON file, one frame per interval
+const createReplayFeed = ({ getTickers, file, intervalMs, loop }) => {
+  if (!file) {
+    throw new Error('PRICE_FEED_FILE is required for the replay price feed');
+  }
+
+  const frames = loadFrames(file);
+  if (frames.length === 0) {
+    throw new Error(`Replay file ${file} contains no usable ticks`);
+  }
+
+  let timer = null;
+  let position = 0;
+
+  const start = (onTick) => {
+    if (timer) return;
+
+    console.log(`Replaying ${frames.length} frames from ${file}`);
+
+    timer = setInterval(() => {
+      if (position >= frames.length) {
+        if (!loop) {
+          stop();
+          return;
+        }
+        position = 0;
+      }
+
+      const frame = frames[position++];
+      const prices = {};
+      getTickers().forEach((ticker) => {
+        if (frame.prices[ticker] !== undefined) {
+          prices[ticker] = frame.prices[ticker];
+        }
+      });
+
+      // Stamp with the live clock so charts stay in real time
+      onTick({ prices, timestamp: new Date().toISOString() });
+    }, intervalMs);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { name: 'replay', start, stop };
+};
+
+module.exports = { createReplayFeed, parseCsv, parseNdjson, buildFrames };
@@ -0,0 +1,40 @@
+const { createPriceModel } = require('../priceModel');
+
+// Stochastic simulator - advances every ticker with the GBM price model each interval,
+// using the model parameters of its instrument
+const createSimulatorFeed = ({
+  getTickers, getPrice, getAnchor, getModelParams, intervalMs, seed, timeScale
+}) => {
+  const model = createPriceModel({ seed, timeScale });
+  let timer = null;
+
+  const start = (onTick) => {
+    if (timer) return;
+
+    console.log(`Price model seed: ${model.seed}`);
+
+    timer = setInterval(() => {
+      const prices = {};
+      getTickers().forEach((ticker) => {
+        prices[ticker] = model.step(getPrice(ticker), {
+          seconds: intervalMs / 1000,
+          anchor: getAnchor ? getAnchor(ticker) : undefined,
+          params: getModelParams ? getModelParams(ticker) : undefined
+        });
+      });
+
+      onTick({ prices, timestamp: new Date().toISOString() });
+    }, intervalMs);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { name: 'simulator', start, stop, model };
+};
+
+module.exports = { createSimulatorFeed };
@@ -0,0 +1,107 @@
+const WebSocket = require('ws');
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Extract { TICKER: price } from an upstream message.
+// Accepted shapes: { ticker, price }, { prices: { TICKER: price } } or an array of { ticker, price }
+const parseUpstreamMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return {};
+  }
+
+  const entries = [];
+  if (Array.isArray(message)) {
+    message.forEach((item) => entries.push([item?.ticker, item?.price]));
+  } else if (message?.prices && typeof message.prices === 'object') {
+    Object.entries(message.prices).forEach((entry) => entries.push(entry));
+  } else if (message?.ticker) {
+    entries.push([message.ticker, message.price]);
+  }
+
+  const prices = {};
+  entries.forEach(([ticker, price]) => {
+    const normalizedTicker = String(ticker || '').trim().toUpperCase();
+    const value = Number(price);
+    if (normalizedTicker && Number.isFinite(value) && value > 0) {
+      prices[normalizedTicker] = value;
+    }
+  });
+  return prices;
+};
+
+// Upstream WebSocket adapter - coalesces upstream quotes and emits them once per interval
+const createWebSocketFeed = ({ getTickers, url, intervalMs }) => {
+  if (!url) {
+    throw new Error('PRICE_FEED_URL is required for the websocket price feed');
+  }
+
+  let ws = null;
+  let flushTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let stopped = true;
+  let pending = {};
+
+  const connect = () => {
+    ws = new WebSocket(url);
+
+    ws.on('open', () => {
+      console.log(`Connected to upstream price feed ${url}`);
+      reconnectDelay = 1000;
+    });
+
+    ws.on('message', (raw) => {
+      const prices = parseUpstreamMessage(raw);
+      const tickers = getTickers();
+      Object.keys(prices).forEach((ticker) => {
+        if (tickers.includes(ticker)) {
+          pending[ticker] = prices[ticker];
+        }
+      });
+    });
+
+    ws.on('error', (error) => {
+      console.error('Upstream price feed error:', error.message);
+    });
+
+    ws.on('close', () => {
+      if (stopped) return;
+      console.log(`Upstream price feed closed, reconnecting in ${reconnectDelay}ms`);
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    });
+  };
+
+  const start = (onTick) => {
+    if (!stopped) return;
+    stopped = false;
+
+    connect();
+
+    flushTimer = setInterval(() => {
+      if (Object.keys(pending).length === 0) return;
+
+      const prices = pending;
+      pending = {};
+      onTick({ prices, timestamp: new Date().toISOString() });
+    }, intervalMs);
+  };
+
+  const stop = () => {
+    stopped = true;
+    clearInterval(flushTimer);
+    clearTimeout(reconnectTimer);
+    if (ws) {
+      ws.removeAllListeners('close');
+      ws.close();
+      ws = null;
+    }
+  };
+
+  return { name: 'websocket', start, stop };
+};
+
+module.exports = { createWebSocketFeed, parseUpstreamMessage };
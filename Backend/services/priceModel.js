@@ -0,0 +1,119 @@
+// Stochastic price model - geometric Brownian motion with optional
+// mean reversion and jump terms, driven by a seedable RNG so that a
+// given seed always reproduces the exact same price path.
+
+// Trading seconds per year (252 sessions x 6.5 hours)
+const TRADING_SECONDS_PER_YEAR = 252 * 6.5 * 60 * 60;
+
+// Annualised model parameters - each instrument carries its own (Instrument.modelParams),
+// any it leaves out take these defaults
+//   drift          - expected annual return (mu)
+//   volatility     - annual volatility (sigma)
+//   meanReversion  - pull strength back towards the anchor price (kappa, 0 = pure GBM)
+//   jumpIntensity  - expected number of jumps per year (lambda, 0 = no jumps)
+//   jumpMean       - mean log size of a jump
+//   jumpStdDev     - standard deviation of the log jump size
+const DEFAULT_MODEL_PARAMS = {
+  drift: 0.05,
+  volatility: 0.30,
+  meanReversion: 0.3,
+  jumpIntensity: 2,
+  jumpMean: 0,
+  jumpStdDev: 0.03
+};
+
+const getModelParams = (params = {}) => {
+  const resolved = { ...DEFAULT_MODEL_PARAMS };
+  Object.keys(DEFAULT_MODEL_PARAMS).forEach((name) => {
+    if (Number.isFinite(params?.[name])) resolved[name] = params[name];
+  });
+  return resolved;
+};
+
+// Mulberry32 - small, fast, deterministic 32-bit PRNG returning [0, 1)
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Turn an arbitrary seed (number or string) into a 32-bit integer
+const normalizeSeed = (seed) => {
+  if (seed === undefined || seed === null || seed === '') {
+    return (Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF)) >>> 0;
+  }
+
+  const numeric = Number(seed);
+  if (Number.isFinite(numeric)) return numeric >>> 0;
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < String(seed).length; i++) {
+    hash ^= String(seed).charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Create a price model instance.
+//   seed      - reproducible seed (number or string), random when omitted
+//   timeScale - simulated seconds per real second (60 = one simulated minute per 1s tick)
+const createPriceModel = ({ seed, timeScale = 1 } = {}) => {
+  const resolvedSeed = normalizeSeed(seed);
+  const random = createRng(resolvedSeed);
+  let spareGaussian = null;
+
+  // Standard normal sample (Box-Muller, caching the second value)
+  const gaussian = () => {
+    if (spareGaussian !== null) {
+      const value = spareGaussian;
+      spareGaussian = null;
+      return value;
+    }
+
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spareGaussian = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+
+  // Advance a price by `seconds` of real time under the instrument's model `params`.
+  // `anchor` is the reference price that mean reversion pulls towards.
+  const step = (price, { seconds = 1, anchor, params } = {}) => {
+    const p = getModelParams(params);
+    const dt = (seconds * timeScale) / TRADING_SECONDS_PER_YEAR;
+
+    // GBM log-return: (mu - sigma^2 / 2) dt + sigma sqrt(dt) Z
+    let logReturn = (p.drift - 0.5 * p.volatility * p.volatility) * dt
+      + p.volatility * Math.sqrt(dt) * gaussian();
+
+    // Ornstein-Uhlenbeck style pull on the log price towards the anchor
+    if (p.meanReversion > 0 && anchor > 0) {
+      logReturn -= p.meanReversion * Math.log(price / anchor) * dt;
+    }
+
+    // Poisson jumps (Merton jump-diffusion)
+    if (p.jumpIntensity > 0 && random() < p.jumpIntensity * dt) {
+      logReturn += p.jumpMean + p.jumpStdDev * gaussian();
+    }
+
+    return Math.max(0.01, Number((price * Math.exp(logReturn)).toFixed(2)));
+  };
+
+  return { seed: resolvedSeed, random, gaussian, step };
+};
+
+module.exports = {
+  createPriceModel,
+  createRng,
+  getModelParams,
+  DEFAULT_MODEL_PARAMS,
+  TRADING_SECONDS_PER_YEAR
+};
@@ -0,0 +1,79 @@
+// Delta encoding for the price stream.
+// Clients receive one full snapshot and then, for every tick, only the
+// fields that changed, tagged with a monotonically increasing sequence number.
+// The latest deltas are kept in a ring buffer so a client that missed some
+// (a dropped connection, a gap) can catch up without a new snapshot.
+
+// Sequence number of the last tick streamed
+let sequence = 0;
+
+// Last streamed field values per ticker - the baseline deltas are computed against
+const lastStreamed = {};
+
+// Fields that are delta-encoded per ticker (history is rebuilt client-side)
+const STREAMED_FIELDS = ['price', 'change', 'bid', 'ask'];
+
+// Deltas kept for resyncing clients (at the default 1s feed, 10 minutes)
+const BUFFER_SIZE = Math.max(Number(process.env.STREAM_BUFFER_SIZE) || 600, 1);
+
+// Ring buffer of the last BUFFER_SIZE deltas - slot `seq % BUFFER_SIZE` holds delta `seq`
+const buffer = new Array(BUFFER_SIZE).fill(null);
+
+const getSequence = () => sequence;
+
+const remember = (delta) => {
+  buffer[delta.seq % BUFFER_SIZE] = delta;
+};
+
+// Deltas after `sinceSeq`, oldest first - or null when some are no longer buffered
+// (or `sinceSeq` is not from this stream), in which case a snapshot is needed
+const getDeltasSince = (sinceSeq) => {
+  if (!Number.isInteger(sinceSeq) || sinceSeq < 0 || sinceSeq > sequence) return null;
+  if (sequence - sinceSeq > BUFFER_SIZE) return null;
+
+  const deltas = [];
+  for (let seq = sinceSeq + 1; seq <= sequence; seq++) {
+    const delta = buffer[seq % BUFFER_SIZE];
+    if (delta?.seq !== seq) return null;
+    deltas.push(delta);
+  }
+  return deltas;
+};
+
+// Compute the changed fields for this tick and advance the sequence
+const buildDelta = (stocks, timestamp) => {
+  const changes = {};
+
+  Object.keys(stocks).forEach((ticker) => {
+    const previous = lastStreamed[ticker] || {};
+    const current = stocks[ticker];
+    const changed = {};
+
+    STREAMED_FIELDS.forEach((field) => {
+      if (current[field] !== undefined && current[field] !== previous[field]) {
+        changed[field] = current[field];
+      }
+    });
+
+    if (Object.keys(changed).length > 0) {
+      changes[ticker] = changed;
+      lastStreamed[ticker] = { ...previous, ...changed };
+    }
+  });
+
+  sequence += 1;
+  const delta = { seq: sequence, changes, timestamp };
+  remember(delta);
+  return delta;
+};
+
+// Adopt a delta built on the leader node so this node's sequence and baseline match it
+const applyDelta = ({ seq, changes, timestamp }) => {
+  Object.keys(changes).forEach((ticker) => {
+    lastStreamed[ticker] = { ...lastStreamed[ticker], ...changes[ticker] };
+  });
+  sequence = seq;
+  remember({ seq, changes, timestamp });
+};
+
+module.exports = { buildDelta, applyDelta, getSequence, getDeltasSince, STREAMED_FIELDS };
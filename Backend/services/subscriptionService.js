@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const catalog = require('./instrumentCatalog');
+
+// Error carrying a machine-readable code and HTTP status
+const subscriptionError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const normalizeTicker = (ticker) => String(ticker || '').trim().toUpperCase();
+
+const validateTicker = (ticker) => {
+  const normalizedTicker = normalizeTicker(ticker);
+  if (!normalizedTicker || !catalog.isSupported(normalizedTicker)) {
+    throw subscriptionError(
+      'INVALID_TICKER',
+      `Invalid stock ticker. Supported: ${catalog.getTickers().join(', ')}`
+    );
+  }
+  return normalizedTicker;
+};
+
+// Add a ticker to a user's subscriptions (atomic - safe across tabs)
+const subscribe = async (userId, ticker) => {
+  const normalizedTicker = validateTicker(ticker);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, subscribedStocks: { $ne: normalizedTicker } },
+    { $addToSet: { subscribedStocks: normalizedTicker } },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) throw subscriptionError('USER_NOT_FOUND', 'User not found', 404);
+    throw subscriptionError('ALREADY_SUBSCRIBED', `Already subscribed to ${normalizedTicker}`);
+  }
+
+  return { ticker: normalizedTicker, subscribedStocks: user.subscribedStocks };
+};
+
+// Remove a ticker from a user's subscriptions
+const unsubscribe = async (userId, ticker) => {
+  const normalizedTicker = validateTicker(ticker);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, subscribedStocks: normalizedTicker },
+    { $pull: { subscribedStocks: normalizedTicker } },
+    { new: true }
+  );
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) throw subscriptionError('USER_NOT_FOUND', 'User not found', 404);
+    throw subscriptionError('NOT_SUBSCRIBED', `Not subscribed to ${normalizedTicker}`);
+  }
+
+  return { ticker: normalizedTicker, subscribedStocks: user.subscribedStocks };
+};
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  validateTicker
+};
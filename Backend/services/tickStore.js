@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Tick = require('../models/Tick');
+const Candle = require('../models/Candle');
+const { INTERVALS } = require('./candleAggregator');
+
+// Batched tick persistence to the MongoDB time-series collection
+const BATCH_SIZE = Number(process.env.TICK_BATCH_SIZE) || 500;
+const FLUSH_INTERVAL_MS = Number(process.env.TICK_FLUSH_INTERVAL_MS) || 5000;
+// Upper bound on unsaved ticks kept while MongoDB is unavailable
+const MAX_BUFFERED_TICKS = 50000;
+// How far back recorded ticks reach (older ones have expired)
+const RETENTION_MS = Tick.schema.options.expireAfterSeconds * 1000;
+
+// Intervals whose closed bars are kept in the candles collection. Their ranges are read
+// from there; shorter intervals are aggregated from the raw ticks.
+const ROLLUP_INTERVALS = ['5m', '15m', '1h', '1d'];
+// Most stored bars returned for one request (five years of daily bars)
+const MAX_STORED_CANDLES = 2000;
+
+// $dateTrunc settings per candle interval
+const CANDLE_BINS = {
+  '1m': { unit: 'minute', binSize: 1 },
+  '5m': { unit: 'minute', binSize: 5 },
+  '15m': { unit: 'minute', binSize: 15 },
+  '1h': { unit: 'hour', binSize: 1 },
+  '1d': { unit: 'day', binSize: 1 },
+};
+
+let buffer = [];
+let flushTimer = null;
+let flushing = false;
+// Oldest time each ticker's rollups have been filled in from the raw ticks, per `ticker:interval`
+const backfilledFrom = new Map();
+
+const isEnabled = () => process.env.TICK_PERSISTENCE !== 'false' && mongoose.connection.readyState === 1;
+
+// Create the time-series collection and apply the configured retention window
+const initTickStore = async () => {
+  if (!isEnabled()) return;
+
+  await Tick.createCollection();
+
+  try {
+    await mongoose.connection.db.command({
+      collMod: Tick.collection.collectionName,
+      expireAfterSeconds: Tick.schema.options.expireAfterSeconds
+    });
+  } catch (error) {
+    console.error('Could not update tick retention:', error.message);
+  }
+
+  if (!flushTimer) {
+    flushTimer = setInterval(flushTicks, FLUSH_INTERVAL_MS);
+  }
+};
+
+// Write buffered ticks in one batch
+const flushTicks = async () => {
+  if (flushing || buffer.length === 0 || !isEnabled()) return;
+
+  flushing = true;
+  const batch = buffer;
+  buffer = [];
+
+  try {
+    await Tick.insertMany(batch, { ordered: false, lean: true });
+  } catch (error) {
+    console.error(`Failed to persist ${batch.length} ticks:`, error.message);
+    // Put the batch back so it is retried on the next flush
+    buffer = batch.concat(buffer).slice(-MAX_BUFFERED_TICKS);
+  } finally {
+    flushing = false;
+  }
+};
+
+// Queue a tick for persistence
+const recordTick = (ticker, price, volume, timestamp) => {
+  if (process.env.TICK_PERSISTENCE === 'false') return;
+
+  buffer.push({ ticker, price, volume, timestamp: new Date(timestamp || Date.now()) });
+  if (buffer.length > MAX_BUFFERED_TICKS) buffer.shift();
+
+  if (buffer.length >= BATCH_SIZE) {
+    flushTicks();
+  }
+};
+
+// Load the last recorded price and recent history for each ticker
+const loadLatestTicks = async (tickers, historyLength) => {
+  if (!isEnabled()) return {};
+
+  const latest = {};
+  await Promise.all(tickers.map(async (ticker) => {
+    const ticks = await Tick.find({ ticker })
+      .sort({ timestamp: -1 })
+      .limit(historyLength)
+      .lean();
+
+    if (ticks.length > 0) {
+      latest[ticker] = ticks.reverse().map((tick) => ({
+        price: tick.price,
+        timestamp: tick.timestamp
+      }));
+    }
+  }));
+  return latest;
+};
+
+// Recorded ticks for the tickers between from and to (epoch ms), oldest first.
+// Reads at most `limit` ticks so callers can reject ranges that are too large.
+const loadTickRange = async (tickers, { from, to, limit }) => {
+  if (!isEnabled()) return [];
+
+  const ticks = await Tick.find({
+    ticker: { $in: tickers },
+    timestamp: { $gte: new Date(from), $lte: new Date(to) }
+  })
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .lean();
+
+  return ticks.map((tick) => ({
+    ticker: tick.ticker,
+    price: tick.price,
+    timestamp: tick.timestamp.getTime()
+  }));
+};
+
+// Store the bars a tick closed (candleAggregator.recordTick) for the rolled-up intervals
+const recordCandles = (ticker, closed) => {
+  if (!isEnabled()) return;
+
+  closed
+    .filter(({ interval }) => ROLLUP_INTERVALS.includes(interval))
+    .forEach(({ interval, bar }) => {
+      Candle.updateOne(
+        { ticker, interval, time: new Date(bar.time) },
+        { $set: { open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume } },
+        { upsert: true }
+      ).catch((error) => {
+        console.error(`Failed to store ${ticker} ${interval} candle:`, error.message);
+      });
+    });
+};
+
+const toCandle = (bar) => ({
+  time: bar.time.getTime(),
+  open: bar.open,
+  high: bar.high,
+  low: bar.low,
+  close: bar.close,
+  volume: bar.volume
+});
+
+// Aggregate recorded ticks into OHLCV candles between from and to (epoch ms)
+const aggregateTicks = async (ticker, interval, from, to) => {
+  const bars = await Tick.aggregate([
+    { $match: { ticker, timestamp: { $gte: new Date(from), $lte: new Date(to) } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', ...CANDLE_BINS[interval] } },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        volume: { $sum: '$volume' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return bars.map((bar) => toCandle({ ...bar, time: bar._id }));
+};
+
+// Roll the ticks recorded before `before` (epoch ms) into the candles collection, back to
+// `from` - once per stretch, for history recorded before the bars were stored as they closed
+const backfillCandles = async (ticker, interval, from, before) => {
+  const key = `${ticker}:${interval}`;
+  const start = Math.max(from, Date.now() - RETENTION_MS);
+  const end = Math.min(before, backfilledFrom.get(key) ?? Infinity) - 1;
+  if (start > end) return [];
+
+  const bars = await aggregateTicks(ticker, interval, start, end);
+  if (bars.length > 0) {
+    await Candle.bulkWrite(bars.map((bar) => ({
+      updateOne: {
+        filter: { ticker, interval, time: new Date(bar.time) },
+        update: { $set: { open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  backfilledFrom.set(key, start);
+  return bars;
+};
+
+// Stored OHLCV candles between from and to (epoch ms), oldest first - at most
+// MAX_STORED_CANDLES, the newest when the range holds more
+const getStoredCandles = async (ticker, interval, { from, to } = {}) => {
+  if (!isEnabled() || !CANDLE_BINS[interval]) return [];
+
+  const now = Date.now();
+  const end = Math.min(to ?? now, now);
+  const start = Math.max(from ?? -Infinity, end - MAX_STORED_CANDLES * INTERVALS[interval]);
+
+  if (!ROLLUP_INTERVALS.includes(interval)) {
+    const tickStart = Math.max(start, now - RETENTION_MS);
+    return tickStart > end ? [] : aggregateTicks(ticker, interval, tickStart, end);
+  }
+
+  const bars = (await Candle.find({ ticker, interval, time: { $gte: new Date(start), $lte: new Date(end) } })
+    .sort({ time: 1 })
+    .limit(MAX_STORED_CANDLES)
+    .lean()).map(toCandle);
+
+  // Bars from before the rollups began are filled in from the recorded ticks
+  const earlier = await backfillCandles(ticker, interval, start, bars.length > 0 ? bars[0].time : end + 1);
+  return earlier.concat(bars);
+};
+
+module.exports = {
+  initTickStore,
+  recordTick,
+  flushTicks,
+  loadLatestTicks,
+  loadTickRange,
+  recordCandles,
+  getStoredCandles
+};
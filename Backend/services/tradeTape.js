@@ -0,0 +1,89 @@
+// Time and sales - discrete prints generated from each simulated tick and
+// kept in a bounded recent-trades buffer per ticker.
+
+const TAPE_SIZE = Number(process.env.TRADE_TAPE_SIZE) || 500;
+
+const SIDES = {
+  BUY: 'buy', // buyer-initiated (lifted the offer)
+  SELL: 'sell', // seller-initiated (hit the bid)
+};
+
+// tapes[ticker] = [{ id, ticker, price, size, side, timestamp }] oldest first
+const tapes = {};
+let nextTradeId = 1;
+
+// Append prints to a ticker's tape, dropping the oldest beyond TAPE_SIZE
+const appendTrades = (ticker, trades) => {
+  if (!tapes[ticker]) tapes[ticker] = [];
+  tapes[ticker].push(...trades);
+  if (tapes[ticker].length > TAPE_SIZE) {
+    tapes[ticker].splice(0, tapes[ticker].length - TAPE_SIZE);
+  }
+};
+
+// Split a tick's volume (shares) into between one and four round-lot prints
+const splitVolume = (volume, random) => {
+  let remaining = Math.max(1, Math.round(volume / 100));
+  const count = Math.min(remaining, 1 + Math.floor(random() * 4));
+  const sizes = [];
+
+  for (let i = count; i > 1; i--) {
+    const lots = Math.min(remaining - (i - 1), Math.max(1, Math.round((remaining / i) * (0.5 + random()))));
+    sizes.push(lots * 100);
+    remaining -= lots;
+  }
+  sizes.push(remaining * 100);
+  return sizes;
+};
+
+// Generate the prints for one tick. Rising prices skew prints toward buyers
+// trading at the ask, falling prices toward sellers trading at the bid.
+const printTrades = (ticker, { previousPrice, price, volume, quote, timestamp }, random = Math.random) => {
+  const move = previousPrice > 0 ? (price - previousPrice) / previousPrice : 0;
+  const buyProbability = 0.5 + Math.max(-0.4, Math.min(0.4, move * 200));
+  const time = new Date(timestamp || Date.now()).toISOString();
+
+  const trades = splitVolume(volume, random).map((size) => {
+    const side = random() < buyProbability ? SIDES.BUY : SIDES.SELL;
+    const tradePrice = quote ? (side === SIDES.BUY ? quote.ask : quote.bid) : price;
+    return {
+      id: nextTradeId++,
+      ticker,
+      price: tradePrice,
+      size,
+      side,
+      timestamp: time
+    };
+  });
+
+  appendTrades(ticker, trades);
+  return trades;
+};
+
+// Add prints generated on the leader node, keeping their ids so every node's tape matches
+const recordTrades = (trades) => {
+  trades.forEach((trade) => {
+    appendTrades(trade.ticker, [{ ...trade }]);
+    nextTradeId = Math.max(nextTradeId, trade.id + 1);
+  });
+};
+
+// Recent trades for a ticker, newest first. `since` (epoch ms) keeps only later prints.
+const getTrades = (ticker, { limit = 50, since } = {}) => {
+  const tape = tapes[ticker] || [];
+  const trades = [];
+
+  for (let i = tape.length - 1; i >= 0 && trades.length < limit; i--) {
+    if (since !== undefined && new Date(tape[i].timestamp).getTime() <= since) break;
+    trades.push({ ...tape[i] });
+  }
+  return trades;
+};
+
+module.exports = {
+  TAPE_SIZE,
+  SIDES,
+  printTrades,
+  recordTrades,
+  getTrades
+};
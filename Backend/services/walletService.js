@@ -0,0 +1,297 @@
+const Wallet = require('../models/Wallet');
+const LedgerTransaction = require('../models/LedgerTransaction');
+
+// Virtual cash - every user has a wallet, opened with WALLET_STARTING_BALANCE (USD)
+// the first time it is needed. Money only moves through the ledger: each movement
+// posts a balanced transaction numbered after the wallet's last one, then the wallet
+// takes the balance it leaves. A wallet found behind its ledger (a node stopped
+// between the two writes) catches up the next time it is read.
+
+const STARTING_BALANCE = Math.max(Number(process.env.WALLET_STARTING_BALANCE ?? 100000) || 0, 0);
+// Fee charged on each fill, as a fraction of the traded value (0.001 = 0.1%)
+const TRADING_FEE_RATE = Math.max(Number(process.env.TRADING_FEE_RATE) || 0, 0);
+// Largest single deposit or withdrawal
+const MAX_TRANSFER = 1000000;
+// Attempts at posting a transaction another one took the number of
+const MAX_POSTING_RETRIES = 10;
+// Most transactions returned per page
+const MAX_PAGE_SIZE = 100;
+
+// Error carrying a machine-readable code and HTTP status
+const walletError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const roundMoney = (value) => Number(value.toFixed(2));
+
+const toWallet = (doc) => ({
+  currency: doc.currency,
+  balance: doc.balance,
+  updatedAt: doc.updatedAt
+});
+
+const toTransaction = (doc) => ({
+  id: doc._id.toString(),
+  sequence: doc.sequence,
+  type: doc.type,
+  description: doc.description,
+  amount: doc.amount,
+  balanceAfter: doc.balanceAfter,
+  entries: doc.entries.map(({ account, amount }) => ({ account, amount })),
+  orderId: doc.order ? doc.order.toString() : null,
+  ticker: doc.ticker ?? null,
+  createdAt: doc.createdAt
+});
+
+// Move a wallet on to a posted transaction's balance, unless it is already past it
+const advanceWallet = async (wallet, { sequence, balanceAfter }) => {
+  const advanced = await Wallet.findOneAndUpdate(
+    { _id: wallet._id, sequence: { $lt: sequence } },
+    { $set: { balance: balanceAfter, sequence, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  return advanced || Wallet.findById(wallet._id).lean();
+};
+
+// A user's wallet as its ledger stands - created empty if the user has none yet
+const readWallet = async (userId) => {
+  let wallet = await Wallet.findOne({ user: userId }).lean();
+  if (!wallet) {
+    try {
+      wallet = (await Wallet.create({ user: userId })).toObject();
+    } catch (error) {
+      // Opened by another request at the same moment
+      if (error.code !== 11000) throw error;
+      wallet = await Wallet.findOne({ user: userId }).lean();
+    }
+  }
+
+  const [latest] = await LedgerTransaction.find({ user: userId, sequence: { $gt: wallet.sequence } })
+    .sort({ sequence: -1 })
+    .limit(1)
+    .lean();
+  return latest ? advanceWallet(wallet, latest) : wallet;
+};
+
+// Post a transaction to a user's ledger and move their wallet's balance by its cash
+// entry. Resolves with the transaction and the updated wallet, or null when a
+// transaction with the same `reference` has already posted. Spending more cash than
+// the wallet holds fails with INSUFFICIENT_FUNDS unless `allowOverdraft` is set.
+const postTransaction = async (userId, {
+  type, description, entries, reference, order = null, ticker = null, allowOverdraft = false
+}) => {
+  const amount = roundMoney(entries
+    .filter((entry) => entry.account === 'cash')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+  for (let attempt = 0; attempt < MAX_POSTING_RETRIES; attempt++) {
+    const wallet = await readWallet(userId);
+    // A new wallet opens with the starting balance before anything else posts
+    if (wallet.sequence === 0 && type !== 'opening' && STARTING_BALANCE > 0) {
+      await postOpening(userId);
+      continue;
+    }
+
+    const balanceAfter = roundMoney(wallet.balance + amount);
+    if (amount < 0 && balanceAfter < 0 && !allowOverdraft) {
+      throw walletError('INSUFFICIENT_FUNDS', `Not enough cash - ${-amount} needed, ${wallet.balance} available`);
+    }
+
+    let doc;
+    try {
+      doc = await LedgerTransaction.create({
+        user: userId,
+        sequence: wallet.sequence + 1,
+        type,
+        description,
+        entries: entries.map((entry) => ({ account: entry.account, amount: roundMoney(entry.amount) })),
+        amount,
+        balanceAfter,
+        reference,
+        order,
+        ticker
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Posted before under this reference - otherwise another transaction took the number
+      if (reference && await LedgerTransaction.findOne({ user: userId, reference }).lean()) return null;
+      continue;
+    }
+
+    const updated = await advanceWallet(wallet, doc);
+    return { transaction: toTransaction(doc), wallet: toWallet(updated) };
+  }
+  throw walletError('WALLET_CONFLICT', 'Your wallet changed while the transaction posted - please try again', 409);
+};
+
+// Fund a new wallet with the starting balance (once - later calls post nothing)
+const postOpening = (userId) => postTransaction(userId, {
+  type: 'opening',
+  description: 'Opening balance',
+  reference: 'opening',
+  entries: [
+    { account: 'cash', amount: STARTING_BALANCE },
+    { account: 'opening', amount: -STARTING_BALANCE }
+  ]
+});
+
+// Fee for a fill of `value` USD
+const getTradingFee = (value) => roundMoney(value * TRADING_FEE_RATE);
+
+// Post an order fill. A buy pays cash for shares, held at cost; a sell receives cash
+// for shares held at `costBasis`, booking the difference as realized profit or loss.
+// The trading fee comes out of the cash. Resolves like postTransaction.
+const postFill = (userId, {
+  order, ticker, side, quantity, price, costBasis
+}) => {
+  const value = roundMoney(price * quantity);
+  const fee = getTradingFee(value);
+  const entries = side === 'buy'
+    ? [
+      { account: 'cash', amount: -(value + fee) },
+      { account: 'securities', amount: value }
+    ]
+    : [
+      { account: 'cash', amount: value - fee },
+      { account: 'securities', amount: -costBasis },
+      { account: 'realized_pnl', amount: costBasis - value }
+    ];
+  if (fee > 0) entries.push({ account: 'fees', amount: fee });
+
+  return postTransaction(userId, {
+    type: 'trade',
+    description: `${side === 'buy' ? 'Bought' : 'Sold'} ${quantity} ${ticker} at ${price}${fee > 0 ? ` (fee ${fee})` : ''}`,
+    entries,
+    order,
+    ticker
+  });
+};
+
+// Undo a posted transaction with one moving the same amounts back
+const reverseTransaction = (userId, transaction) => postTransaction(userId, {
+  type: 'reversal',
+  description: `Reversed: ${transaction.description}`,
+  entries: transaction.entries.map(({ account, amount }) => ({ account, amount: -amount })),
+  order: transaction.orderId,
+  ticker: transaction.ticker,
+  allowOverdraft: true
+});
+
+// Pay a quarter's dividend on `quantity` shares (once per ticker and quarter).
+// Resolves like postTransaction, or null when there is nothing to pay.
+const postDividend = (userId, {
+  ticker, quantity, perShare, period
+}) => {
+  const amount = roundMoney(perShare * quantity);
+  if (!(amount > 0)) return Promise.resolve(null);
+
+  return postTransaction(userId, {
+    type: 'dividend',
+    description: `Dividend on ${quantity} ${ticker} for ${period} (${roundMoney(perShare)} per share)`,
+    reference: `dividend:${ticker}:${period}`,
+    entries: [
+      { account: 'cash', amount },
+      { account: 'dividends', amount: -amount }
+    ],
+    ticker
+  });
+};
+
+// A user's wallet, opened with the starting balance if they have none yet
+const getWallet = async (userId) => {
+  let wallet = await readWallet(userId);
+  if (wallet.sequence === 0 && STARTING_BALANCE > 0) {
+    await postOpening(userId);
+    wallet = await readWallet(userId);
+  }
+  return toWallet(wallet);
+};
+
+// Check a user can pay for `value` USD of shares (and its fee) with the cash they hold now
+const checkFunds = async (userId, value) => {
+  const { balance } = await getWallet(userId);
+  const needed = roundMoney(value + getTradingFee(value));
+  if (balance < needed) {
+    throw walletError('INSUFFICIENT_FUNDS', `Not enough cash - ${needed} needed, ${balance} available`);
+  }
+};
+
+// Amount of a deposit or withdrawal, rounded to cents
+const parseAmount = (value) => {
+  const amount = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(amount)
+    || roundMoney(amount) <= 0 || amount > MAX_TRANSFER) {
+    throw walletError('INVALID_AMOUNT', `Amount must be a positive number up to ${MAX_TRANSFER}`);
+  }
+  return roundMoney(amount);
+};
+
+// Add simulated money to a user's wallet
+const deposit = (userId, value) => {
+  const amount = parseAmount(value);
+  return postTransaction(userId, {
+    type: 'deposit',
+    description: `Deposit of ${amount}`,
+    entries: [
+      { account: 'cash', amount },
+      { account: 'external', amount: -amount }
+    ]
+  });
+};
+
+// Take simulated money out of a user's wallet - no more than it holds
+const withdraw = (userId, value) => {
+  const amount = parseAmount(value);
+  return postTransaction(userId, {
+    type: 'withdrawal',
+    description: `Withdrawal of ${amount}`,
+    entries: [
+      { account: 'cash', amount: -amount },
+      { account: 'external', amount }
+    ]
+  });
+};
+
+// A page of a user's ledger, newest first (optionally of one type)
+const getTransactions = async (userId, { page = 1, limit = 20, type } = {}) => {
+  // The opening balance is the first transaction of every ledger
+  await getWallet(userId);
+
+  const filter = { user: userId };
+  if (type) filter.type = String(type).trim().toLowerCase();
+
+  const pageSize = Math.min(Math.max(Math.floor(Number(limit)) || 20, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+  const [total, docs] = await Promise.all([
+    LedgerTransaction.countDocuments(filter),
+    LedgerTransaction.find(filter)
+      .sort({ sequence: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean()
+  ]);
+
+  return {
+    transactions: docs.map(toTransaction),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+module.exports = {
+  getWallet,
+  getTransactions,
+  deposit,
+  withdraw,
+  checkFunds,
+  postFill,
+  postDividend,
+  reverseTransaction
+};
@@ -0,0 +1,38 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.io adapter that relays room broadcasts and server-side events between
+// server instances over the message bus (Redis, or the in-memory stand-in)
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.channel = `socket.io#${nsp.name}`;
+    this.responseChannel = `${this.channel}#${this.uid}`;
+    this.subscriptions = Promise.all([
+      bus.subscribe(this.channel, (message) => this.onMessage(message)),
+      bus.subscribe(this.responseChannel, (response) => this.onResponse(response))
+    ]);
+  }
+
+  async doPublish(message) {
+    await this.bus.publish(this.channel, message);
+    // Offsets are only used for connection state recovery, which pub/sub cannot replay
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    this.subscriptions.then((unsubscribes) => unsubscribes.forEach((unsubscribe) => unsubscribe()));
+  }
+}
+
+// io.adapter(createBusAdapter(bus))
+const createBusAdapter = (bus, opts = {}) => function (nsp) {
+  return new BusAdapter(nsp, bus, opts);
+};
+
+module.exports = { createBusAdapter };
@@ -1,59 +1,88 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { authenticateToken } = require('../utils/authMiddleware');
+const { getSequence, getDeltasSince } = require('../services/priceStream');
+const subscriptionService = require('../services/subscriptionService');
+const orderBook = require('../services/orderBook');
+const catalog = require('../services/instrumentCatalog');
+const fxRates = require('../services/fxRates');
+const market = require('../services/marketState');
+const circuitBreaker = require('../services/circuitBreaker');
+const { INDEX_TICKER } = require('../services/marketIndex');
+const { createMarketProducer, followMarket } = require('../services/marketDistribution');
+const { createLeaderElection } = require('../services/leaderElection');
+const { createReplaySession } = require('../services/marketReplay');
+const indicatorStreams = require('../services/indicatorStreams');
+const priceEventStream = require('../services/priceEventStream');
+const {
+  getDisplayCurrency, getUserCurrency, withDisplay, withDisplayQuotes, perCurrency
+} = require('../services/displayCurrency');
+const matchingEngine = require('../services/matchingEngine');
+const { payDividends } = require('../services/dividendService');
 
-// Supported stocks (per requirements)
-const SUPPORTED_STOCKS = ['AAPL', 'GOOG', 'TSLA', 'AMZN', 'META', 'NVDA', 'MSFT'];
-
-// Base prices for calculating percentage change (simulating open price)
-const basePrices = {
-  AAPL: 193.42,
-  GOOG: 191.41,
-  TSLA: 389.22,
-  AMZN: 180.50,
-  META: 591.55,
-  NVDA: 138.25,
-  MSFT: 448.39,
-};
-
-// Current stock prices (shared across all users)
-const stockPrices = {
-  AAPL: 193.42,
-  GOOG: 191.41,
-  TSLA: 389.22,
-  AMZN: 180.50,
-  META: 591.55,
-  NVDA: 138.25,
-  MSFT: 448.39,
-};
-
-// Price history for charts (shared across all users)
-const priceHistory = {};
-SUPPORTED_STOCKS.forEach(ticker => {
-  priceHistory[ticker] = [stockPrices[ticker]];
-});
+const getTickerRoom = (ticker) => `ticker:${ticker}`;
 
-// Generate random price fluctuation (SAME for all users)
-const generatePrice = (currentPrice) => {
-  const change = (Math.random() - 0.5) * 4; // Random change between -2 and +2
-  return Math.max(1, Number((currentPrice + change).toFixed(2)));
+const getSocketTickerRooms = (socket) => {
+  return Array.from(socket.rooms).filter((r) => typeof r === 'string' && r.startsWith('ticker:'));
 };
 
-// Calculate percentage change from base price
-const calculateChange = (ticker) => {
-  const base = basePrices[ticker];
-  const current = stockPrices[ticker];
-  const change = ((current - base) / base) * 100;
-  return Number(change.toFixed(2));
+// Streaming modes a connection can choose
+//   all        - every ticker (landing-style "all market" view)
+//   subscribed - only subscribed tickers plus tickers temporarily being viewed
+const STREAM_MODES = ['all', 'subscribed'];
+
+const normalizeStreamMode = (mode) => (STREAM_MODES.includes(mode) ? mode : 'all');
+
+// Keep only supported tickers (normalized, de-duplicated)
+const toSupportedTickers = (tickers) => {
+  const list = Array.isArray(tickers) ? tickers : [];
+  return Array.from(new Set(
+    list.map((t) => String(t || '').trim().toUpperCase()).filter((t) => catalog.isSupported(t))
+  ));
 };
 
-const getTickerRoom = (ticker) => `ticker:${ticker}`;
+// Tickers a connection is streaming: subscriptions plus temporary views, and always the composite index
+const getSocketTickers = (socket) => new Set([
+  ...(socket.data.subscribed || []),
+  ...(socket.data.viewing || []),
+  INDEX_TICKER
+]);
 
-const getSocketTickerRooms = (socket) => {
-  return Array.from(socket.rooms).filter((r) => typeof r === 'string' && r.startsWith('ticker:'));
+// Replay sessions by user id, streamed to the user's private replay room.
+// Connections in their replay room receive no live prices until the replay stops.
+const replaySessions = new Map();
+
+const getReplayRoom = (userId) => `replay_${userId}`;
+
+const isReplaying = (socket) => socket.rooms.has(getReplayRoom(socket.userId));
+
+// Socket.io server (set once setupSocket runs)
+let ioInstance = null;
+
+// This node's connections in a room
+const getRoomSockets = (room) => Array.from(ioInstance.of('/').adapter.rooms.get(room) || [])
+  .map((socketId) => ioInstance.of('/').sockets.get(socketId))
+  .filter(Boolean);
+
+// Send each of this node's connections in a room an event whose payload depends on
+// the connection's display currency - `build(currency)` runs once per currency
+const emitInDisplayCurrency = (room, event, build) => {
+  const getPayload = perCurrency(build);
+  getRoomSockets(room).forEach((socket) => socket.emit(event, getPayload(socket.data.currency)));
 };
 
-const syncTickerRooms = (socket, subscribedTickers) => {
-  const desired = new Set((subscribedTickers || []).map((t) => getTickerRoom(t)));
+const toDisplayInstruments = (instruments, currency) => instruments
+  .map((instrument) => withDisplay(instrument, 'instrument', currency));
+
+const toReplaySnapshot = (snapshot, currency) => ({
+  ...snapshot,
+  stocks: withDisplayQuotes(snapshot.stocks, currency),
+  mode: 'replay'
+});
+
+// Join the ticker rooms for subscriptions plus temporary views (none while replaying)
+const syncTickerRooms = (socket) => {
+  const tickers = isReplaying(socket) ? [] : Array.from(getSocketTickers(socket));
+  const desired = new Set(tickers.map((t) => getTickerRoom(t)));
   const current = new Set(getSocketTickerRooms(socket));
 
   // leave rooms no longer desired
@@ -67,76 +96,489 @@ const syncTickerRooms = (socket, subscribedTickers) => {
   });
 };
 
-// Get full stock data with price, change, and history
-const getFullStockData = () => {
-  const data = {};
-  SUPPORTED_STOCKS.forEach(ticker => {
-    data[ticker] = {
-      price: stockPrices[ticker],
-      change: calculateChange(ticker),
-      history: priceHistory[ticker].slice(-20) // Last 20 data points for chart
-    };
-  });
-  return data;
+// Full snapshot tagged with the current stream sequence
+const getPricesSnapshot = () => ({
+  seq: getSequence(),
+  stocks: market.getStockData(),
+  timestamp: new Date().toISOString()
+});
+
+// Apply a connection's streaming mode and bring it up to date - from `sinceSeq`
+// when it is resuming a stream, otherwise with a matching baseline snapshot
+const applyStreamMode = (socket, mode, sinceSeq) => {
+  socket.data.streamMode = normalizeStreamMode(mode);
+  resyncPrices(socket, sinceSeq);
+};
+
+// Send a connection the snapshot for its streaming scope (or its replay), in its display currency
+const sendPricesSnapshot = (socket) => {
+  if (isReplaying(socket)) {
+    const session = replaySessions.get(socket.userId);
+    if (session) socket.emit('prices_snapshot', toReplaySnapshot(session.getSnapshot(), socket.data.currency));
+    return;
+  }
+
+  const snapshot = getPricesSnapshot();
+  if (socket.data.streamMode !== 'all') {
+    snapshot.stocks = market.getStockData(Array.from(getSocketTickers(socket)));
+  }
+  snapshot.stocks = withDisplayQuotes(snapshot.stocks, socket.data.currency);
+  socket.data.lastSeq = snapshot.seq;
+  socket.emit('prices_snapshot', { ...snapshot, mode: socket.data.streamMode });
 };
 
-const getSubscribedPriceSnapshot = (subscribedTickers) => {
-  const snapshot = {};
-  (subscribedTickers || []).forEach((t) => {
-    if (SUPPORTED_STOCKS.includes(t)) {
-      snapshot[t] = {
-        price: stockPrices[t],
-        change: calculateChange(t),
-        history: priceHistory[t].slice(-20)
-      };
+// Send a connection the buffered deltas it missed since `sinceSeq` (scoped to its
+// tickers) as one `prices_resync`, or a fresh snapshot when they are no longer buffered
+const resyncPrices = (socket, sinceSeq) => {
+  const deltas = isReplaying(socket) ? null : getDeltasSince(sinceSeq);
+  if (!deltas) {
+    sendPricesSnapshot(socket);
+    return;
+  }
+
+  const tickers = socket.data.streamMode === 'all' ? null : getSocketTickers(socket);
+  const missed = deltas
+    .map(({ seq, changes, timestamp }) => {
+      const scoped = {};
+      Object.keys(changes).forEach((ticker) => {
+        if (!tickers || tickers.has(ticker)) scoped[ticker] = changes[ticker];
+      });
+      return { seq, changes: withDisplayQuotes(scoped, socket.data.currency), timestamp };
+    })
+    .filter(({ changes }) => Object.keys(changes).length > 0);
+
+  const seq = deltas.length > 0 ? deltas[deltas.length - 1].seq : sinceSeq;
+  socket.data.lastSeq = seq;
+  socket.emit('prices_resync', { sinceSeq, seq, deltas: missed });
+};
+
+// Stream one delta to every live connection on this node, in its display currency -
+// the changes of its tickers (of every ticker in "all" mode) and a `price_update`
+// for each of its tickers that changed
+const emitDeltas = (io, delta) => {
+  const quotes = market.getQuotes();
+  const getChanges = perCurrency((currency) => withDisplayQuotes(delta.changes, currency));
+  const getUpdates = perCurrency((currency) => Object.keys(delta.changes)
+    .map((ticker) => priceEventStream.toPriceUpdate(ticker, quotes[ticker], delta.seq, delta.timestamp, currency)));
+
+  io.of('/').sockets.forEach((socket) => {
+    if (isReplaying(socket)) return;
+
+    const tickers = getSocketTickers(socket);
+    const allChanges = getChanges(socket.data.currency);
+    const changes = {};
+    Object.keys(allChanges).forEach((ticker) => {
+      if (socket.data.streamMode === 'all' || tickers.has(ticker)) changes[ticker] = allChanges[ticker];
+    });
+
+    if (Object.keys(changes).length > 0) {
+      socket.emit('prices_delta', {
+        seq: delta.seq,
+        prevSeq: socket.data.lastSeq,
+        changes,
+        timestamp: delta.timestamp
+      });
+      socket.data.lastSeq = delta.seq;
     }
+
+    getUpdates(socket.data.currency).forEach((update) => {
+      if (tickers.has(update.ticker)) socket.emit('price_update', update);
+    });
   });
-  return snapshot;
 };
 
-// Update all stock prices (called once, same for all users)
-const updatePrices = () => {
-  const timestamp = new Date().toISOString();
-  
-  SUPPORTED_STOCKS.forEach(ticker => {
-    stockPrices[ticker] = generatePrice(stockPrices[ticker]);
-    
-    // Add to history (keep last 50 points)
-    priceHistory[ticker].push(stockPrices[ticker]);
-    if (priceHistory[ticker].length > 50) {
-      priceHistory[ticker].shift();
+// Stream a tick's events to the rooms of every node (through the adapter) - prices
+// are streamed by each node, in each connection's display currency
+const broadcastTick = (io, { tick, delta }) => {
+  // Resumed tickers trade again in this tick - announced before their new prices
+  tick.resumes.forEach((halt) => io.emit('resume', halt));
+
+  // Publish the depth ladder of every ticker that ticked to its room
+  Object.keys(tick.books).forEach((ticker) => {
+    io.to(getTickerRoom(ticker)).emit('order_book', {
+      ...orderBook.getBook(ticker),
+      seq: delta.seq
+    });
+  });
+
+  // Stream each print to the rooms of the ticker it traded in
+  tick.trades.forEach((trade) => {
+    io.to(getTickerRoom(trade.ticker)).emit('trade', { ...trade, seq: delta.seq });
+  });
+
+  // Halts go to every client, so halted tickers are flagged in every list
+  tick.halts.forEach((halt) => io.emit('halt', halt));
+};
+
+// Re-scope the streams of a user's tabs (and event streams) connected to this node
+const rescopeUserSockets = (userId, subscribedStocks) => {
+  priceEventStream.setUserSubscriptions(userId, subscribedStocks);
+
+  const socketIds = ioInstance.of('/').adapter.rooms.get(`user_${userId}`) || new Set();
+  socketIds.forEach((socketId) => {
+    const socket = ioInstance.of('/').sockets.get(socketId);
+    if (!socket) return;
+
+    socket.data.subscribed = subscribedStocks;
+    syncTickerRooms(socket);
+    if (socket.data.streamMode !== 'all') sendPricesSnapshot(socket);
+  });
+};
+
+// Push a user's new subscription list to all of their open tabs and re-scope their streams
+const notifySubscriptionChange = (userId, subscribedStocks) => {
+  if (!ioInstance) return;
+
+  rescopeUserSockets(userId, subscribedStocks);
+  // Tabs connected to other nodes are re-scoped by those nodes
+  ioInstance.serverSideEmit('subscriptions_changed', userId, subscribedStocks);
+  ioInstance.to(`user_${userId}`).emit('subscribed_stocks', subscribedStocks);
+};
+
+// Updates pushed to each user, chained so they arrive in the order they were made
+// while the user's display currency is looked up
+const userEmits = new Map();
+
+// Push an event to all of a user's open tabs, on every node - `build(currency)` adds
+// the display amounts in the user's currency
+const emitToUser = (userId, event, build) => {
+  const previous = userEmits.get(userId) || Promise.resolve();
+  const sent = previous
+    .then(() => getUserCurrency(userId))
+    .then((currency) => ioInstance.to(`user_${userId}`).emit(event, build(currency)))
+    .catch((error) => console.error(`Sending ${event} failed:`, error.message));
+
+  userEmits.set(userId, sent);
+  sent.then(() => {
+    if (userEmits.get(userId) === sent) userEmits.delete(userId);
+  });
+};
+
+// Push an order's progress (placed, triggered, filled, modified, cancelled, expired) to all of the user's open tabs, on every node
+const notifyOrderUpdate = (userId, order) => {
+  if (!ioInstance) return;
+  emitToUser(userId, 'order_update', (currency) => {
+    const update = withDisplay(order, 'order', currency);
+    if (order.position) update.position = withDisplay(order.position, 'position', currency);
+    return update;
+  });
+};
+
+// Push a user's new cash balance to all of their open tabs, on every node
+const notifyWalletUpdate = (userId, wallet) => {
+  if (!ioInstance) return;
+  emitToUser(userId, 'wallet_update', (currency) => withDisplay(wallet, 'wallet', currency));
+};
+
+// Re-send the instruments and prices of a user's connections and event streams on
+// this node in their new display currency
+const applyCurrencyChange = (userId, currency) => {
+  priceEventStream.setUserCurrency(userId, currency);
+
+  getRoomSockets(`user_${userId}`).forEach((socket) => {
+    socket.data.currency = currency;
+    socket.emit('instruments', toDisplayInstruments(catalog.getInstruments(), currency));
+    sendPricesSnapshot(socket);
+  });
+};
+
+// Show every connection the user has, on every node, in their new display currency
+const notifyCurrencyChange = (userId, currency) => {
+  if (!ioInstance) return;
+
+  applyCurrencyChange(userId, currency);
+  ioInstance.serverSideEmit('currency_changed', userId, currency);
+};
+
+// Pay the quarter's dividends (leader only - a no-op on any day but the quarter's first trading day)
+const runDividends = () => {
+  payDividends({ onWalletUpdate: notifyWalletUpdate }).catch((error) => {
+    console.error('Paying dividends failed:', error.message);
+  });
+};
+
+// Hand a placed, modified or cancelled order to the matching engine - it runs on the leader, which may be another node
+const syncOrder = (userId, order) => {
+  if (!ioInstance) return;
+
+  matchingEngine.syncOrder({ ...order, userId });
+  ioInstance.serverSideEmit('order_changed', userId, order);
+};
+
+// Run a subscription change requested over the socket and acknowledge the result
+const handleSubscriptionRequest = (socket, action) => async (payload, ack) => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const ticker = typeof payload === 'string' ? payload : payload?.ticker;
+
+  try {
+    const result = await subscriptionService[action](socket.userId, ticker);
+    notifySubscriptionChange(socket.userId, result.subscribedStocks);
+    respond({
+      success: true,
+      message: action === 'subscribe'
+        ? `Successfully subscribed to ${result.ticker}`
+        : `Successfully unsubscribed from ${result.ticker}`,
+      data: result.subscribedStocks
+    });
+  } catch (error) {
+    if (!error.code) console.error(`Socket ${action} error:`, error);
+    respond({
+      success: false,
+      code: error.code || 'SERVER_ERROR',
+      message: error.code ? error.message : 'Server error'
+    });
+  }
+};
+
+// Stop a user's replay and put their replaying connections on this node back on the live stream
+const endReplay = (userId) => {
+  const session = replaySessions.get(userId);
+  if (!session) return null;
+
+  replaySessions.delete(userId);
+  const state = session.stop();
+
+  const room = getReplayRoom(userId);
+  const socketIds = Array.from(ioInstance.of('/').adapter.rooms.get(room) || []);
+  socketIds.forEach((socketId) => {
+    const socket = ioInstance.of('/').sockets.get(socketId);
+    if (!socket) return;
+
+    socket.leave(room);
+    socket.emit('replay_state', state);
+    syncTickerRooms(socket);
+    applyStreamMode(socket, socket.data.streamMode);
+  });
+  return state;
+};
+
+// Replay recorded ticks (every listed ticker and the index unless `tickers` is given) to the
+// requesting connection, replacing any replay the user already runs
+const startReplay = async (socket, { from, to, speed, tickers } = {}) => {
+  const room = getReplayRoom(socket.userId);
+  const session = await createReplaySession({
+    tickers: tickers ? toSupportedTickers(tickers) : market.getStreamTickers(),
+    from,
+    to,
+    speed
+  }, {
+    onSnapshot: (snapshot) => emitInDisplayCurrency(room, 'prices_snapshot', (currency) => toReplaySnapshot(snapshot, currency)),
+    onDelta: (delta) => emitInDisplayCurrency(room, 'prices_delta', (currency) => ({
+      ...delta,
+      changes: withDisplayQuotes(delta.changes, currency)
+    })),
+    onState: (state) => ioInstance.to(room).emit('replay_state', state)
+  });
+
+  // Tabs watching the replay this one replaces are told it stopped and go back to live prices
+  endReplay(socket.userId);
+  replaySessions.set(socket.userId, session);
+
+  socket.join(room);
+  syncTickerRooms(socket);
+  const snapshot = session.getSnapshot();
+  emitInDisplayCurrency(room, 'prices_snapshot', (currency) => toReplaySnapshot(snapshot, currency));
+  return session.play();
+};
+
+// The user's running replay
+const getReplaySession = (socket) => {
+  const session = replaySessions.get(socket.userId);
+  if (!session) {
+    const error = new Error('No replay is running');
+    error.code = 'REPLAY_NOT_ACTIVE';
+    throw error;
+  }
+  return session;
+};
+
+// Run a replay request and acknowledge with the replay state or an error code
+const handleReplayRequest = (socket, action) => async (...args) => {
+  // The payload is optional - the acknowledgement is always the last argument
+  const ack = args[args.length - 1];
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const payload = args[0] && typeof args[0] === 'object' ? args[0] : {};
+
+  try {
+    const state = await action(payload);
+    respond({ success: true, data: state });
+  } catch (error) {
+    if (!error.code) console.error('Socket replay error:', error);
+    respond({
+      success: false,
+      code: error.code || 'SERVER_ERROR',
+      message: error.code ? error.message : 'Server error'
+    });
+  }
+};
+
+const getIndicatorRoom = (key) => `indicator:${key}`;
+
+// Stop computing indicator streams nobody on this node is watching any more
+const closeIdleIndicatorStreams = (keys) => {
+  keys.forEach((key) => {
+    if (!ioInstance.of('/').adapter.rooms.has(getIndicatorRoom(key))) {
+      indicatorStreams.closeStream(key);
     }
   });
+};
+
+// Start streaming an indicator to the connection - acknowledged with the stream key
+// and its latest points, after which each closed candle adds an `indicator_update`
+const handleIndicatorSubscribe = (socket) => async (payload, ack) => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+
+  try {
+    const stream = await indicatorStreams.openStream(payload || {});
+    socket.join(getIndicatorRoom(stream.key));
+    respond({ success: true, data: stream });
+  } catch (error) {
+    if (!error.code) console.error('Socket indicator error:', error);
+    respond({
+      success: false,
+      code: error.code || 'SERVER_ERROR',
+      message: error.code ? error.message : 'Server error'
+    });
+  }
+};
+
+const handleIndicatorUnsubscribe = (socket) => (payload, ack) => {
+  const key = typeof payload === 'string' ? payload : payload?.key;
+  socket.leave(getIndicatorRoom(key));
+  closeIdleIndicatorStreams([key]);
+  if (typeof ack === 'function') ack({ success: true, key });
+};
+
+// Each node computes its own streams from the same candles, so updates stay local
+indicatorStreams.onIndicatorUpdate((stream, point) => {
+  if (!ioInstance) return;
+  ioInstance.local.to(getIndicatorRoom(stream.key)).emit('indicator_update', { ...stream, point });
+});
+
+// How long before a socket's access token expires the client is asked for a new one
+const REAUTH_LEAD_MS = 60 * 1000;
+
+// Error carrying a machine-readable code
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Verify an access token with the REST routes' checks. Resolves with the user and
+// when the token expires (epoch ms).
+const verifySocketToken = async (token) => {
+  const { user, decoded } = await authenticateToken(token);
+  return { user, expiresAt: decoded.exp ? decoded.exp * 1000 : null };
+};
+
+// Tell the client why its session ended and drop the connection
+const endSocketSession = (socket, code, message) => {
+  socket.emit('auth_required', { code, message });
+  socket.disconnect(true);
+};
+
+// Ask for a new token shortly before the current one expires, and end the session
+// if none has arrived by the time it does
+const scheduleReauth = (socket, expiresAt) => {
+  clearTimeout(socket.reauthTimer);
+  clearTimeout(socket.expiryTimer);
+  socket.data.tokenExpiresAt = expiresAt;
+  if (!expiresAt) return;
+
+  const remaining = expiresAt - Date.now();
+  socket.reauthTimer = setTimeout(() => {
+    socket.emit('auth_required', {
+      code: 'TOKEN_EXPIRING',
+      message: 'Token is about to expire - send a new one with reauth',
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+  }, Math.max(remaining - REAUTH_LEAD_MS, 0));
+  socket.expiryTimer = setTimeout(() => endSocketSession(socket, 'TOKEN_EXPIRED', 'Token has expired'), remaining);
+};
+
+// Swap a connection's token for a refreshed one without reconnecting
+const handleReauth = (socket) => async (payload, ack) => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const token = typeof payload === 'string' ? payload : payload?.token;
+
+  try {
+    const { user, expiresAt } = await verifySocketToken(token);
+    if (user._id.toString() !== socket.userId) throw authError('USER_MISMATCH', 'Token belongs to another user');
+
+    socket.user = user;
+    scheduleReauth(socket, expiresAt);
+    respond({ success: true, expiresAt: expiresAt && new Date(expiresAt).toISOString() });
+  } catch (error) {
+    if (!error.code) console.error('Socket reauth error:', error);
+    respond({
+      success: false,
+      code: error.code || 'SERVER_ERROR',
+      message: error.code ? error.message : 'Server error'
+    });
+  }
+};
+
+// End the sessions of a user's connections and event streams on this node (e.g. after a password change)
+const endUserSessions = (userId, code, message) => {
+  priceEventStream.endUserStreams(userId, code, message);
+
+  const socketIds = Array.from(ioInstance.of('/').adapter.rooms.get(`user_${userId}`) || []);
+  socketIds.forEach((socketId) => {
+    const socket = ioInstance.of('/').sockets.get(socketId);
+    if (socket) endSocketSession(socket, code, message);
+  });
+};
+
+// End the sessions of every connection the user has, on every node
+const revokeUserSessions = (userId, code, message) => {
+  if (!ioInstance) return;
 
-  return {
-    stocks: getFullStockData(),
-    timestamp
-  };
+  endUserSessions(userId, code, message);
+  ioInstance.serverSideEmit('sessions_revoked', userId, code, message);
 };
 
-// Socket handler setup
-const setupSocket = (io) => {
-  // Authenticate socket connection
+// Listings changed - track new instruments, drop delisted ones from every connection
+// and push the new catalog to all clients. Runs on every node, so each only
+// updates its own connections.
+const handleCatalogChange = (instruments) => {
+  market.syncInstruments();
+  if (!ioInstance) return;
+
+  const getInstruments = perCurrency((currency) => toDisplayInstruments(instruments, currency));
+  ioInstance.of('/').sockets.forEach((socket) => {
+    const subscribed = toSupportedTickers(socket.data.subscribed);
+    const dropped = subscribed.length !== (socket.data.subscribed || []).length;
+
+    socket.data.subscribed = subscribed;
+    socket.data.viewing = toSupportedTickers(socket.data.viewing);
+    syncTickerRooms(socket);
+    if (dropped) socket.emit('subscribed_stocks', subscribed);
+    socket.emit('instruments', getInstruments(socket.data.currency));
+  });
+};
+
+catalog.onCatalogChange(handleCatalogChange);
+
+// Socket handler setup. `bus` links this node to the other server instances:
+// the elected leader produces the market data and every node streams it.
+const setupSocket = async (io, bus) => {
+  ioInstance = io;
+
+  // Authenticate socket connection - failures carry the reason in `error.data.code`
   io.use(async (socket, next) => {
     try {
-      const token = socket.handshake.auth.token;
-      
-      if (!token) {
-        return next(new Error('Authentication required'));
-      }
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return next(new Error('User not found'));
-      }
+      const { user, expiresAt } = await verifySocketToken(socket.handshake.auth.token);
 
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.data.tokenExpiresAt = expiresAt;
+      socket.data.currency = getDisplayCurrency(user.preferredCurrency);
       next();
     } catch (error) {
-      next(new Error('Authentication failed'));
+      const failure = new Error(error.code ? error.message : 'Authentication failed');
+      failure.data = { code: error.code || 'AUTH_FAILED' };
+      next(failure);
     }
   });
 
@@ -146,56 +588,156 @@ const setupSocket = (io) => {
     // Join user to their personal room
     socket.join(`user_${socket.userId}`);
 
+    // The access token is short-lived - the client must send a fresh one before it expires
+    scheduleReauth(socket, socket.data.tokenExpiresAt);
+    socket.on('reauth', handleReauth(socket));
+
     // Send initial subscribed stocks + join ticker rooms
     const user = await User.findById(socket.userId);
-    syncTickerRooms(socket, user.subscribedStocks);
+    socket.data.subscribed = user.subscribedStocks;
+    socket.data.viewing = [];
+    syncTickerRooms(socket);
     socket.emit('subscribed_stocks', user.subscribedStocks);
+    socket.emit('instruments', toDisplayInstruments(catalog.getInstruments(), socket.data.currency));
+    socket.emit('market_status', market.getSessionStatus());
+    socket.emit('fx_update', fxRates.getRates());
+    circuitBreaker.getHalts().forEach((halt) => socket.emit('halt', halt));
     
-    // Send initial full stock data (same for all users)
-    socket.emit('prices_snapshot', {
-      stocks: getFullStockData(),
-      timestamp: new Date().toISOString()
+    // Send initial stock data once (for the chosen stream mode) - afterwards only deltas are streamed.
+    // A reconnecting client resumes from the last sequence number it applied instead.
+    applyStreamMode(socket, socket.handshake.auth.streamMode, socket.handshake.auth.resync?.sinceSeq);
+
+    // Client detected a sequence gap and needs a fresh baseline
+    socket.on('request_snapshot', () => {
+      sendPricesSnapshot(socket);
+    });
+
+    // Client detected a sequence gap - replay what it missed (or send a snapshot)
+    socket.on('resync', (payload, ack) => {
+      resyncPrices(socket, payload?.sinceSeq);
+      if (typeof ack === 'function') ack({ success: true, seq: socket.data.lastSeq });
     });
 
+    // Switch between the "all market" stream and the subscription-scoped stream
+    socket.on('set_stream_mode', (mode, ack) => {
+      applyStreamMode(socket, mode);
+      if (typeof ack === 'function') ack({ success: true, mode: socket.data.streamMode });
+    });
+
+    // Tickers viewed temporarily (detail page, search dropdown) - replaces the previous set
+    socket.on('view_tickers', (tickers, ack) => {
+      socket.data.viewing = toSupportedTickers(tickers);
+      syncTickerRooms(socket);
+      if (socket.data.streamMode !== 'all') sendPricesSnapshot(socket);
+      if (typeof ack === 'function') ack({ success: true, viewing: socket.data.viewing });
+    });
+
+    // Subscribe / unsubscribe over the socket - acknowledged with the new list or an error code
+    socket.on('subscribe', handleSubscriptionRequest(socket, 'subscribe'));
+    socket.on('unsubscribe', handleSubscriptionRequest(socket, 'unsubscribe'));
+
     // Handle subscription updates from client
     socket.on('update_subscriptions', async () => {
       const updatedUser = await User.findById(socket.userId);
-      syncTickerRooms(socket, updatedUser.subscribedStocks);
+      socket.data.subscribed = updatedUser.subscribedStocks;
+      syncTickerRooms(socket);
       socket.emit('subscribed_stocks', updatedUser.subscribedStocks);
-      socket.emit('prices_snapshot', {
-        stocks: getFullStockData(),
-        timestamp: new Date().toISOString()
-      });
+      sendPricesSnapshot(socket);
+    });
+
+    // Replay recorded prices into the user's private room - play/pause/seek/speed control it
+    socket.on('replay_start', handleReplayRequest(socket, (options) => startReplay(socket, options)));
+    socket.on('replay_play', handleReplayRequest(socket, () => getReplaySession(socket).play()));
+    socket.on('replay_pause', handleReplayRequest(socket, () => getReplaySession(socket).pause()));
+    socket.on('replay_seek', handleReplayRequest(socket, ({ time }) => getReplaySession(socket).seek(time)));
+    socket.on('replay_speed', handleReplayRequest(socket, ({ speed }) => getReplaySession(socket).setSpeed(speed)));
+    socket.on('replay_stop', handleReplayRequest(socket, () => endReplay(socket.userId)));
+
+    // Technical indicators updated as candles close
+    socket.on('indicator_subscribe', handleIndicatorSubscribe(socket));
+    socket.on('indicator_unsubscribe', handleIndicatorUnsubscribe(socket));
+
+    // Rooms are left once the disconnect handlers have run
+    socket.on('disconnecting', () => {
+      socket.data.indicatorKeys = Array.from(socket.rooms)
+        .filter((room) => room.startsWith('indicator:'))
+        .map((room) => room.slice('indicator:'.length));
     });
 
     // Handle disconnect
     socket.on('disconnect', () => {
       console.log(`User disconnected: ${socket.user.email}`);
+      clearTimeout(socket.reauthTimer);
+      clearTimeout(socket.expiryTimer);
+
+      // Nobody left watching the user's replay on this node
+      if (!io.of('/').adapter.rooms.has(getReplayRoom(socket.userId))) {
+        endReplay(socket.userId);
+      }
+      closeIdleIndicatorStreams(socket.data.indicatorKeys || []);
     });
   });
 
-  // Start price streaming - every 1 second (per requirements)
-  // IMPORTANT: This runs ONCE and broadcasts SAME data to ALL users
-  setInterval(() => {
-    const priceData = updatePrices();
-    
-    // Emit ALL stock data to ALL connected users (synchronized)
-    io.emit('all_prices_update', {
-      stocks: priceData.stocks,
-      timestamp: priceData.timestamp
-    });
-    
-    // Also emit individual ticker updates to subscribed rooms
-    SUPPORTED_STOCKS.forEach((ticker) => {
-      io.to(getTickerRoom(ticker)).emit('price_update', {
-        ticker,
-        price: priceData.stocks[ticker].price,
-        change: priceData.stocks[ticker].change,
-        history: priceData.stocks[ticker].history,
-        timestamp: priceData.timestamp
+  // Subscription and currency changes and revoked sessions from another node
+  io.on('subscriptions_changed', rescopeUserSockets);
+  io.on('currency_changed', applyCurrencyChange);
+  io.on('sessions_revoked', endUserSessions);
+  io.on('order_changed', (userId, order) => matchingEngine.syncOrder({ ...order, userId }));
+
+  // Leader only - broadcast each tick, session change and FX update through the
+  // adapter to every node's clients, and match resting orders against each tick.
+  // IMPORTANT: one leader, SAME data for ALL users
+  const producer = createMarketProducer({
+    bus,
+    onTick: (message) => {
+      broadcastTick(io, message);
+      emitDeltas(io, message.delta);
+      priceEventStream.publishPriceUpdates(message.delta);
+      matchingEngine.matchTick(message.tick);
+    },
+    onSession: (status) => {
+      io.emit('market_status', status);
+      matchingEngine.expireDayOrders();
+      if (status.isOpen) runDividends();
+    },
+    onFx: (rates) => io.emit('fx_update', rates)
+  });
+
+  // Every other node applies the leader's ticks and streams the prices to its own
+  // connections (room broadcasts already came through the adapter)
+  await followMarket({
+    bus,
+    onTick: ({ delta }) => {
+      emitDeltas(io, delta);
+      priceEventStream.publishPriceUpdates(delta);
+    }
+  });
+
+  const election = createLeaderElection({
+    bus,
+    onElected: () => {
+      producer.start();
+      matchingEngine.startMatching({ onOrderUpdate: notifyOrderUpdate, onWalletUpdate: notifyWalletUpdate }).catch((error) => {
+        console.error('Failed to start the matching engine:', error.message);
       });
-    });
-  }, 1000);
+      runDividends();
+    },
+    onDemoted: () => {
+      producer.stop();
+      matchingEngine.stopMatching();
+    }
+  });
+  await election.start();
+
+  return election;
 };
 
-module.exports = { setupSocket };
+module.exports = {
+  setupSocket,
+  notifySubscriptionChange,
+  notifyOrderUpdate,
+  notifyWalletUpdate,
+  notifyCurrencyChange,
+  syncOrder,
+  revokeUserSessions
+};
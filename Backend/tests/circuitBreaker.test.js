@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCalendarConfig, getMarketStatus, isNewSession } = require('../services/marketCalendar');
+const circuitBreaker = require('../services/circuitBreaker');
+const market = require('../services/marketState');
+
+const alwaysOpen = { ...getCalendarConfig(), timezone: 'America/New_York', alwaysOpen: true };
+const statusAt = (time, config = alwaysOpen) => getMarketStatus(new Date(time), config);
+
+// Trip a ticker's narrowest band the way a tick past it would
+const tripFirstBand = (ticker, referencePrice) => {
+  const breach = circuitBreaker.checkBreach(ticker, referencePrice * 1.06, referencePrice);
+  assert.equal(breach.level, 1);
+  circuitBreaker.applyHalt({ ticker, level: breach.level, percent: breach.percent });
+  circuitBreaker.applyResume({ ticker });
+};
+
+test('an always-open market starts a new session at midnight in the exchange time zone', () => {
+  const evening = statusAt('2026-10-20T03:59:00Z'); // 23:59 in New York
+  const laterThatEvening = statusAt('2026-10-20T03:59:30Z');
+  const nextDay = statusAt('2026-10-20T04:01:00Z'); // 00:01 in New York
+
+  assert.equal(nextDay.session, evening.session);
+  assert.equal(isNewSession(evening, laterThatEvening), false);
+  assert.equal(isNewSession(evening, nextDay), true);
+});
+
+test('a market with regular hours starts a new session only when the session changes', () => {
+  const hours = { ...alwaysOpen, alwaysOpen: false };
+  const morning = statusAt('2026-10-20T14:00:00Z', hours); // 10:00 in New York
+  const afternoon = statusAt('2026-10-20T19:00:00Z', hours); // 15:00
+  const evening = statusAt('2026-10-20T21:00:00Z', hours); // 17:00
+
+  assert.equal(isNewSession(morning, afternoon), false);
+  assert.equal(isNewSession(afternoon, evening), true);
+});
+
+test('a tripped band stays tripped for the rest of the session', () => {
+  circuitBreaker.resetBands();
+  tripFirstBand('AAPL', 100);
+
+  assert.equal(circuitBreaker.checkBreach('AAPL', 106, 100), null);
+  assert.equal(circuitBreaker.checkBreach('AAPL', 111, 100).level, 2);
+});
+
+test('rolling over to a new session re-arms every band', () => {
+  circuitBreaker.resetBands();
+  tripFirstBand('AAPL', 100);
+
+  market.rollSessionOpen({});
+
+  assert.equal(circuitBreaker.checkBreach('AAPL', 106, 100).level, 1);
+});
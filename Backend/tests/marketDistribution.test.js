@@ -0,0 +1,48 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Instrument = require('../models/Instrument');
+const catalog = require('../services/instrumentCatalog');
+const market = require('../services/marketState');
+const { CHANNELS, followMarket } = require('../services/marketDistribution');
+
+const instruments = [{
+  ticker: 'AAPL', name: 'Apple Inc.', basePrice: 100, tickSize: 0.01
+}];
+
+// A bus that hands each channel's handler back to the test
+const createTestBus = () => {
+  const handlers = {};
+  return {
+    nodeId: 'follower',
+    handlers,
+    subscribe: async (channel, handler) => {
+      handlers[channel] = handler;
+    },
+    publish: async () => {}
+  };
+};
+
+test('a follower takes the leader\'s base prices from its ticks', async () => {
+  mock.method(Instrument, 'estimatedDocumentCount', async () => instruments.length);
+  mock.method(Instrument, 'bulkWrite', async () => ({ modifiedCount: 0 }));
+  mock.method(Instrument, 'find', () => ({ sort: () => ({ lean: async () => instruments }) }));
+  await catalog.loadInstruments();
+  market.syncInstruments();
+
+  const bus = createTestBus();
+  await followMarket({ bus, onTick: () => {} });
+
+  // The leader opened the session at 110 - this node started from the listing's 100
+  bus.handlers[CHANNELS.TICK]({
+    nodeId: 'leader',
+    tick: {
+      timestamp: new Date().toISOString(), prices: { AAPL: 121 }, books: {}, trades: []
+    },
+    delta: { seq: 1, changes: { AAPL: { price: 121, change: 10 } }, timestamp: new Date().toISOString() },
+    basePrices: { AAPL: 110 }
+  });
+
+  assert.equal(market.getBasePrice('AAPL'), 110);
+  assert.equal(market.calculateChange('AAPL'), 10);
+  mock.restoreAll();
+});
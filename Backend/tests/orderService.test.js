@@ -0,0 +1,138 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Position = require('../models/Position');
+const walletService = require('../services/walletService');
+const orderService = require('../services/orderService');
+
+// Orders held in memory in place of the database, under string ids - only the queries
+// the fill path makes
+let orders;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && typeof condition === 'object') {
+    if ('$in' in condition) return condition.$in.some((option) => (option === null ? value == null : String(option) === String(value)));
+    if ('$ne' in condition) return String(value) !== String(condition.$ne);
+  }
+  return String(value) === String(condition);
+});
+
+const query = (result) => ({ lean: async () => structuredClone(result) });
+
+beforeEach(() => {
+  orders = [];
+  mock.restoreAll();
+  mock.method(Order, 'find', (filter) => query(orders.filter((doc) => matches(doc, filter))));
+  mock.method(Order, 'findOneAndUpdate', (filter, { $set = {}, $inc = {}, $push = {} }) => {
+    const doc = orders.find((candidate) => matches(candidate, filter));
+    if (!doc) return query(null);
+    Object.assign(doc, $set);
+    Object.entries($inc).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+    Object.entries($push).forEach(([field, entry]) => { doc[field] = [...(doc[field] || []), entry]; });
+    return query(doc);
+  });
+  // Plenty of shares to sell and cash to receive for them
+  mock.method(Position, 'findOne', () => query({ _id: 'position', quantity: 100, averagePrice: 10 }));
+  mock.method(Position, 'findOneAndUpdate', (filter, { $set }) => query({ ticker: 'AAPL', ...$set }));
+  mock.method(walletService, 'postFill', async () => ({ wallet: { currency: 'USD', balance: 1000 } }));
+});
+
+// An OCO sell pair for 10 shares - a take-profit limit and a stop-loss stop
+const placeOcoPair = () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const leg = (type, prices) => ({
+    _id: new mongoose.Types.ObjectId().toString(),
+    user: userId,
+    ticker: 'AAPL',
+    side: 'sell',
+    type,
+    quantity: 10,
+    filledQuantity: 0,
+    ...prices,
+    timeInForce: 'gtc',
+    status: 'open',
+    statusHistory: [],
+    ocoGroup: 'group',
+    revision: 0
+  });
+  orders.push(leg('limit', { limitPrice: 12 }), leg('stop', { stopPrice: 8 }));
+  return orders.map((doc) => ({
+    id: doc._id, userId, ...doc, fillPrice: null, filledAt: null
+  }));
+};
+
+test('a partial fill of an OCO leg leaves its sibling for the shares the leg has left', async () => {
+  const [takeProfit, stopLoss] = placeOcoPair();
+
+  const result = await orderService.fillRestingOrder(takeProfit, 12, 4);
+
+  assert.equal(result.order.status, 'partially_filled');
+  assert.equal(result.order.filledQuantity, 4);
+  assert.equal(result.linked.length, 1);
+  assert.equal(result.linked[0].id, stopLoss.id);
+  assert.equal(result.linked[0].status, 'open');
+  assert.equal(result.linked[0].quantity, 6);
+});
+
+test('each further partial fill shrinks the sibling on top of the shares it filled itself', async () => {
+  const [takeProfit, stopLoss] = placeOcoPair();
+
+  const first = await orderService.fillRestingOrder(takeProfit, 12, 4);
+  const second = await orderService.fillRestingOrder({ ...stopLoss, ...first.linked[0] }, 8, 2);
+
+  assert.equal(second.order.filledQuantity, 2);
+  assert.equal(second.linked[0].id, takeProfit.id);
+  // 4 filled by the take-profit, plus the 4 the stop-loss has left
+  assert.equal(second.linked[0].quantity, 8);
+  assert.equal(second.linked[0].status, 'partially_filled');
+});
+
+test('an OCO leg that fills in full cancels its sibling', async () => {
+  const [takeProfit, stopLoss] = placeOcoPair();
+
+  const partial = await orderService.fillRestingOrder(takeProfit, 12, 4);
+  const full = await orderService.fillRestingOrder({ ...takeProfit, ...partial.order }, 12);
+
+  assert.equal(full.order.status, 'filled');
+  assert.equal(full.linked[0].id, stopLoss.id);
+  assert.equal(full.linked[0].status, 'cancelled');
+  assert.equal(full.linked[0].quantity, 6);
+});
+
+test('an OCO leg that closes unfilled cancels its sibling', async () => {
+  const [takeProfit, stopLoss] = placeOcoPair();
+
+  const result = await orderService.expireRestingOrder(takeProfit);
+
+  assert.equal(result.order.status, 'expired');
+  assert.equal(result.linked[0].id, stopLoss.id);
+  assert.equal(result.linked[0].status, 'cancelled');
+  assert.equal(result.linked[0].quantity, 10);
+});
+
+test('a sell whose proceeds cannot be posted gets its shares back and stays open', async () => {
+  const [takeProfit] = placeOcoPair();
+  let position = {
+    _id: 'position', ticker: 'AAPL', quantity: 100, averagePrice: 10, realizedPnl: 5
+  };
+  mock.method(Position, 'findOne', () => query(position));
+  mock.method(Position, 'findOneAndUpdate', (filter, { $set }) => {
+    if (filter.quantity !== position.quantity || filter.averagePrice !== position.averagePrice) return query(null);
+    position = { ...position, ...$set };
+    return query(position);
+  });
+  mock.method(walletService, 'postFill', async () => {
+    throw new Error('Database unavailable');
+  });
+  mock.method(console, 'error', () => {});
+
+  const result = await orderService.fillRestingOrder(takeProfit, 12, 4);
+
+  assert.equal(result.order.status, 'open');
+  assert.equal(result.order.filledQuantity, 0);
+  assert.equal(position.quantity, 100);
+  assert.equal(position.averagePrice, 10);
+  assert.equal(position.realizedPnl, 5);
+});
@@ -3,101 +3,113 @@ const User = require('../models/User');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-const protect = async (req, res, next) => {
+// Error carrying a machine-readable code and HTTP status
+const authError = (code, message, status = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Verify an access token and load its user - shared by the REST routes, sockets
+// and the price event stream. Resolves with the user and the decoded token.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw authError('NO_TOKEN', 'Not authorized to access this route');
+  }
+
+  if (!JWT_SECRET) {
+    console.error('JWT_SECRET not configured');
+    throw authError('SERVER_CONFIG_ERROR', 'Server configuration error', 500);
+  }
+
+  let decoded;
   try {
-    let token;
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw authError('TOKEN_EXPIRED', 'Token has expired');
+    if (error.name === 'JsonWebTokenError') throw authError('INVALID_TOKEN', 'Invalid token');
+    throw authError('TOKEN_ERROR', 'Not authorized, token invalid');
+  }
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+  // Check token type (should be access token)
+  if (decoded.type && decoded.type !== 'access') {
+    throw authError('INVALID_TOKEN_TYPE', 'Invalid token type');
+  }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route',
-        code: 'NO_TOKEN'
-      });
-    }
+  // Get user from token
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw authError('USER_NOT_FOUND', 'User not found');
+  }
 
-    try {
-      // Verify token
-      if (!JWT_SECRET) {
-        console.error('JWT_SECRET not configured');
-        return res.status(500).json({
-          success: false,
-          message: 'Server configuration error'
-        });
-      }
-      
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      // Check token type (should be access token)
-      if (decoded.type && decoded.type !== 'access') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token type',
-          code: 'INVALID_TOKEN_TYPE'
-        });
-      }
+  // Check if user is active
+  if (!user.isActive) {
+    throw authError('ACCOUNT_DEACTIVATED', 'User account is deactivated');
+  }
 
-      // Get user from token
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found',
-          code: 'USER_NOT_FOUND'
-        });
-      }
+  // Check if password was changed after token was issued
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw authError('PASSWORD_CHANGED', 'Password recently changed. Please login again.');
+  }
 
-      // Check if user is active
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'User account is deactivated',
-          code: 'ACCOUNT_DEACTIVATED'
-        });
-      }
+  return { user, decoded };
+};
 
-      // Check if password was changed after token was issued
-      if (user.changedPasswordAfter(decoded.iat)) {
-        return res.status(401).json({
-          success: false,
-          message: 'Password recently changed. Please login again.',
-          code: 'PASSWORD_CHANGED'
-        });
-      }
+// Token from the Authorization header
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return undefined;
+};
 
-      req.user = user;
-      next();
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token has expired',
-          code: 'TOKEN_EXPIRED'
-        });
-      }
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token',
-          code: 'INVALID_TOKEN'
-        });
-      }
-      return res.status(401).json({
+// Build an authentication middleware that reads the token with `getToken`
+const createProtect = (getToken) => async (req, res, next) => {
+  try {
+    const { user, decoded } = await authenticateToken(getToken(req));
+    req.user = user;
+    // Long-lived responses (event streams) end when the token does
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+  } catch (error) {
+    // Anything but a rejected token (e.g. the user lookup failing) is the server's fault
+    if (!error.code) {
+      console.error('Auth middleware error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Not authorized, token invalid',
-        code: 'TOKEN_ERROR'
+        message: 'Server error in auth middleware'
       });
     }
-  } catch (error) {
-    res.status(500).json({
+    if (error.status === 500) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+};
+
+const protect = createProtect(getBearerToken);
+
+// EventSource cannot send headers, so event streams may pass the token as ?token=
+const protectStream = createProtect((req) => getBearerToken(req) || req.query.token);
+
+// Restrict a route to the given roles - use after protect
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
       success: false,
-      message: 'Server error in auth middleware'
+      message: 'You do not have permission to perform this action',
+      code: 'FORBIDDEN'
     });
   }
+  next();
 };
 
 // Optional auth - doesn't fail if no token, but adds user if valid token exists
@@ -127,4 +139,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, optionalAuth };
+module.exports = { protect, protectStream, authorize, optionalAuth, authenticateToken };
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255,255,255,0.15)' },
+  '& .MuiInputLabel-root': { color: '#94a3b8' },
+  '& .MuiFormHelperText-root': { color: '#94a3b8' },
+  '& .MuiInputBase-input.Mui-disabled': { WebkitTextFillColor: '#64748b' },
+};
+
+// Change a resting order's quantity or prices. OCO legs and bracket exits keep their
+// quantity, and a stop that has been reached keeps its stop price. The quantity
+// cannot drop to the shares already filled.
+// onSubmit(order, { quantity?, limitPrice?, stopPrice? }) - only the changed fields -
+// resolves once the change has been made (or failed).
+const ModifyOrderDialog = ({ order, onClose, onSubmit }) => {
+  const [quantity, setQuantity] = useState('');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [stopPrice, setStopPrice] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Start from the order as it stands
+  useEffect(() => {
+    if (order) {
+      setQuantity(String(order.quantity));
+      setLimitPrice(order.limitPrice !== null ? String(order.limitPrice) : '');
+      setStopPrice(order.stopPrice !== null ? String(order.stopPrice) : '');
+    }
+  }, [order]);
+
+  if (!order) return null;
+
+  const filled = order.filledQuantity || 0;
+  const shares = Number(quantity);
+  const quantityValid = Number.isInteger(shares) && shares > filled;
+  const limitValid = order.limitPrice === null || Number(limitPrice) > 0;
+  const stopValid = order.stopPrice === null || Number(stopPrice) > 0;
+  const changes = {
+    ...(shares !== order.quantity && { quantity: shares }),
+    ...(order.limitPrice !== null && Number(limitPrice) !== order.limitPrice && { limitPrice: Number(limitPrice) }),
+    ...(order.stopPrice !== null && Number(stopPrice) !== order.stopPrice && { stopPrice: Number(stopPrice) }),
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await onSubmit(order, changes);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '20px',
+          background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+          border: '1px solid rgba(255,255,255,0.1)',
+        }
+      }}
+    >
+      <DialogTitle sx={{ p: 2.5, pb: 1.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        <Box className="flex items-center justify-between">
+          <Box>
+            <Typography variant="h6" className="font-bold text-white">
+              Modify {order.ticker} {order.type.replace('_', '-')} {order.side}
+            </Typography>
+            <Typography variant="caption" className="text-gray-400">
+              {filled > 0 ? `${filled} of ${order.quantity} shares filled so far` : 'Nothing filled yet'}
+            </Typography>
+          </Box>
+          <IconButton onClick={onClose} size="small" sx={{ color: '#94a3b8' }}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 2.5 }}>
+        <Box className="flex flex-col gap-4 pt-4">
+          <TextField
+            label="Quantity"
+            type="number"
+            value={quantity}
+            onChange={(event) => setQuantity(event.target.value)}
+            inputProps={{ min: filled + 1, step: 1 }}
+            disabled={Boolean(order.ocoGroup)}
+            error={Boolean(quantity) && !quantityValid}
+            helperText={
+              order.ocoGroup
+                ? 'Linked orders trade the same shares'
+                : quantity && !quantityValid ? `Enter a whole number above ${filled}` : ' '
+            }
+            size="small"
+            sx={fieldSx}
+          />
+          {order.stopPrice !== null && (
+            <TextField
+              label="Stop price (USD)"
+              type="number"
+              value={stopPrice}
+              onChange={(event) => setStopPrice(event.target.value)}
+              inputProps={{ min: 0.01, step: 0.01 }}
+              disabled={Boolean(order.triggeredAt)}
+              helperText={order.triggeredAt ? 'The stop has been reached' : ' '}
+              size="small"
+              sx={fieldSx}
+            />
+          )}
+          {order.limitPrice !== null && (
+            <TextField
+              label="Limit price (USD)"
+              type="number"
+              value={limitPrice}
+              onChange={(event) => setLimitPrice(event.target.value)}
+              inputProps={{ min: 0.01, step: 0.01 }}
+              size="small"
+              sx={fieldSx}
+            />
+          )}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2.5, pt: 0 }}>
+        <Button onClick={onClose} sx={{ color: '#94a3b8', textTransform: 'none' }}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!quantityValid || !limitValid || !stopValid || Object.keys(changes).length === 0 || submitting}
+          sx={{ textTransform: 'none', borderRadius: '10px' }}
+        >
+          {submitting ? <CircularProgress size={18} sx={{ color: 'white' }} /> : 'Save changes'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ModifyOrderDialog;
@@ -0,0 +1,319 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255,255,255,0.15)' },
+  '& .MuiInputLabel-root': { color: '#94a3b8' },
+  '& .MuiFormHelperText-root': { color: '#94a3b8' },
+  '& .MuiSvgIcon-root': { color: '#94a3b8' },
+};
+
+const SIDE_COLORS = { buy: '#22c55e', sell: '#ef4444' };
+
+const ORDER_TYPES = [
+  { value: 'market', label: 'Market' },
+  { value: 'limit', label: 'Limit' },
+  { value: 'stop', label: 'Stop' },
+  { value: 'stop_limit', label: 'Stop-limit' },
+  { value: 'oco', label: 'OCO - limit or stop' },
+];
+
+const TIME_IN_FORCE = [
+  { value: 'day', label: 'Day - expires at the close' },
+  { value: 'gtc', label: 'Good till cancelled' },
+];
+
+// An OCO ticket places a limit leg and a stop leg - the first to fill cancels the other
+const hasLimit = (type) => type === 'limit' || type === 'stop_limit' || type === 'oco';
+const hasStop = (type) => type === 'stop' || type === 'stop_limit' || type === 'oco';
+
+// Place an order for one ticker. Market orders fill straight away - buys at the ask,
+// sells at the bid - and the other types rest on the server until their price is
+// reached. Buys can carry a bracket: a take-profit and a stop-loss that rest once
+// the buy fills. `held` is the open position size.
+// onSubmit({ ticker, side, type, quantity, limitPrice?, stopPrice?, timeInForce?, bracket? })
+// or, for OCO, onSubmit({ ticker, side, quantity, timeInForce, legs }) resolves once
+// the order has been placed (or failed).
+const OrderDialog = ({ open, ticker, quote, held = 0, formatMoney, onClose, onSubmit }) => {
+  const [side, setSide] = useState('buy');
+  const [type, setType] = useState('market');
+  const [quantity, setQuantity] = useState('1');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [stopPrice, setStopPrice] = useState('');
+  const [timeInForce, setTimeInForce] = useState('day');
+  const [withBracket, setWithBracket] = useState(false);
+  const [takeProfit, setTakeProfit] = useState('');
+  const [stopLoss, setStopLoss] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Start each ticket fresh
+  useEffect(() => {
+    if (open) {
+      setSide('buy');
+      setType('market');
+      setQuantity('1');
+      setLimitPrice('');
+      setStopPrice('');
+      setTimeInForce('day');
+      setWithBracket(false);
+      setTakeProfit('');
+      setStopLoss('');
+    }
+  }, [open, ticker]);
+
+  const shares = Number(quantity);
+  const quantityValid = Number.isInteger(shares) && shares >= 1;
+  const overSelling = side === 'sell' && quantityValid && shares > held;
+  const limitValid = !hasLimit(type) || Number(limitPrice) > 0;
+  const stopValid = !hasStop(type) || Number(stopPrice) > 0;
+  const bracketable = side === 'buy' && type !== 'oco';
+  const bracketed = bracketable && withBracket;
+  const bracketValid = !bracketed || (Number(stopLoss) > 0 && Number(takeProfit) > Number(stopLoss));
+  const quotePrice = side === 'buy' ? quote?.ask ?? quote?.price : quote?.bid ?? quote?.price;
+  // Limit orders fill at their limit or better, stops at the quote once triggered
+  const fillPrice = hasLimit(type) ? Number(limitPrice) || null : hasStop(type) ? Number(stopPrice) || null : quotePrice;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      if (type === 'oco') {
+        await onSubmit({
+          ticker,
+          side,
+          quantity: shares,
+          timeInForce,
+          legs: [
+            { type: 'limit', limitPrice: Number(limitPrice) },
+            { type: 'stop', stopPrice: Number(stopPrice) },
+          ],
+        });
+        return;
+      }
+      await onSubmit({
+        ticker,
+        side,
+        type,
+        quantity: shares,
+        ...(hasLimit(type) && { limitPrice: Number(limitPrice) }),
+        ...(hasStop(type) && { stopPrice: Number(stopPrice) }),
+        ...(type !== 'market' && { timeInForce }),
+        ...(bracketed && { bracket: { takeProfit: Number(takeProfit), stopLoss: Number(stopLoss) } }),
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '20px',
+          background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+          border: '1px solid rgba(255,255,255,0.1)',
+        }
+      }}
+    >
+      <DialogTitle sx={{ p: 2.5, pb: 1.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        <Box className="flex items-center justify-between">
+          <Box>
+            <Typography variant="h6" className="font-bold text-white">
+              Trade {ticker}
+            </Typography>
+            <Typography variant="caption" className="text-gray-400">
+              Orders fill against the live simulated price
+            </Typography>
+          </Box>
+          <IconButton onClick={onClose} size="small" sx={{ color: '#94a3b8' }}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 2.5 }}>
+        <Box className="flex flex-col gap-4 pt-4">
+          <ToggleButtonGroup
+            exclusive
+            fullWidth
+            size="small"
+            value={side}
+            onChange={(event, value) => value && setSide(value)}
+          >
+            {['buy', 'sell'].map((value) => (
+              <ToggleButton
+                key={value}
+                value={value}
+                sx={{
+                  textTransform: 'none',
+                  color: '#94a3b8',
+                  borderColor: 'rgba(255,255,255,0.15)',
+                  '&.Mui-selected, &.Mui-selected:hover': {
+                    color: 'white',
+                    backgroundColor: SIDE_COLORS[value],
+                  },
+                }}
+              >
+                {value === 'buy' ? 'Buy' : 'Sell'}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <TextField
+            select
+            label="Order type"
+            value={type}
+            onChange={(event) => setType(event.target.value)}
+            size="small"
+            sx={fieldSx}
+          >
+            {ORDER_TYPES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Quantity"
+            type="number"
+            value={quantity}
+            onChange={(event) => setQuantity(event.target.value)}
+            inputProps={{ min: 1, step: 1 }}
+            error={Boolean(quantity) && (!quantityValid || overSelling)}
+            helperText={
+              overSelling
+                ? `You hold ${held} ${ticker}`
+                : quantity && !quantityValid ? 'Enter a whole number of shares' : `Holding ${held} ${ticker}`
+            }
+            size="small"
+            sx={fieldSx}
+          />
+          {hasStop(type) && (
+            <TextField
+              label="Stop price (USD)"
+              type="number"
+              value={stopPrice}
+              onChange={(event) => setStopPrice(event.target.value)}
+              inputProps={{ min: 0.01, step: 0.01 }}
+              helperText={`Triggers once the price ${side === 'buy' ? 'rises to' : 'falls to'} this`}
+              size="small"
+              sx={fieldSx}
+            />
+          )}
+          {hasLimit(type) && (
+            <TextField
+              label="Limit price (USD)"
+              type="number"
+              value={limitPrice}
+              onChange={(event) => setLimitPrice(event.target.value)}
+              inputProps={{ min: 0.01, step: 0.01 }}
+              helperText={`Fills at this price or ${side === 'buy' ? 'lower' : 'higher'}`}
+              size="small"
+              sx={fieldSx}
+            />
+          )}
+          {type !== 'market' && (
+            <TextField
+              select
+              label="Time in force"
+              value={timeInForce}
+              onChange={(event) => setTimeInForce(event.target.value)}
+              size="small"
+              sx={fieldSx}
+            >
+              {TIME_IN_FORCE.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          {bracketable && (
+            <FormControlLabel
+              control={(
+                <Checkbox
+                  size="small"
+                  checked={withBracket}
+                  onChange={(event) => setWithBracket(event.target.checked)}
+                  sx={{ color: '#94a3b8' }}
+                />
+              )}
+              label="Attach take-profit and stop-loss"
+              sx={{ color: '#cbd5e1', '& .MuiFormControlLabel-label': { fontSize: 14 } }}
+            />
+          )}
+          {bracketed && (
+            <Box className="flex gap-3">
+              <TextField
+                label="Take-profit (USD)"
+                type="number"
+                value={takeProfit}
+                onChange={(event) => setTakeProfit(event.target.value)}
+                inputProps={{ min: 0.01, step: 0.01 }}
+                error={Boolean(takeProfit && stopLoss) && !bracketValid}
+                helperText={Boolean(takeProfit && stopLoss) && !bracketValid ? 'Must be above the stop-loss' : 'Sells at this or higher'}
+                size="small"
+                sx={{ ...fieldSx, flex: 1 }}
+              />
+              <TextField
+                label="Stop-loss (USD)"
+                type="number"
+                value={stopLoss}
+                onChange={(event) => setStopLoss(event.target.value)}
+                inputProps={{ min: 0.01, step: 0.01 }}
+                helperText="Sells if the price falls to this"
+                size="small"
+                sx={{ ...fieldSx, flex: 1 }}
+              />
+            </Box>
+          )}
+          <Box className="flex items-center justify-between">
+            <Typography variant="body2" className="text-gray-400">
+              Estimated {side === 'buy' ? 'cost' : 'proceeds'}
+            </Typography>
+            <Typography variant="body2" className="font-semibold text-white">
+              {fillPrice && quantityValid ? formatMoney(fillPrice * shares, 'USD') : '—'}
+            </Typography>
+          </Box>
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2.5, pt: 0 }}>
+        <Button onClick={onClose} sx={{ color: '#94a3b8', textTransform: 'none' }}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!quantityValid || overSelling || !limitValid || !stopValid || !bracketValid || !fillPrice || submitting}
+          sx={{
+            textTransform: 'none',
+            borderRadius: '10px',
+            backgroundColor: SIDE_COLORS[side],
+            '&:hover': { backgroundColor: SIDE_COLORS[side] },
+          }}
+        >
+          {submitting ? <CircularProgress size={18} sx={{ color: 'white' }} /> : `${side === 'buy' ? 'Buy' : 'Sell'} ${ticker}`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OrderDialog;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  Slider,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { PlayArrow, Pause, History } from '@mui/icons-material';
+import { REPLAY_SPEEDS } from '../hooks/useSocket';
+
+const STATUS_LABELS = {
+  playing: 'Replaying',
+  paused: 'Paused',
+  ended: 'Replay ended',
+};
+
+const formatReplayTime = (time) => new Date(time).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+// Playback controls shown while a replay stands in for the live stream.
+// onAction(action, value) runs a replay control: 'play', 'pause', 'seek', 'speed' or 'stop'.
+const ReplayBar = ({ replay, onAction }) => {
+  // Slider position while dragging - the seek is sent on release
+  const [dragPosition, setDragPosition] = useState(null);
+
+  const start = new Date(replay.from).getTime();
+  const end = new Date(replay.to).getTime();
+  const position = dragPosition ?? new Date(replay.position).getTime();
+  const isPlaying = replay.status === 'playing';
+
+  return (
+    <Box className="mx-3 md:mx-6 mt-3 md:mt-4 px-4 py-3 rounded-2xl bg-amber-50 border border-amber-200 flex flex-wrap items-center gap-3">
+      <Box className="flex items-center gap-2">
+        <History sx={{ color: '#d97706', fontSize: 20 }} />
+        <Box>
+          <Typography variant="body2" className="font-semibold text-amber-800">
+            {STATUS_LABELS[replay.status] || 'Replay'}
+          </Typography>
+          <Typography variant="caption" className="text-amber-700">
+            {formatReplayTime(position)}
+          </Typography>
+        </Box>
+      </Box>
+
+      <IconButton
+        size="small"
+        onClick={() => onAction(isPlaying ? 'pause' : 'play')}
+        sx={{ backgroundColor: '#fde68a', '&:hover': { backgroundColor: '#fcd34d' } }}
+      >
+        {isPlaying ? <Pause fontSize="small" /> : <PlayArrow fontSize="small" />}
+      </IconButton>
+
+      <Slider
+        size="small"
+        min={start}
+        max={end}
+        value={Math.min(Math.max(position, start), end)}
+        onChange={(event, value) => setDragPosition(value)}
+        onChangeCommitted={(event, value) => {
+          setDragPosition(null);
+          onAction('seek', new Date(value).toISOString());
+        }}
+        valueLabelDisplay="auto"
+        valueLabelFormat={formatReplayTime}
+        sx={{ flex: 1, minWidth: 160, color: '#d97706' }}
+      />
+
+      <TextField
+        select
+        size="small"
+        value={replay.speed}
+        onChange={(event) => onAction('speed', Number(event.target.value))}
+        sx={{ width: 90, '& .MuiInputBase-input': { py: 0.75 } }}
+      >
+        {REPLAY_SPEEDS.map((value) => (
+          <MenuItem key={value} value={value}>{value}x</MenuItem>
+        ))}
+      </TextField>
+
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={() => onAction('stop')}
+        sx={{ textTransform: 'none', borderRadius: '10px', color: '#b45309', borderColor: '#f59e0b' }}
+      >
+        Back to live
+      </Button>
+    </Box>
+  );
+};
+
+export default ReplayBar;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { REPLAY_SPEEDS } from '../hooks/useSocket';
+
+// Value for a datetime-local input, in the browser's time zone
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255,255,255,0.15)' },
+  '& .MuiInputLabel-root': { color: '#94a3b8' },
+  '& .MuiSvgIcon-root': { color: '#94a3b8' },
+  '& input::-webkit-calendar-picker-indicator': { filter: 'invert(1)' },
+};
+
+// Pick a recorded time range and speed to replay - defaults to the last hour at 1x.
+// onStart({ from, to, speed }) resolves once the replay has started (or failed).
+const ReplayDialog = ({ open, onClose, onStart }) => {
+  const [from, setFrom] = useState(() => toInputValue(new Date(Date.now() - 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toInputValue(new Date()));
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[0]);
+  const [starting, setStarting] = useState(false);
+
+  const rangeValid = Boolean(from && to) && new Date(to) > new Date(from);
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await onStart({
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        speed,
+      });
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '20px',
+          background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+          border: '1px solid rgba(255,255,255,0.1)',
+        }
+      }}
+    >
+      <DialogTitle sx={{ p: 2.5, pb: 1.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        <Box className="flex items-center justify-between">
+          <Box>
+            <Typography variant="h6" className="font-bold text-white">
+              Replay Market
+            </Typography>
+            <Typography variant="caption" className="text-gray-400">
+              Play back recorded prices in place of the live stream
+            </Typography>
+          </Box>
+          <IconButton onClick={onClose} size="small" sx={{ color: '#94a3b8' }}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 2.5 }}>
+        <Box className="flex flex-col gap-4 pt-4">
+          <TextField
+            label="From"
+            type="datetime-local"
+            value={from}
+            onChange={(event) => setFrom(event.target.value)}
+            InputLabelProps={{ shrink: true }}
+            size="small"
+            sx={fieldSx}
+          />
+          <TextField
+            label="To"
+            type="datetime-local"
+            value={to}
+            onChange={(event) => setTo(event.target.value)}
+            InputLabelProps={{ shrink: true }}
+            error={Boolean(from && to) && !rangeValid}
+            helperText={Boolean(from && to) && !rangeValid ? 'The end must be after the start' : ' '}
+            size="small"
+            sx={fieldSx}
+          />
+          <TextField
+            select
+            label="Speed"
+            value={speed}
+            onChange={(event) => setSpeed(Number(event.target.value))}
+            size="small"
+            sx={fieldSx}
+          >
+            {REPLAY_SPEEDS.map((value) => (
+              <MenuItem key={value} value={value}>{value}x</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2.5, pt: 0 }}>
+        <Button onClick={onClose} sx={{ color: '#94a3b8', textTransform: 'none' }}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleStart}
+          disabled={!rangeValid || starting}
+          sx={{ textTransform: 'none', borderRadius: '10px' }}
+        >
+          {starting ? <CircularProgress size={18} sx={{ color: 'white' }} /> : 'Start Replay'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReplayDialog;
@@ -0,0 +1,208 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { stockService } from '../services/api';
+
+// Number of price levels shown per side of the ladder
+const DEPTH_LEVELS = 10;
+// Number of prints shown on the trade tape
+const TAPE_LENGTH = 50;
+
+const formatTradeTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-IN', {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+// One side of the depth ladder - each row is shaded by its share of the deepest level
+const DepthSide = ({ levels, side, maxSize, formatPrice }) => {
+  const isBid = side === 'bid';
+  const color = isBid ? '#22c55e' : '#ef4444';
+
+  return (
+    <Box className="flex-1 min-w-0">
+      <Box className={`flex px-2 pb-1 text-[11px] uppercase tracking-wider text-gray-400 ${isBid ? '' : 'flex-row-reverse'}`}>
+        <span className="flex-1">{isBid ? 'Bid Size' : 'Ask Size'}</span>
+        <span className={`flex-1 ${isBid ? 'text-right' : 'text-left'}`}>{isBid ? 'Bid' : 'Ask'}</span>
+      </Box>
+      {levels.map((level) => (
+        <Box
+          key={level.price}
+          className={`relative flex px-2 py-1 text-sm ${isBid ? '' : 'flex-row-reverse'}`}
+        >
+          <Box
+            className="absolute top-0 bottom-0"
+            sx={{
+              [isBid ? 'right' : 'left']: 0,
+              width: `${maxSize > 0 ? (level.size / maxSize) * 100 : 0}%`,
+              backgroundColor: isBid ? 'rgba(34,197,94,0.12)' : 'rgba(239,68,68,0.12)',
+            }}
+          />
+          <span className="relative flex-1 text-gray-300">{level.size.toLocaleString()}</span>
+          <span
+            className={`relative flex-1 font-semibold ${isBid ? 'text-right' : 'text-left'}`}
+            style={{ color }}
+          >
+            {formatPrice(level.price)}
+          </span>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+// Time and sales - newest print on top, green for buyer-initiated, red for seller-initiated
+const TradeTape = ({ trades, formatPrice }) => (
+  <Box className="flex-1 min-w-0">
+    <Box className="flex px-2 pb-1 text-[11px] uppercase tracking-wider text-gray-400">
+      <span className="flex-1">Time</span>
+      <span className="flex-1 text-right">Price</span>
+      <span className="flex-1 text-right">Size</span>
+    </Box>
+    <Box className="max-h-[340px] overflow-y-auto">
+      {trades.length === 0 && (
+        <Typography variant="caption" className="block text-gray-500 text-center py-6">
+          No trades yet
+        </Typography>
+      )}
+      {trades.map((trade) => (
+        <Box key={trade.id} className="flex px-2 py-1 text-sm">
+          <span className="flex-1 text-gray-400">{formatTradeTime(trade.timestamp)}</span>
+          <span
+            className="flex-1 text-right font-semibold"
+            style={{ color: trade.side === 'buy' ? '#22c55e' : '#ef4444' }}
+          >
+            {formatPrice(trade.price)}
+          </span>
+          <span className="flex-1 text-right text-gray-300">{trade.size.toLocaleString()}</span>
+        </Box>
+      ))}
+    </Box>
+  </Box>
+);
+
+// Level 2 market depth for a single ticker. The initial ladder is loaded over REST,
+// then replaced by live `order_book` updates while the ticker is being viewed.
+// The trade tape is seeded the same way and extended by live `trade` prints.
+// Render with `key={ticker}` so the loaded data resets when the ticker changes.
+// Depth and trade prices are the market's, in USD - `formatPrice` formats them as such.
+const StockDetailDialog = ({ ticker, info, liveBook, liveTrades, onClose, formatPrice }) => {
+  const [initialBook, setInitialBook] = useState(null);
+  const [initialTrades, setInitialTrades] = useState([]);
+  const [loading, setLoading] = useState(Boolean(ticker));
+
+  useEffect(() => {
+    if (!ticker) return undefined;
+
+    let cancelled = false;
+    Promise.all([
+      stockService.getDepth(ticker, DEPTH_LEVELS),
+      stockService.getTrades(ticker, TAPE_LENGTH),
+    ])
+      .then(([depthResponse, tradesResponse]) => {
+        if (cancelled) return;
+        if (depthResponse.success) setInitialBook(depthResponse.data);
+        if (tradesResponse.success) setInitialTrades(tradesResponse.data.trades);
+      })
+      .catch((error) => {
+        console.error(`Failed to load depth and trades for ${ticker}:`, error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ticker]);
+
+  // Whichever ladder is newer - a live book may be left over from an earlier view
+  const book = [liveBook, initialBook]
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+  const bids = book?.bids?.slice(0, DEPTH_LEVELS) || [];
+  const asks = book?.asks?.slice(0, DEPTH_LEVELS) || [];
+  const maxSize = Math.max(0, ...bids.map((level) => level.size), ...asks.map((level) => level.size));
+
+  // Live prints on top of the loaded tape, de-duplicated by trade id
+  const tape = useMemo(() => {
+    const byId = new Map();
+    [...(liveTrades || []), ...initialTrades].forEach((trade) => byId.set(trade.id, trade));
+    return Array.from(byId.values()).sort((a, b) => b.id - a.id).slice(0, TAPE_LENGTH);
+  }, [liveTrades, initialTrades]);
+
+  return (
+    <Dialog
+      open={Boolean(ticker)}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '20px',
+          background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+          border: '1px solid rgba(255,255,255,0.1)',
+        }
+      }}
+    >
+      <DialogTitle sx={{ p: 2.5, pb: 1.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        <Box className="flex items-center justify-between">
+          <Box>
+            <Typography variant="h6" className="font-bold text-white">
+              {ticker}
+            </Typography>
+            <Typography variant="caption" className="text-gray-400">
+              {info?.fullName} · Market Depth &amp; Time and Sales
+            </Typography>
+          </Box>
+          <IconButton onClick={onClose} size="small" sx={{ color: 'rgba(255,255,255,0.6)' }}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 2.5 }}>
+        {loading && !book ? (
+          <Box className="flex justify-center py-10">
+            <CircularProgress size={28} sx={{ color: '#10b981' }} />
+          </Box>
+        ) : !book ? (
+          <Typography variant="body2" className="text-gray-400 text-center py-10">
+            Depth is not available for this stock right now.
+          </Typography>
+        ) : (
+          <>
+            <Box className="flex items-center justify-center gap-2 py-3">
+              <Typography variant="caption" className="text-gray-400">Spread</Typography>
+              <Typography variant="body2" className="font-semibold text-white">
+                {formatPrice(book.spread)}
+              </Typography>
+            </Box>
+            <Box className="flex flex-col md:flex-row gap-4">
+              <Box className="flex gap-2 md:flex-[2] min-w-0">
+                <DepthSide levels={bids} side="bid" maxSize={maxSize} formatPrice={formatPrice} />
+                <DepthSide levels={asks} side="ask" maxSize={maxSize} formatPrice={formatPrice} />
+              </Box>
+              <Box className="md:flex-1 min-w-0 md:border-l md:pl-4" sx={{ borderColor: 'rgba(255,255,255,0.1)' }}>
+                <Typography variant="caption" className="block text-gray-400 px-2 pb-2 font-semibold">
+                  Time &amp; Sales
+                </Typography>
+                <TradeTape trades={tape} formatPrice={formatPrice} />
+              </Box>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StockDetailDialog;
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  TextField,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { walletService } from '../services/api';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255,255,255,0.15)' },
+  '& .MuiInputLabel-root': { color: '#94a3b8' },
+};
+
+const PAGE_SIZE = 10;
+
+const TRANSACTION_LABELS = {
+  opening: 'Opening balance',
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  trade: 'Trade',
+  dividend: 'Dividend',
+  reversal: 'Reversal',
+};
+
+// The user's virtual cash - simulated deposits and withdrawals, and the ledger of
+// every movement, newest first. `wallet` is the live balance; the ledger reloads
+// whenever it changes. Balances and amounts are shown in the display currency;
+// transfers are entered in USD. onTransfer('deposit' | 'withdraw', amount) resolves once the
+// transfer has been made (or failed).
+const WalletDialog = ({ open, wallet, formatMoney, onClose, onTransfer }) => {
+  const [amount, setAmount] = useState('');
+  const [submitting, setSubmitting] = useState(null); // 'deposit' or 'withdraw' while in flight
+  const [transactions, setTransactions] = useState([]);
+  const [pagination, setPagination] = useState(null); // { page, limit, total, pages }
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const loadTransactions = useCallback(async (pageNumber) => {
+    setLoading(true);
+    try {
+      const response = await walletService.getTransactions(pageNumber, PAGE_SIZE);
+      if (response?.success) {
+        setTransactions(response.data || []);
+        setPagination(response.pagination);
+      }
+    } catch (error) {
+      console.error('Error loading transactions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Start from the newest transactions each time
+  useEffect(() => {
+    if (open) {
+      setAmount('');
+      setPage(1);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (open) loadTransactions(page);
+  }, [open, page, wallet?.balance, wallet?.display?.currency, loadTransactions]);
+
+  const value = Number(amount);
+  const amountValid = Number.isFinite(value) && value >= 0.01;
+
+  const handleTransfer = async (action) => {
+    setSubmitting(action);
+    try {
+      await onTransfer(action, value);
+      setAmount('');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: '20px',
+          background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+          border: '1px solid rgba(255,255,255,0.1)',
+        }
+      }}
+    >
+      <DialogTitle sx={{ p: 2.5, pb: 1.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        <Box className="flex items-center justify-between">
+          <Box>
+            <Typography variant="h6" className="font-bold text-white">
+              Cash {wallet ? formatMoney(wallet.display?.balance ?? wallet.balance) : '—'}
+            </Typography>
+            <Typography variant="caption" className="text-gray-400">
+              Virtual money for paper trading - transfers are simulated
+            </Typography>
+          </Box>
+          <IconButton onClick={onClose} size="small" sx={{ color: '#94a3b8' }}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 2.5 }}>
+        <Box className="flex items-center gap-3 pt-4">
+          <TextField
+            label="Amount (USD)"
+            type="number"
+            value={amount}
+            onChange={(event) => setAmount(event.target.value)}
+            inputProps={{ min: 0.01, step: 0.01 }}
+            size="small"
+            sx={{ ...fieldSx, flex: 1 }}
+          />
+          {[['deposit', 'Deposit', '#22c55e'], ['withdraw', 'Withdraw', '#ef4444']].map(([action, label, color]) => (
+            <Button
+              key={action}
+              variant="contained"
+              onClick={() => handleTransfer(action)}
+              disabled={!amountValid || Boolean(submitting)}
+              sx={{
+                textTransform: 'none',
+                borderRadius: '10px',
+                backgroundColor: color,
+                '&:hover': { backgroundColor: color },
+              }}
+            >
+              {submitting === action ? <CircularProgress size={18} sx={{ color: 'white' }} /> : label}
+            </Button>
+          ))}
+        </Box>
+
+        <Box className="mt-5">
+          <Box className="flex items-center justify-between mb-2">
+            <Typography variant="subtitle2" className="text-gray-300">
+              Transactions
+            </Typography>
+            {loading && <CircularProgress size={14} sx={{ color: '#94a3b8' }} />}
+          </Box>
+          <table className="w-full text-sm">
+            <tbody>
+              {transactions.map((transaction) => (
+                <tr key={transaction.id} className="border-t border-white/10">
+                  <td className="py-2 pr-3 text-gray-400 whitespace-nowrap">
+                    {new Date(transaction.createdAt).toLocaleString()}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-200">
+                    <span className="font-medium">{TRANSACTION_LABELS[transaction.type] || transaction.type}</span>
+                    <span className="block text-xs text-gray-400">{transaction.description}</span>
+                  </td>
+                  <td
+                    className="py-2 pr-3 text-right font-semibold whitespace-nowrap"
+                    style={{ color: transaction.amount >= 0 ? '#22c55e' : '#ef4444' }}
+                  >
+                    {transaction.amount >= 0 ? '+' : ''}{formatMoney(transaction.display?.amount ?? transaction.amount)}
+                  </td>
+                  <td className="py-2 text-right text-gray-400 whitespace-nowrap">{formatMoney(transaction.display?.balanceAfter ?? transaction.balanceAfter)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {transactions.length === 0 && !loading && (
+            <Typography variant="body2" className="text-gray-400 py-4 text-center">
+              No transactions yet
+            </Typography>
+          )}
+          {pagination && pagination.pages > 1 && (
+            <Box className="flex items-center justify-end gap-2 mt-3">
+              <Button
+                size="small"
+                onClick={() => setPage((prev) => prev - 1)}
+                disabled={page <= 1 || loading}
+                sx={{ textTransform: 'none', color: '#94a3b8' }}
+              >
+                Newer
+              </Button>
+              <Typography variant="caption" className="text-gray-400">
+                Page {pagination.page} of {pagination.pages}
+              </Typography>
+              <Button
+                size="small"
+                onClick={() => setPage((prev) => prev + 1)}
+                disabled={page >= pagination.pages || loading}
+                sx={{ textTransform: 'none', color: '#94a3b8' }}
+              >
+                Older
+              </Button>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WalletDialog;
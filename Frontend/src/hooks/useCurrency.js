@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authService, fxService } from '../services/api';
+
+// Currency the server quotes every price in
+const BASE_CURRENCY = 'USD';
+// Shown until the user picks a currency
+const DEFAULT_CURRENCY = 'INR';
+
+const CURRENCY_LOCALES = {
+  INR: 'en-IN',
+};
+
+// Money formatting in the signed-in user's preferred currency. The server converts:
+// prices, positions and cash arrive with their amounts in this currency under
+// `display`, so nothing is converted here. Amounts format in the display currency
+// unless `code` names another (order entry, depth and trades stay in USD).
+// `liveRates` is the latest `fx_update` from the socket ({ base, rates, timestamp }) -
+// the currencies it lists are the ones a user can pick.
+export const useCurrency = (liveRates) => {
+  const { user, updateUser } = useAuth();
+  const [loadedRates, setLoadedRates] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fxService.getRates()
+      .then((response) => {
+        if (!cancelled && response?.success) setLoadedRates(response.data);
+      })
+      .catch((error) => {
+        console.error('Error fetching FX rates:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Whichever snapshot is newer
+  const fx = useMemo(() => {
+    if (!liveRates?.rates) return loadedRates;
+    if (!loadedRates?.rates) return liveRates;
+    return new Date(liveRates.timestamp) >= new Date(loadedRates.timestamp) ? liveRates : loadedRates;
+  }, [liveRates, loadedRates]);
+
+  const rates = useMemo(() => fx?.rates || { [BASE_CURRENCY]: 1 }, [fx]);
+  const preferred = user?.preferredCurrency || DEFAULT_CURRENCY;
+  // The server shows amounts in USD when the preferred currency has no rate - so does this
+  const currency = rates[preferred] ? preferred : BASE_CURRENCY;
+
+  const formatMoney = useCallback((amount, code = currency) => {
+    const value = amount === undefined || amount === null || isNaN(amount) ? 0 : amount;
+    return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', {
+      style: 'currency',
+      currency: code,
+    }).format(value);
+  }, [currency]);
+
+  // Large amounts - lakh/crore for INR, K/M/B for everything else
+  const formatMoneyCompact = useCallback((amount, code = currency) => {
+    const value = amount === undefined || amount === null || isNaN(amount) ? 0 : amount;
+    if (code === 'INR') {
+      if (value >= 10000000) return `₹${(value / 10000000).toFixed(2)} Cr`;
+      if (value >= 100000) return `₹${(value / 100000).toFixed(2)} L`;
+      if (value >= 1000) return `₹${(value / 1000).toFixed(1)} K`;
+      return formatMoney(value, code);
+    }
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: code,
+      notation: 'compact',
+      maximumFractionDigits: 2,
+    }).format(value);
+  }, [currency, formatMoney]);
+
+  // Save a new preferred currency to the profile
+  const setCurrency = useCallback(async (code) => {
+    const response = await authService.updatePreferences({ preferredCurrency: code });
+    if (response?.success) {
+      updateUser({ ...user, preferredCurrency: response.data.preferredCurrency });
+    }
+    return response;
+  }, [user, updateUser]);
+
+  return {
+    currency,
+    currencies: Object.keys(rates),
+    formatMoney,
+    formatMoneyCompact,
+    setCurrency,
+  };
+};
@@ -1,16 +1,65 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
-import { authService } from '../services/api';
+import { authService, streamService } from '../services/api';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'https://stock-broker-client-web-dashboard.onrender.com';
 
+// Number of price points kept per ticker for charts
+const HISTORY_LENGTH = 20;
+// Number of recent prints kept per ticker for the trade tape
+const TAPE_LENGTH = 50;
+// Failed connection attempts in a row before prices switch to the event stream fallback
+const FAILURES_BEFORE_FALLBACK = 3;
+// How long the "data recovered" state is shown after a resync
+const RECOVERED_DISPLAY_MS = 5000;
+// Playback speeds offered for a market replay (the server accepts 1x-100x)
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50, 100];
+
+// Merge changed fields (and their display amounts) into a ticker, appending new
+// prices to its local history
+const applyTickerPatch = (current = {}, patch) => {
+  const next = { ...current, ...patch };
+  if (patch.price !== undefined) {
+    next.history = [...(current.history || []), patch.price].slice(-HISTORY_LENGTH);
+  }
+  if (patch.display) {
+    next.display = { ...current.display, ...patch.display };
+    if (patch.display.price !== undefined) {
+      next.display.history = [...(current.display?.history || []), patch.display.price].slice(-HISTORY_LENGTH);
+    }
+  }
+  return next;
+};
+
 export const useSocket = () => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const [stockData, setStockData] = useState({}); // { ticker: { price, change, history } }
+  const [stockData, setStockData] = useState({}); // { ticker: { price, change, bid, ask, history, display } }
   const [lastUpdate, setLastUpdate] = useState(null);
-  const [subscribedStocks, setSubscribedStocks] = useState([]);
+  const [subscribedStocks, setSubscribedStocks] = useState(null); // null until the server reports them
+  const [instruments, setInstruments] = useState(null); // Listed instruments, null until the server reports them
+  const [marketStatus, setMarketStatus] = useState(null); // { session, isOpen, nextOpen, nextClose, ... }
+  const [fxRates, setFxRates] = useState(null); // { base: 'USD', rates: { INR, EUR, ... }, timestamp }
+  const [orderBooks, setOrderBooks] = useState({}); // { ticker: { bids, asks, spread, timestamp } } for viewed tickers
+  const [trades, setTrades] = useState({}); // { ticker: [{ id, price, size, side, timestamp }] } newest first
+  const [replay, setReplay] = useState(null); // { status, from, to, position, speed, tickers } while replaying recorded prices
+  const [halts, setHalts] = useState({}); // { ticker: { level, percent, haltPrice, haltedAt, resumesAt } } for halted tickers
+  const [orderUpdates, setOrderUpdates] = useState({}); // { orderId: order } latest state of each of this user's orders updated this session
+  const [positionUpdates, setPositionUpdates] = useState({}); // { ticker: position } positions changed by fills this session
+  const [walletUpdate, setWalletUpdate] = useState(null); // { currency, balance, updatedAt } latest cash balance pushed this session
+  const [streamHealth, setStreamHealth] = useState('live'); // 'live', 'stale' (ticks missed), 'recovered' (missed ticks replayed) or 'fallback' (event stream)
   const socketRef = useRef(null);
+  const lastSeqRef = useRef(null); // Sequence number of the last applied price update
+  const snapshotPendingRef = useRef(false); // Snapshot or resync requested but not yet received
+  const replayingRef = useRef(false); // Prices come from a replay (its sequence numbers are not the live stream's)
+  const recoveredTimerRef = useRef(null);
+  const socketTokenRef = useRef(null); // Access token the server last accepted for this connection
+  const sessionEndCodeRef = useRef(null); // Why the server ended the session (TOKEN_EXPIRED, PASSWORD_CHANGED, ...)
+  const tokenUnsubscribeRef = useRef(null);
+  const connectFailuresRef = useRef(0); // Failed connection attempts since the last successful one
+  const fallbackStreamRef = useRef(null); // EventSource used while the socket cannot connect
+  const streamModeRef = useRef('all'); // 'all' market or 'subscribed' (subscriptions + viewed tickers)
+  const viewingRef = useRef([]); // Tickers viewed temporarily (detail page, search dropdown)
 
   const connect = useCallback(() => {
     const token = authService.getToken();
@@ -26,60 +75,254 @@ export const useSocket = () => {
     }
 
     const newSocket = io(SOCKET_URL, {
-      auth: { token },
+      // Evaluated on every (re)connect so the latest token is used, the current stream
+      // mode is restored and the server replays the ticks missed while disconnected
+      auth: (cb) => {
+        socketTokenRef.current = authService.getToken() || token;
+        cb({
+          token: socketTokenRef.current,
+          streamMode: streamModeRef.current,
+          resync: lastSeqRef.current !== null ? { sinceSeq: lastSeqRef.current } : undefined
+        });
+      },
       transports: ['websocket', 'polling'],
     });
 
+    // Apply a price_update from the socket or the fallback event stream
+    const applyPriceUpdate = (data) => {
+      setStockData((prev) => ({
+        ...prev,
+        [data.ticker]: applyTickerPatch(prev[data.ticker], {
+          price: data.price,
+          change: data.change,
+          bid: data.bid,
+          ask: data.ask,
+          display: data.display
+        })
+      }));
+      if (data.timestamp) setLastUpdate(data.timestamp);
+    };
+
+    const closeFallbackStream = () => {
+      fallbackStreamRef.current?.close();
+      fallbackStreamRef.current = null;
+    };
+
+    // Stream the user's subscribed prices over Server-Sent Events until the socket connects again
+    const openFallbackStream = () => {
+      closeFallbackStream();
+      const source = streamService.openPriceStream(authService.getToken() || token);
+      fallbackStreamRef.current = source;
+
+      source.onopen = () => setStreamHealth('fallback');
+      source.addEventListener('price_update', (event) => {
+        const data = JSON.parse(event.data);
+        if (data?.ticker) applyPriceUpdate(data);
+      });
+      // The stream cannot take a new token - refreshing reopens it with one (see reauthenticate)
+      source.addEventListener('auth_required', (event) => {
+        const { code } = JSON.parse(event.data);
+        if (code === 'TOKEN_EXPIRING') {
+          authService.refreshToken().catch((error) => console.error('Token refresh failed:', error));
+        }
+      });
+      source.onerror = () => {
+        // The browser retries on its own unless the server refused the stream
+        if (source.readyState === EventSource.CLOSED && fallbackStreamRef.current === source) {
+          fallbackStreamRef.current = null;
+        }
+      };
+    };
+
+    // Hand the live connection a refreshed access token - no reconnect needed
+    const reauthenticate = (nextToken) => {
+      if (fallbackStreamRef.current && nextToken) openFallbackStream();
+      if (!newSocket.connected || !nextToken) return;
+      newSocket.emit('reauth', { token: nextToken }, (response) => {
+        if (response?.success) {
+          socketTokenRef.current = nextToken;
+        } else {
+          console.error('Socket re-authentication failed:', response?.message);
+        }
+      });
+    };
+
+    // Refresh the access token, then reconnect with it
+    const reconnectWithFreshToken = () => {
+      authService.refreshToken()
+        .then(() => newSocket.connect())
+        .catch((error) => console.error('Token refresh failed:', error));
+    };
+
+    tokenUnsubscribeRef.current?.();
+    tokenUnsubscribeRef.current = authService.onTokenRefresh(reauthenticate);
+
     newSocket.on('connect', () => {
       console.log('Socket connected');
+      sessionEndCodeRef.current = null;
+      connectFailuresRef.current = 0;
+      closeFallbackStream();
       setIsConnected(true);
+      if (viewingRef.current.length > 0) {
+        newSocket.emit('view_tickers', viewingRef.current);
+      }
     });
 
-    newSocket.on('disconnect', () => {
+    newSocket.on('disconnect', (reason) => {
       console.log('Socket disconnected');
       setIsConnected(false);
+      // Prices are stale until the missed ticks (or a new snapshot) arrive on reconnect.
+      // A replay ends with the connection, so its sequence cannot be resumed.
+      if (replayingRef.current) lastSeqRef.current = null;
+      snapshotPendingRef.current = false;
+      clearTimeout(recoveredTimerRef.current);
+      setStreamHealth('stale');
+      // The server ends the replay with the connection
+      setReplay(null);
+      // Active halts are sent again on reconnect
+      setHalts({});
+      // The server does not wait for a token that expired - come back with a fresh one
+      if (reason === 'io server disconnect' && sessionEndCodeRef.current === 'TOKEN_EXPIRED') {
+        reconnectWithFreshToken();
+      }
     });
 
     newSocket.on('connect_error', (error) => {
       console.error('Socket connection error:', error.message);
       setIsConnected(false);
+      if (error.data?.code === 'TOKEN_EXPIRED') {
+        reconnectWithFreshToken();
+        return;
+      }
+
+      // WebSockets (and long-polling) may be blocked - keep prices flowing over an
+      // event stream while Socket.io keeps retrying in the background
+      connectFailuresRef.current += 1;
+      if (connectFailuresRef.current >= FAILURES_BEFORE_FALLBACK && !fallbackStreamRef.current) {
+        openFallbackStream();
+      }
     });
 
-    // Handle initial snapshot with full stock data
+    // The server needs a new access token (TOKEN_EXPIRING) or has ended the session
+    // (TOKEN_EXPIRED, PASSWORD_CHANGED, ...) and is about to disconnect
+    newSocket.on('auth_required', (data) => {
+      if (data?.code !== 'TOKEN_EXPIRING') {
+        sessionEndCodeRef.current = data?.code || null;
+        return;
+      }
+
+      // Another request may already have refreshed the token
+      const storedToken = authService.getToken();
+      if (storedToken && storedToken !== socketTokenRef.current) {
+        reauthenticate(storedToken);
+        return;
+      }
+      // The refresh notifies reauthenticate with the new token
+      authService.refreshToken().catch((error) => console.error('Token refresh failed:', error));
+    });
+
+    // Handle snapshot with full stock data (baseline for the delta stream)
     newSocket.on('prices_snapshot', (data) => {
       console.log('Received prices_snapshot');
       if (data?.stocks && typeof data.stocks === 'object') {
         setStockData(data.stocks);
       }
+      if (typeof data?.seq === 'number') {
+        lastSeqRef.current = data.seq;
+      }
+      replayingRef.current = data?.mode === 'replay';
+      snapshotPendingRef.current = false;
+      clearTimeout(recoveredTimerRef.current);
+      setStreamHealth('live');
       if (data?.timestamp) {
         setLastUpdate(data.timestamp);
       }
     });
 
-    // Listen for ALL prices update (broadcasted to everyone - SYNCHRONIZED)
-    newSocket.on('all_prices_update', (data) => {
-      console.log('Received all_prices_update:', Object.keys(data?.stocks || {}).length, 'stocks');
-      if (data?.stocks && typeof data.stocks === 'object') {
-        setStockData(data.stocks);
-      }
-      if (data?.timestamp) {
-        setLastUpdate(data.timestamp);
+    // Ticks missed since the last applied sequence number, replayed in order
+    newSocket.on('prices_resync', (data) => {
+      if (typeof data?.seq !== 'number' || data.sinceSeq !== lastSeqRef.current) return;
+
+      lastSeqRef.current = data.seq;
+      snapshotPendingRef.current = false;
+      const deltas = data.deltas || [];
+      if (deltas.length > 0) {
+        setStockData((prev) => {
+          const next = { ...prev };
+          deltas.forEach(({ changes }) => {
+            Object.keys(changes || {}).forEach((ticker) => {
+              next[ticker] = applyTickerPatch(next[ticker], changes[ticker]);
+            });
+          });
+          return next;
+        });
+        const { timestamp } = deltas[deltas.length - 1];
+        if (timestamp) setLastUpdate(timestamp);
       }
+
+      setStreamHealth('recovered');
+      clearTimeout(recoveredTimerRef.current);
+      recoveredTimerRef.current = setTimeout(() => setStreamHealth('live'), RECOVERED_DISPLAY_MS);
     });
 
-    // Handle individual ticker updates
-    newSocket.on('price_update', (data) => {
-      if (data?.ticker) {
-        setStockData((prev) => ({
-          ...prev,
-          [data.ticker]: {
-            price: data.price,
-            change: data.change,
-            history: data.history || prev[data.ticker]?.history || []
+    // Apply changed fields only (broadcast to everyone - SYNCHRONIZED)
+    newSocket.on('prices_delta', (data) => {
+      if (typeof data?.seq !== 'number') return;
+
+      // Missed an update - discard and ask for the missing ticks (or a fresh snapshot)
+      const prevSeq = typeof data.prevSeq === 'number' ? data.prevSeq : data.seq - 1;
+      if (lastSeqRef.current === null || prevSeq !== lastSeqRef.current) {
+        const isGap = lastSeqRef.current === null || data.seq > lastSeqRef.current;
+        if (isGap && !snapshotPendingRef.current) {
+          snapshotPendingRef.current = true;
+          if (lastSeqRef.current === null || replayingRef.current) {
+            newSocket.emit('request_snapshot');
+          } else {
+            setStreamHealth('stale');
+            newSocket.emit('resync', { sinceSeq: lastSeqRef.current });
           }
-        }));
-        if (data.timestamp) setLastUpdate(data.timestamp);
+        }
+        return;
       }
+
+      lastSeqRef.current = data.seq;
+      const changes = data.changes || {};
+      if (Object.keys(changes).length > 0) {
+        setStockData((prev) => {
+          const next = { ...prev };
+          Object.keys(changes).forEach((ticker) => {
+            next[ticker] = applyTickerPatch(prev[ticker], changes[ticker]);
+          });
+          return next;
+        });
+      }
+      if (data.timestamp) setLastUpdate(data.timestamp);
+      // Replay deltas carry the recorded time - track it as the playback position
+      if (data.replay && data.timestamp) {
+        setReplay((prev) => (prev ? { ...prev, position: data.timestamp } : prev));
+      }
+    });
+
+    // Handle individual ticker updates (skipped when the delta stream already applied them)
+    newSocket.on('price_update', (data) => {
+      if (!data?.ticker) return;
+      if (typeof data.seq === 'number' && lastSeqRef.current !== null && data.seq <= lastSeqRef.current) return;
+      applyPriceUpdate(data);
+    });
+
+    // Depth ladder for tickers this connection subscribes to or views
+    newSocket.on('order_book', (book) => {
+      if (!book?.ticker) return;
+      setOrderBooks((prev) => ({ ...prev, [book.ticker]: book }));
+    });
+
+    // Time and sales prints for tickers this connection subscribes to or views
+    newSocket.on('trade', (trade) => {
+      if (!trade?.ticker) return;
+      setTrades((prev) => ({
+        ...prev,
+        [trade.ticker]: [trade, ...(prev[trade.ticker] || [])].slice(0, TAPE_LENGTH)
+      }));
     });
 
     newSocket.on('subscribed_stocks', (stocks) => {
@@ -89,21 +332,144 @@ export const useSocket = () => {
       }
     });
 
+    // Instrument catalog - sent on connect and whenever an admin lists, edits or delists a stock
+    newSocket.on('instruments', (list) => {
+      if (Array.isArray(list)) {
+        setInstruments(list);
+      }
+    });
+
+    // FX rates used to display prices in the user's currency
+    newSocket.on('fx_update', (data) => {
+      if (data?.rates) {
+        setFxRates(data);
+      }
+    });
+
+    // Replay started, paused, resumed, sought, re-speeded, ended or stopped
+    newSocket.on('replay_state', (state) => {
+      if (!state?.status) return;
+      setReplay(state.status === 'stopped' ? null : state);
+    });
+
+    // Circuit breaker tripped - sent for every active halt on connect, then as they happen
+    newSocket.on('halt', (halt) => {
+      if (!halt?.ticker) return;
+      setHalts((prev) => ({ ...prev, [halt.ticker]: halt }));
+    });
+
+    // Halted ticker trades again
+    newSocket.on('resume', (halt) => {
+      if (!halt?.ticker) return;
+      setHalts((prev) => {
+        const next = { ...prev };
+        delete next[halt.ticker];
+        return next;
+      });
+    });
+
+    // One of this user's orders was placed, triggered, filled, cancelled, expired or
+    // rejected (from any tab or device). Related orders arrive together - a fill and
+    // the sibling it cancels - so each is kept rather than only the latest.
+    newSocket.on('order_update', ({ position, ...order } = {}) => {
+      if (!order.id) return;
+      setOrderUpdates((prev) => ({ ...prev, [order.id]: order }));
+      if (position) setPositionUpdates((prev) => ({ ...prev, [position.ticker]: position }));
+    });
+
+    // The user's cash moved - a fill, deposit, withdrawal or dividend (from any tab or device)
+    newSocket.on('wallet_update', (wallet) => {
+      if (wallet) setWalletUpdate(wallet);
+    });
+
+    // Exchange session changes (pre-market, open, after hours, closed)
+    newSocket.on('market_status', (status) => {
+      if (status?.session) {
+        setMarketStatus(status);
+      }
+    });
+
     socketRef.current = newSocket;
     setSocket(newSocket);
   }, []);
 
   const disconnect = useCallback(() => {
+    tokenUnsubscribeRef.current?.();
+    tokenUnsubscribeRef.current = null;
+    fallbackStreamRef.current?.close();
+    fallbackStreamRef.current = null;
+    connectFailuresRef.current = 0;
     if (socketRef.current) {
       socketRef.current.disconnect();
       socketRef.current = null;
       setSocket(null);
       setIsConnected(false);
       setStockData({});
-      setSubscribedStocks([]);
+      setOrderBooks({});
+      setTrades({});
+      setReplay(null);
+      setHalts({});
+      setSubscribedStocks(null);
+      setInstruments(null);
+      // The next connection starts from a fresh snapshot
+      lastSeqRef.current = null;
+      clearTimeout(recoveredTimerRef.current);
+      setStreamHealth('live');
+    }
+  }, []);
+
+  // Switch this connection between the all-market and subscription-scoped streams
+  const setStreamMode = useCallback((mode) => {
+    if (streamModeRef.current === mode) return;
+    streamModeRef.current = mode;
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('set_stream_mode', mode);
+    }
+  }, []);
+
+  // Stream extra tickers while they are on screen (replaces the previous set)
+  const viewTickers = useCallback((tickers) => {
+    const next = Array.from(new Set(tickers || [])).sort();
+    if (next.join(',') === viewingRef.current.join(',')) return;
+    viewingRef.current = next;
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('view_tickers', next);
+    }
+  }, []);
+
+  // Subscribe / unsubscribe over the socket - resolves with the server acknowledgement
+  // ({ success, data } or { success: false, code, message })
+  const changeSubscription = useCallback(async (action, ticker) => {
+    if (!socketRef.current?.connected) {
+      throw new Error('Socket not connected');
+    }
+    return socketRef.current.timeout(5000).emitWithAck(action, { ticker });
+  }, []);
+
+  const subscribe = useCallback((ticker) => changeSubscription('subscribe', ticker), [changeSubscription]);
+  const unsubscribe = useCallback((ticker) => changeSubscription('unsubscribe', ticker), [changeSubscription]);
+
+  // Replay controls - resolve with the server acknowledgement ({ success, data: state } or { success: false, code, message })
+  const replayRequest = useCallback(async (event, payload = {}) => {
+    if (!socketRef.current?.connected) {
+      throw new Error('Socket not connected');
     }
+    const response = await socketRef.current.timeout(10000).emitWithAck(event, payload);
+    if (response?.success) {
+      setReplay(response.data && response.data.status !== 'stopped' ? response.data : null);
+    }
+    return response;
   }, []);
 
+  // Replay recorded prices for { from, to, speed } in place of the live stream
+  const startReplay = useCallback((options) => replayRequest('replay_start', options), [replayRequest]);
+  const playReplay = useCallback(() => replayRequest('replay_play'), [replayRequest]);
+  const pauseReplay = useCallback(() => replayRequest('replay_pause'), [replayRequest]);
+  const seekReplay = useCallback((time) => replayRequest('replay_seek', { time }), [replayRequest]);
+  const setReplaySpeed = useCallback((speed) => replayRequest('replay_speed', { speed }), [replayRequest]);
+  // Back to live prices
+  const stopReplay = useCallback(() => replayRequest('replay_stop'), [replayRequest]);
+
   const requestSubscriptionUpdate = useCallback(() => {
     if (socketRef.current?.connected) {
       socketRef.current.emit('update_subscriptions');
@@ -119,11 +485,32 @@ export const useSocket = () => {
   return {
     socket,
     isConnected,
-    stockData, // { ticker: { price, change, history } }
+    stockData, // { ticker: { price, change, bid, ask, history, display } }
     lastUpdate,
     subscribedStocks,
+    instruments,
+    marketStatus,
+    fxRates,
+    orderBooks,
+    trades,
+    replay,
+    halts,
+    orderUpdates,
+    positionUpdates,
+    walletUpdate,
+    streamHealth,
     connect,
     disconnect,
+    setStreamMode,
+    viewTickers,
+    subscribe,
+    unsubscribe,
+    startReplay,
+    playReplay,
+    pauseReplay,
+    seekReplay,
+    setReplaySpeed,
+    stopReplay,
     requestSubscriptionUpdate
   };
 };
@@ -40,124 +40,140 @@ import {
   CheckCircle,
   ShoppingCart,
   NotificationsActive,
+  History,
+  Edit,
+  AccountBalanceWallet,
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../hooks/useSocket';
-import { stockService } from '../services/api';
+import { useCurrency } from '../hooks/useCurrency';
+import {
+  stockService, instrumentService, marketService, tradingService, walletService
+} from '../services/api';
+import StockDetailDialog from '../components/StockDetailDialog';
+import ReplayDialog from '../components/ReplayDialog';
+import ReplayBar from '../components/ReplayBar';
+import OrderDialog from '../components/OrderDialog';
+import ModifyOrderDialog from '../components/ModifyOrderDialog';
+import WalletDialog from '../components/WalletDialog';
 
 // ==================== CONSTANTS ====================
 
-// USD to INR conversion rate
-const USD_TO_INR = 83.50;
-
-// Real-time stock prices (current market approximate prices in USD - Dec 2024)
-const INITIAL_STOCK_PRICES = {
-  AAPL: 193.42,
-  META: 591.55,
-  GOOG: 191.41,
-  TSLA: 389.22,
-  MSFT: 448.39,
-  NVDA: 138.25,
-  AMZN: 225.94,
-  NFLX: 919.92,
+// Display details for a stock from the instrument catalog (falls back to the bare ticker)
+const toStockInfo = (instrument) => ({
+  name: instrument.shortName || instrument.name || instrument.ticker,
+  fullName: instrument.name || instrument.ticker,
+  color: instrument.color || '#64748b',
+  logo: instrument.logo || `https://ui-avatars.com/api/?name=${instrument.ticker}&background=random&size=48`,
+  sector: instrument.sector || '',
+  basePrice: instrument.display?.basePrice ?? instrument.basePrice ?? 0,
+});
+
+// Cost of a filled order and its currency, for its notification
+const getFillCost = (order) => ({
+  totalCost: (order.display?.fillPrice ?? order.fillPrice) * order.quantity,
+  currency: order.display?.currency || 'USD',
+});
+
+// Time period options for chart
+// interval is the server candle size used to chart the period
+const TIME_PERIODS = [
+  { label: 'Today', value: 'today', days: 1, points: 30, interval: '5m' },
+  { label: 'Last 7 days', value: '7d', days: 7, points: 50, interval: '1h' },
+  { label: '1 Month', value: '1m', days: 30, points: 60, interval: '1d' },
+  { label: '1 Year', value: '1y', days: 365, points: 100, interval: '1d' },
+  { label: '5 Years', value: '5y', days: 1825, points: 120, interval: '1d' },
+];
+
+// Header chip styling per exchange session
+const MARKET_SESSION_STYLES = {
+  regular: { label: 'Market Open', chip: 'bg-green-50 text-green-700', dot: 'bg-green-500 animate-pulse' },
+  pre_market: { label: 'Pre-Market', chip: 'bg-amber-50 text-amber-700', dot: 'bg-amber-500 animate-pulse' },
+  post_market: { label: 'After Hours', chip: 'bg-amber-50 text-amber-700', dot: 'bg-amber-500 animate-pulse' },
+  closed: { label: 'Market Closed', chip: 'bg-gray-100 text-gray-600', dot: 'bg-gray-400' },
+  unknown: { label: 'Live', chip: 'bg-green-50 text-green-700', dot: 'bg-green-500 animate-pulse' },
 };
 
-// Stock info with company details and logos (using reliable CDN sources)
-const STOCK_INFO = {
-  AAPL: { 
-    name: 'Apple Inc', 
-    fullName: 'Apple Inc.',
-    color: '#555555',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/AAPL.webp',
-    sector: 'Technology',
-  },
-  META: { 
-    name: 'Meta', 
-    fullName: 'Meta Platforms Inc.',
-    color: '#0668E1',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/META.webp',
-    sector: 'Technology',
-  },
-  GOOG: { 
-    name: 'Google', 
-    fullName: 'Alphabet Inc.',
-    color: '#4285F4',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/GOOG.webp',
-    sector: 'Technology',
-  },
-  TSLA: { 
-    name: 'Tesla', 
-    fullName: 'Tesla Inc.',
-    color: '#CC0000',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/TSLA.webp',
-    sector: 'Automotive',
-  },
-  MSFT: { 
-    name: 'Microsoft', 
-    fullName: 'Microsoft Corporation',
-    color: '#00A4EF',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/MSFT.webp',
-    sector: 'Technology',
-  },
-  NVDA: { 
-    name: 'NVIDIA', 
-    fullName: 'NVIDIA Corporation',
-    color: '#76B900',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/NVDA.webp',
-    sector: 'Semiconductors',
+// Header chip shown while the price stream is not simply live
+// Orders shown in the order history
+const ORDER_HISTORY_LIMIT = 20;
+
+// Chip colours for order statuses
+const ORDER_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  open: 'bg-blue-50 text-blue-700',
+  partially_filled: 'bg-indigo-50 text-indigo-700',
+  filled: 'bg-green-50 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+  expired: 'bg-amber-50 text-amber-700',
+  rejected: 'bg-red-50 text-red-700'
+};
+
+const ORDER_LEG_LABELS = { take_profit: 'Take-profit', stop_loss: 'Stop-loss' };
+
+// Statuses an order can still be cancelled or modified in
+const LIVE_ORDER_STATUSES = ['pending', 'open', 'partially_filled'];
+
+// Orders in history order with each bracket's exits straight after their entry.
+// Returns [{ order, isChild }].
+const toOrderRows = (orders) => {
+  const ids = new Set(orders.map((order) => order.id));
+  const children = {};
+  orders.forEach((order) => {
+    if (order.parentOrderId && ids.has(order.parentOrderId)) {
+      (children[order.parentOrderId] = children[order.parentOrderId] || []).push(order);
+    }
+  });
+  return orders
+    .filter((order) => !order.parentOrderId || !ids.has(order.parentOrderId))
+    .flatMap((order) => [
+      { order, isChild: false },
+      ...(children[order.id] || []).map((child) => ({ order: child, isChild: true }))
+    ]);
+};
+
+const STREAM_HEALTH_STYLES = {
+  stale: {
+    label: 'Stale',
+    hint: 'Some price updates were missed - catching up',
+    chip: 'bg-red-50 text-red-700',
+    dot: 'bg-red-500 animate-pulse'
   },
-  AMZN: { 
-    name: 'Amazon', 
-    fullName: 'Amazon.com Inc.',
-    color: '#FF9900',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/AMZN.webp',
-    sector: 'E-Commerce',
+  recovered: {
+    label: 'Data recovered',
+    hint: 'Missed price updates were replayed - prices are current',
+    chip: 'bg-blue-50 text-blue-700',
+    dot: 'bg-blue-500'
   },
-  NFLX: { 
-    name: 'Netflix', 
-    fullName: 'Netflix Inc.',
-    color: '#E50914',
-    logo: 'https://companiesmarketcap.com/img/company-logos/64/NFLX.webp',
-    sector: 'Entertainment',
+  fallback: {
+    label: 'Fallback stream',
+    hint: 'Live connection unavailable - subscribed prices arrive over an event stream',
+    chip: 'bg-amber-50 text-amber-700',
+    dot: 'bg-amber-500 animate-pulse'
   },
 };
 
-// Supported stocks (per requirements)
-const SUPPORTED_STOCKS = ['AAPL', 'GOOG', 'TSLA', 'AMZN', 'META', 'NVDA', 'MSFT'];
-
-// Time period options for chart
-const TIME_PERIODS = [
-  { label: 'Today', value: 'today', days: 1, points: 30 },
-  { label: 'Last 7 days', value: '7d', days: 7, points: 50 },
-  { label: '1 Month', value: '1m', days: 30, points: 60 },
-  { label: '1 Year', value: '1y', days: 365, points: 100 },
-  { label: '5 Years', value: '5y', days: 1825, points: 120 },
-];
-
 // ==================== HELPER FUNCTIONS ====================
 
-// Format currency in INR
-const formatINR = (amount) => {
-  if (amount === undefined || amount === null || isNaN(amount)) return '₹0.00';
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  }).format(amount);
+// Describe when the market next opens or closes
+const getMarketStatusHint = (status) => {
+  if (!status) return 'Connecting to market data...';
+  const formatTime = (iso) => new Date(iso).toLocaleString('en-IN', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  if (status.isOpen && status.nextClose) return `Closes ${formatTime(status.nextClose)}`;
+  if (status.nextOpen) return `Opens ${formatTime(status.nextOpen)}`;
+  return 'Trading 24/7';
 };
 
-// Format large numbers in INR with K, L, Cr
-const formatINRCompact = (amount) => {
-  if (amount === undefined || amount === null || isNaN(amount)) return '₹0';
-  if (amount >= 10000000) {
-    return `₹${(amount / 10000000).toFixed(2)} Cr`;
-  } else if (amount >= 100000) {
-    return `₹${(amount / 100000).toFixed(2)} L`;
-  } else if (amount >= 1000) {
-    return `₹${(amount / 1000).toFixed(1)} K`;
-  }
-  return formatINR(amount);
+// Explain a circuit-breaker halt and when trading resumes
+const getHaltHint = (halt) => {
+  const resumes = new Date(halt.resumesAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+  return `Trading halted after a ${halt.percent}% move - resumes around ${resumes}`;
 };
 
 // Seeded random number generator for consistent patterns per stock
@@ -178,25 +194,29 @@ const tickerToSeed = (ticker) => {
   return seed;
 };
 
-// Stock-specific volatility and trend patterns - each stock has unique characteristics
+// Stock-specific chart shapes for seeded history - each stock has unique characteristics.
+// Real tick volatility and drift live on the server (Backend/services/priceModel.js).
 const STOCK_PATTERNS = {
-  AAPL: { volatility: 0.012, trend: 'steady', waveType: 'smooth', peakCount: 2, dip: 0.05 },
-  META: { volatility: 0.025, trend: 'recovery', waveType: 'vshape', peakCount: 1, dip: 0.15 },
-  GOOG: { volatility: 0.018, trend: 'wavy', waveType: 'sine', peakCount: 3, dip: 0.08 },
-  TSLA: { volatility: 0.045, trend: 'volatile', waveType: 'spiky', peakCount: 5, dip: 0.20 },
-  MSFT: { volatility: 0.010, trend: 'upward', waveType: 'stairs', peakCount: 4, dip: 0.03 },
-  NVDA: { volatility: 0.035, trend: 'bullish', waveType: 'exponential', peakCount: 2, dip: 0.12 },
-  AMZN: { volatility: 0.022, trend: 'correction', waveType: 'descending', peakCount: 3, dip: 0.18 },
-  NFLX: { volatility: 0.032, trend: 'ranging', waveType: 'zigzag', peakCount: 6, dip: 0.10 },
+  AAPL: { trend: 'steady', waveType: 'smooth', peakCount: 2, dip: 0.05 },
+  META: { trend: 'recovery', waveType: 'vshape', peakCount: 1, dip: 0.15 },
+  GOOG: { trend: 'wavy', waveType: 'sine', peakCount: 3, dip: 0.08 },
+  TSLA: { trend: 'volatile', waveType: 'spiky', peakCount: 5, dip: 0.20 },
+  MSFT: { trend: 'upward', waveType: 'stairs', peakCount: 4, dip: 0.03 },
+  NVDA: { trend: 'bullish', waveType: 'exponential', peakCount: 2, dip: 0.12 },
+  AMZN: { trend: 'correction', waveType: 'descending', peakCount: 3, dip: 0.18 },
+  NFLX: { trend: 'ranging', waveType: 'zigzag', peakCount: 6, dip: 0.10 },
 };
 
+// Relative noise added to each seeded history point
+const HISTORY_NOISE = 0.002;
+
 // Generate historical data based on time period with truly unique patterns per stock
 const generateHistoricalData = (currentPrice, period, ticker = 'AAPL') => {
   const { points, days } = period;
   const data = [];
   const seed = tickerToSeed(ticker) + days * 13; // Multiply by prime for more variation
   const random = seededRandom(seed);
-  const pattern = STOCK_PATTERNS[ticker] || { volatility: 0.02, trend: 'steady', waveType: 'smooth', peakCount: 2, dip: 0.1 };
+  const pattern = STOCK_PATTERNS[ticker] || { trend: 'steady', waveType: 'smooth', peakCount: 2, dip: 0.1 };
   
   // Each stock gets a completely different pattern shape
   const generatePatternValue = (i, total) => {
@@ -298,7 +318,7 @@ const generateHistoricalData = (currentPrice, period, ticker = 'AAPL') => {
     const basePrice = currentPrice - priceRange + (normalizedValue * priceRange * 2);
     
     // Add small random noise for realism (seeded)
-    const noise = (random() - 0.5) * currentPrice * pattern.volatility * 0.1;
+    const noise = (random() - 0.5) * currentPrice * HISTORY_NOISE;
     
     let price = basePrice + noise;
     price = Math.max(price, currentPrice * 0.1); // Floor at 10% of current
@@ -323,7 +343,8 @@ const generateHistoricalData = (currentPrice, period, ticker = 'AAPL') => {
 };
 
 // LocalStorage keys for persistence
-const STORAGE_KEY_HISTORY = 'stockBroker_priceHistory';
+// Saved prices are in USD (v2) - older saves held INR and are ignored
+const STORAGE_KEY_HISTORY = 'stockBroker_priceHistory_v2';
 const STORAGE_KEY_TIMESTAMP = 'stockBroker_historyTimestamp';
 
 // Save price history to localStorage
@@ -337,13 +358,12 @@ const savePriceHistory = (history) => {
 };
 
 // Initialize price history with unique patterns immediately
-const initializePriceHistory = (period) => {
+const initializePriceHistory = (period, instruments) => {
   const history = {};
   const changes = {};
   
-  SUPPORTED_STOCKS.forEach(ticker => {
-    const priceINR = INITIAL_STOCK_PRICES[ticker] * USD_TO_INR;
-    history[ticker] = generateHistoricalData(priceINR, period, ticker);
+  instruments.forEach(({ ticker, basePrice, display }) => {
+    history[ticker] = generateHistoricalData(display?.basePrice ?? basePrice, period, ticker);
     
     const tickerHistory = history[ticker];
     if (tickerHistory.length >= 2) {
@@ -362,7 +382,7 @@ const initializePriceHistory = (period) => {
 };
 
 // Try to load saved history for a specific period
-const loadSavedHistoryForPeriod = (period) => {
+const loadSavedHistoryForPeriod = (period, tickers) => {
   try {
     const savedHistory = localStorage.getItem(STORAGE_KEY_HISTORY);
     const savedTimestamp = localStorage.getItem(STORAGE_KEY_TIMESTAMP);
@@ -375,7 +395,7 @@ const loadSavedHistoryForPeriod = (period) => {
       // Use saved data if less than 1 hour old and same period
       if (age < 60 * 60 * 1000) {
         const parsed = JSON.parse(savedHistory);
-        const hasAllStocks = SUPPORTED_STOCKS.every(ticker => 
+        const hasAllStocks = tickers.every(ticker => 
           parsed[ticker] && parsed[ticker].length >= 2
         );
         
@@ -392,6 +412,15 @@ const loadSavedHistoryForPeriod = (period) => {
 
 // ==================== COMPONENTS ====================
 
+// Badge for a ticker halted by a circuit breaker
+const HaltBadge = ({ halt }) => (
+  <Tooltip title={getHaltHint(halt)}>
+    <span className="text-[10px] bg-red-100 text-red-700 px-1.5 py-0.5 rounded-full font-semibold">
+      HALTED
+    </span>
+  </Tooltip>
+);
+
 // Mini sparkline chart component with unique styles per stock
 const MiniChart = ({ data, isPositive, width = 80, height = 32, ticker = '' }) => {
   if (!data || data.length < 2) return null;
@@ -477,7 +506,8 @@ const MiniChart = ({ data, isPositive, width = 80, height = 32, ticker = '' }) =
 };
 
 // Interactive Investment Chart with tooltip
-const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
+// `benchmark` optionally overlays a second series - one value (or null) per data point
+const InvestmentChart = ({ data, benchmark, benchmarkLabel, hoveredPoint, onHover, period, formatMoney, formatMoneyCompact }) => {
   const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 600, height: 280 });
   
@@ -523,7 +553,8 @@ const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
   const chartWidth = width - padding.left - padding.right;
   const chartHeight = height - padding.top - padding.bottom;
   
-  const prices = data.map(d => d.price);
+  const benchmarkValues = (benchmark || []).filter((value) => value !== null);
+  const prices = [...data.map(d => d.price), ...benchmarkValues];
   const min = Math.min(...prices) * 0.98;
   const max = Math.max(...prices) * 1.02;
   const range = max - min || 1;
@@ -533,6 +564,9 @@ const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
   
   const points = data.map((d, index) => `${getX(index)},${getY(d.price)}`).join(' ');
   const areaPoints = `${padding.left},${padding.top + chartHeight} ${points} ${padding.left + chartWidth},${padding.top + chartHeight}`;
+  const benchmarkPoints = benchmark
+    ? data.map((d, index) => (benchmark[index] !== null ? `${getX(index)},${getY(benchmark[index])}` : null)).filter(Boolean).join(' ')
+    : '';
   
   // Y-axis labels
   const yLabels = [0, 0.25, 0.5, 0.75, 1].map(ratio => ({
@@ -633,7 +667,7 @@ const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
               fontSize="11"
               fill="#9ca3af"
             >
-              {formatINRCompact(label.value)}
+              {formatMoneyCompact(label.value)}
             </text>
           </g>
         ))}
@@ -668,6 +702,19 @@ const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
           strokeLinejoin="round"
         />
         
+        {/* Benchmark overlay */}
+        {benchmarkPoints && (
+          <polyline
+            points={benchmarkPoints}
+            fill="none"
+            stroke="#f59e0b"
+            strokeWidth="2"
+            strokeDasharray="6,4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        )}
+        
         {/* Hover indicator */}
         {hoveredPoint && (
           <>
@@ -724,8 +771,13 @@ const InvestmentChart = ({ data, hoveredPoint, onHover, period }) => {
             })}
           </Typography>
           <Typography variant="body1" className="font-bold text-gray-800">
-            {formatINR(hoveredPoint.price)}
+            {formatMoney(hoveredPoint.price)}
           </Typography>
+          {typeof benchmark?.[hoveredPoint.index] === 'number' && (
+            <Typography variant="caption" className="block" sx={{ color: '#d97706' }}>
+              {benchmarkLabel}: {formatMoney(benchmark[hoveredPoint.index])}
+            </Typography>
+          )}
         </div>
       )}
     </div>
@@ -744,29 +796,59 @@ const menuItems = [
 const DashboardPage = () => {
   const navigate = useNavigate();
   const { user, logout } = useAuth();
-  const { isConnected, stockData, connect, disconnect, requestSubscriptionUpdate } = useSocket();
+  const {
+    isConnected,
+    stockData,
+    marketStatus,
+    orderBooks,
+    trades,
+    fxRates,
+    connect,
+    disconnect,
+    subscribedStocks: liveSubscribedStocks,
+    instruments: liveInstruments,
+    setStreamMode,
+    viewTickers,
+    subscribe,
+    unsubscribe,
+    replay,
+    halts,
+    orderUpdates,
+    positionUpdates,
+    walletUpdate,
+    streamHealth,
+    startReplay,
+    playReplay,
+    pauseReplay,
+    seekReplay,
+    setReplaySpeed,
+    stopReplay
+  } = useSocket();
+  // While a replay runs, stockData holds replayed prices rather than the live market
+  const replayActive = Boolean(replay);
+  // Prices, positions and cash arrive with their amounts in the display currency under
+  // `display` - those are what is shown. Order entry, depth and trades stay in USD.
+  const { currency, currencies, formatMoney, formatMoneyCompact, setCurrency } = useCurrency(fxRates);
+  const formatUsd = useCallback((amount) => formatMoney(amount, 'USD'), [formatMoney]);
   
   // State
   const [subscribedStocks, setSubscribedStocks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
-  const [stockPrices, setStockPrices] = useState(INITIAL_STOCK_PRICES);
+  const [instruments, setInstruments] = useState([]); // Listed stocks from the instrument catalog
+  const [stockPrices, setStockPrices] = useState({});
   const [selectedPeriod, setSelectedPeriod] = useState(TIME_PERIODS[0]); // Default to Today
   
-  // Initialize price history and changes immediately with unique data per stock
+  // Price history and changes per stock - generated once the instrument catalog loads
   // Always generate fresh data - seeded random ensures consistency per stock
-  const [priceHistory, setPriceHistory] = useState(() => {
-    const defaultPeriod = TIME_PERIODS[0];
-    return initializePriceHistory(defaultPeriod).history;
-  });
-  
-  const [priceChanges, setPriceChanges] = useState(() => {
-    const defaultPeriod = TIME_PERIODS[0];
-    return initializePriceHistory(defaultPeriod).changes;
-  });
+  const [priceHistory, setPriceHistory] = useState({});
+  const [priceChanges, setPriceChanges] = useState({});
   
   const [investmentHistory, setInvestmentHistory] = useState([]);
+  const [marketIndex, setMarketIndex] = useState(null); // { ticker, name, weighting } of the composite benchmark
+  const [showBenchmark, setShowBenchmark] = useState(false); // Overlay the index on the investment chart
+  const indexTicker = marketIndex?.ticker;
   const [periodAnchorEl, setPeriodAnchorEl] = useState(null);
   const [hoveredChartPoint, setHoveredChartPoint] = useState(null);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(true); // Default collapsed on mobile
@@ -775,8 +857,17 @@ const DashboardPage = () => {
   const [activeMenu, setActiveMenu] = useState('dashboard');
   const [userMenuAnchor, setUserMenuAnchor] = useState(null);
   const [notificationsOpen, setNotificationsOpen] = useState(false);
+  const [replayDialogOpen, setReplayDialogOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchFocused, setSearchFocused] = useState(false);
+  const [detailTicker, setDetailTicker] = useState(null); // Ticker whose market depth is open
+  const [positions, setPositions] = useState([]); // Open paper-trading positions
+  const [orders, setOrders] = useState([]); // Recent orders, newest first
+  const [orderTicker, setOrderTicker] = useState(null); // Ticker whose order ticket is open
+  const [modifyingOrder, setModifyingOrder] = useState(null); // Order being modified
+  const [wallet, setWallet] = useState(null); // { currency, balance, updatedAt } virtual cash
+  const [walletOpen, setWalletOpen] = useState(false);
+  const [cancellingOrderId, setCancellingOrderId] = useState(null); // Order whose cancel is in flight
   
   // Notifications state
   const [notifications, setNotifications] = useState(() => {
@@ -784,6 +875,8 @@ const DashboardPage = () => {
     return saved ? JSON.parse(saved) : [];
   });
   const lastPriceCheckRef = useRef({});
+  const candleTickersRef = useRef(new Set()); // Tickers currently charted from server candles
+  const announcedOrdersRef = useRef(new Set()); // `${id}:${status}` of resting order outcomes already announced
 
   // Save notifications to localStorage
   useEffect(() => {
@@ -826,6 +919,40 @@ const DashboardPage = () => {
   // Get unread count
   const unreadCount = useMemo(() => notifications.filter(n => !n.read).length, [notifications]);
 
+  // Listed tickers and their display details
+  const supportedStocks = useMemo(() => instruments.map((instrument) => instrument.ticker), [instruments]);
+  const stockInfo = useMemo(() => {
+    const info = {};
+    instruments.forEach((instrument) => {
+      info[instrument.ticker] = toStockInfo(instrument);
+    });
+    return info;
+  }, [instruments]);
+  const getStockInfo = useCallback((ticker) => stockInfo[ticker] || toStockInfo({ ticker }), [stockInfo]);
+
+  // Tickers matching the search box
+  const searchMatches = useMemo(() => {
+    const query = searchQuery.toLowerCase();
+    if (!query) return [];
+    return supportedStocks.filter(ticker =>
+      ticker.toLowerCase().includes(query) ||
+      stockInfo[ticker].name.toLowerCase().includes(query) ||
+      stockInfo[ticker].fullName.toLowerCase().includes(query)
+    );
+  }, [searchQuery, supportedStocks, stockInfo]);
+
+  // Stream the whole market on the Stock Lists view, otherwise only subscribed tickers
+  useEffect(() => {
+    setStreamMode(activeMenu === 'stocks' ? 'all' : 'subscribed');
+  }, [activeMenu, setStreamMode]);
+
+  // Also stream the tickers shown in the search dropdown and the open depth dialog
+  useEffect(() => {
+    const viewing = searchFocused ? [...searchMatches] : [];
+    if (detailTicker) viewing.push(detailTicker);
+    viewTickers(viewing);
+  }, [searchFocused, searchMatches, detailTicker, viewTickers]);
+
   // Set sidebar open on desktop by default
   useEffect(() => {
     const handleResize = () => {
@@ -851,28 +978,33 @@ const DashboardPage = () => {
   // Price change notifications for subscribed stocks
   useEffect(() => {
     const checkPriceChanges = () => {
+      // Replayed prices are history - nothing to notify about
+      if (replayActive) return;
+
       subscribedStocks.forEach(ticker => {
-        if (stockPrices[ticker]) {
-          const currentPriceINR = stockPrices[ticker] * USD_TO_INR;
+        if (stockData[ticker]?.price) {
+          // Measured on the USD price, so switching currency is not a price change
+          const marketPrice = stockData[ticker].price;
           const lastCheck = lastPriceCheckRef.current[ticker];
           
           if (lastCheck) {
-            const priceChange = ((currentPriceINR - lastCheck) / lastCheck) * 100;
+            const priceChange = ((marketPrice - lastCheck) / lastCheck) * 100;
             // Only notify if price change is significant (> 1%)
             if (Math.abs(priceChange) > 1) {
               const isIncrease = priceChange > 0;
               addNotification({
                 type: 'price_change',
                 ticker,
-                stockName: STOCK_INFO[ticker]?.name || ticker,
-                message: `${STOCK_INFO[ticker]?.name || ticker} has ${isIncrease ? 'increased' : 'decreased'} by ${Math.abs(priceChange).toFixed(2)}%`,
+                stockName: getStockInfo(ticker).name,
+                message: `${getStockInfo(ticker).name} has ${isIncrease ? 'increased' : 'decreased'} by ${Math.abs(priceChange).toFixed(2)}%`,
                 priceChange: priceChange.toFixed(2),
-                currentPrice: currentPriceINR,
+                currentPrice: stockData[ticker].display?.price ?? marketPrice,
+                currency: stockData[ticker].display?.currency || 'USD',
                 isPositive: isIncrease
               });
             }
           }
-          lastPriceCheckRef.current[ticker] = currentPriceINR;
+          lastPriceCheckRef.current[ticker] = marketPrice;
         }
       });
     };
@@ -881,7 +1013,7 @@ const DashboardPage = () => {
     const priceCheckInterval = setInterval(checkPriceChanges, 300000);
     
     return () => clearInterval(priceCheckInterval);
-  }, [subscribedStocks, stockPrices, addNotification]);
+  }, [subscribedStocks, stockData, addNotification, getStockInfo, replayActive]);
   
   // Subscription dialog state removed - using inline actions
 
@@ -904,17 +1036,58 @@ const DashboardPage = () => {
 
   // Update price history when period changes - always generate unique data immediately
   useEffect(() => {
+    let cancelled = false;
+
     // Always generate fresh unique data for each stock when period changes
     // This ensures immediate visual difference between stocks
-    const { history, changes } = initializePriceHistory(selectedPeriod);
+    const { history, changes } = initializePriceHistory(selectedPeriod, instruments);
     
+    candleTickersRef.current = new Set();
     setPriceHistory(history);
     setPriceChanges(changes);
     savePriceHistory(history);
     localStorage.setItem('stockBroker_selectedPeriod', selectedPeriod.value);
-  }, [selectedPeriod]);
 
-  // Update prices from Socket.io - use synchronized server data
+    // Replace seeded data with real server candles wherever the server has recorded enough bars.
+    // During a replay the charts follow the replayed prices instead; candles reload once it ends.
+    const loadCandles = async () => {
+      if (replayActive) return;
+
+      // The composite index is charted from its candles too
+      const tickers = instruments.map(({ ticker }) => ticker).concat(indexTicker ? [indexTicker] : []);
+      const from = Date.now() - selectedPeriod.days * 24 * 60 * 60 * 1000;
+      const results = await Promise.allSettled(
+        tickers.map((ticker) => stockService.getCandles(ticker, selectedPeriod.interval, from))
+      );
+      if (cancelled) return;
+
+      const candleHistory = {};
+      results.forEach((result, index) => {
+        const candles = result.status === 'fulfilled' ? result.value?.data?.candles : null;
+        if (candles && candles.length >= 2) {
+          candleHistory[tickers[index]] = candles.map((candle) => ({
+            price: candle.display?.close ?? candle.close,
+            timestamp: candle.time
+          }));
+        }
+      });
+
+      candleTickersRef.current = new Set(Object.keys(candleHistory));
+      if (Object.keys(candleHistory).length > 0) {
+        setPriceHistory(prev => ({ ...prev, ...candleHistory }));
+      }
+    };
+    loadCandles();
+
+    // The server re-sends the instruments when the display currency changes, so the
+    // charts reload in the new currency
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPeriod, instruments, indexTicker, replayActive]);
+
+  // Update prices from Socket.io - use synchronized server data, in the display
+  // currency (the composite index is a level and has no display price)
   useEffect(() => {
     if (stockData && Object.keys(stockData).length > 0) {
       // Update stock prices from socket (server sends synchronized data)
@@ -922,7 +1095,7 @@ const DashboardPage = () => {
         const newPrices = { ...prev };
         Object.keys(stockData).forEach(ticker => {
           if (stockData[ticker]?.price) {
-            newPrices[ticker] = stockData[ticker].price;
+            newPrices[ticker] = stockData[ticker].display?.price ?? stockData[ticker].price;
           }
         });
         return newPrices;
@@ -937,7 +1110,7 @@ const DashboardPage = () => {
             newChanges[ticker] = {
               percent: change,
               isPositive: change >= 0,
-              value: (stockData[ticker].price * USD_TO_INR) * (change / 100)
+              value: (stockData[ticker].display?.price ?? stockData[ticker].price) * (change / 100)
             };
           }
         });
@@ -948,11 +1121,20 @@ const DashboardPage = () => {
       setPriceHistory(prev => {
         const newHistory = { ...prev };
         Object.keys(stockData).forEach(ticker => {
-          if (stockData[ticker]?.history && stockData[ticker].history.length > 0) {
+          const quote = stockData[ticker];
+          const history = quote?.display?.history ?? quote?.history;
+          if (candleTickersRef.current.has(ticker) && prev[ticker]?.length > 0 && quote?.price) {
+            // Charted from candles - move the latest bar's close with the live price
+            const bars = prev[ticker];
+            newHistory[ticker] = [
+              ...bars.slice(0, -1),
+              { ...bars[bars.length - 1], price: quote.display?.price ?? quote.price }
+            ];
+          } else if (history && history.length > 0) {
             // Convert server history to our format
-            newHistory[ticker] = stockData[ticker].history.map((price, index) => ({
-              price: price * USD_TO_INR,
-              timestamp: Date.now() - (stockData[ticker].history.length - index) * 1000
+            newHistory[ticker] = history.map((price, index) => ({
+              price,
+              timestamp: Date.now() - (history.length - index) * 1000
             }));
           }
         });
@@ -1011,6 +1193,25 @@ const DashboardPage = () => {
     setInvestmentHistory(history);
   }, [priceHistory, subscribedStocks]);
 
+  // Composite index rebased to the investment line's value where the two first overlap,
+  // taking the latest index level at or before each point in time
+  const benchmarkHistory = useMemo(() => {
+    const indexHistory = indexTicker ? priceHistory[indexTicker] : null;
+    if (!showBenchmark || !indexHistory?.length || investmentHistory.length < 2) return null;
+
+    const toTime = (timestamp) => new Date(timestamp).getTime();
+    let cursor = -1;
+    let base = null;
+    return investmentHistory.map((point) => {
+      while (cursor + 1 < indexHistory.length && toTime(indexHistory[cursor + 1].timestamp) <= toTime(point.timestamp)) {
+        cursor += 1;
+      }
+      if (cursor < 0) return null;
+      if (!base) base = { level: indexHistory[cursor].price, value: point.price };
+      return base.value * (indexHistory[cursor].price / base.level);
+    });
+  }, [showBenchmark, indexTicker, priceHistory, investmentHistory]);
+
   // Fetch subscribed stocks
   const fetchSubscribedStocks = useCallback(async () => {
     console.log('Fetching subscribed stocks...');
@@ -1037,38 +1238,251 @@ const DashboardPage = () => {
     return () => disconnect();
   }, [fetchSubscribedStocks, connect, disconnect]);
 
-  // Toggle subscription (subscribe/unsubscribe)
+  // Load the instrument catalog
+  useEffect(() => {
+    const fetchInstruments = async () => {
+      try {
+        const response = await instrumentService.getInstruments();
+        if (response?.success) {
+          setInstruments(response.data || []);
+        }
+      } catch (e) {
+        console.error('Error fetching instruments:', e);
+      }
+    };
+    fetchInstruments();
+  }, []);
+
+  // Load the composite index the dashboard benchmarks against
+  useEffect(() => {
+    const fetchMarketIndex = async () => {
+      try {
+        const response = await marketService.getIndex();
+        if (response?.success) {
+          setMarketIndex(response.data);
+        }
+      } catch (e) {
+        console.error('Error fetching market index:', e);
+      }
+    };
+    fetchMarketIndex();
+  }, []);
+
+  // Listings added, edited or removed by an admin arrive over the socket
+  useEffect(() => {
+    if (Array.isArray(liveInstruments)) {
+      setInstruments(liveInstruments);
+    }
+  }, [liveInstruments]);
+
+  // Subscription changes made from any tab arrive over the socket
+  useEffect(() => {
+    if (Array.isArray(liveSubscribedStocks)) {
+      setSubscribedStocks(liveSubscribedStocks);
+    }
+  }, [liveSubscribedStocks]);
+
+  // Open positions and recent orders - loaded for each display currency, then kept
+  // current by order updates
+  useEffect(() => {
+    tradingService.getPositions()
+      .then((response) => {
+        if (response?.success) setPositions(response.data || []);
+      })
+      .catch((error) => console.error('Error loading positions:', error));
+    tradingService.getOrders(undefined, ORDER_HISTORY_LIMIT)
+      .then((response) => {
+        if (response?.success) setOrders(response.data || []);
+      })
+      .catch((error) => console.error('Error loading orders:', error));
+    walletService.getWallet()
+      .then((response) => {
+        if (response?.success) setWallet(response.data);
+      })
+      .catch((error) => console.error('Error loading wallet:', error));
+  }, [currency]);
+
+  // Cash moved (here or in another tab) - fills, transfers and dividends
+  useEffect(() => {
+    if (walletUpdate) setWallet(walletUpdate);
+  }, [walletUpdate]);
+
+  // Orders filled (here or in another tab) - take their updated positions
+  useEffect(() => {
+    const updated = Object.values(positionUpdates);
+    if (updated.length === 0) return;
+    setPositions((prev) => {
+      const byTicker = Object.fromEntries(prev.map((position) => [position.ticker, position]));
+      updated.forEach((position) => {
+        byTicker[position.ticker] = position;
+      });
+      return Object.values(byTicker)
+        .filter((position) => position.quantity > 0)
+        .sort((a, b) => a.ticker.localeCompare(b.ticker));
+    });
+  }, [positionUpdates]);
+
+  // Orders placed or changed (here or in another tab) - newest first
+  useEffect(() => {
+    const updated = Object.values(orderUpdates);
+    if (updated.length === 0) return;
+    setOrders((prev) => {
+      const byId = Object.fromEntries(prev.map((order) => [order.id, order]));
+      updated.forEach((order) => {
+        byId[order.id] = order;
+      });
+      return Object.values(byId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, ORDER_HISTORY_LIMIT);
+    });
+  }, [orderUpdates]);
+
+  // Resting orders fill, expire or are rejected on the server - announce how they ended.
+  // Cancellations follow from a sibling filling, which is announced instead.
+  useEffect(() => {
+    Object.values(orderUpdates).forEach((order) => {
+      if (order.type === 'market' || !['filled', 'expired', 'rejected'].includes(order.status)) return;
+      const key = `${order.id}:${order.status}`;
+      if (announcedOrdersRef.current.has(key)) return;
+      announcedOrdersRef.current.add(key);
+
+      const label = `${order.type.replace('_', '-')} ${order.side} for ${order.quantity} ${order.ticker}`;
+      if (order.status === 'filled') {
+        addNotification({
+          type: order.side === 'buy' ? 'purchase' : 'sale',
+          ticker: order.ticker,
+          stockName: getStockInfo(order.ticker).name,
+          message: `Your ${label} filled at ${order.fillPrice}`,
+          ...getFillCost(order),
+          isPositive: true
+        });
+        setSnackbar({ open: true, message: `Your ${label} filled at ${order.fillPrice}`, severity: 'success' });
+      } else {
+        setSnackbar({
+          open: true,
+          message: order.status === 'expired'
+            ? `Your ${label} expired at the close`
+            : `Your ${label} was rejected: ${order.rejectReason}`,
+          severity: 'warning'
+        });
+      }
+    });
+  }, [orderUpdates, addNotification, getStockInfo]);
+
+  // Place an order from the order ticket
+  const handlePlaceOrder = async (order) => {
+    try {
+      const response = order.legs
+        ? await tradingService.placeOcoOrder(order)
+        : await tradingService.placeOrder(order);
+      if (response?.success) {
+        setOrderTicker(null);
+        const placed = response.data.order || response.data.orders[0];
+        // Resting orders are announced when they fill
+        if (placed.status === 'filled') {
+          addNotification({
+            type: placed.side === 'buy' ? 'purchase' : 'sale',
+            ticker: placed.ticker,
+            stockName: getStockInfo(placed.ticker).name,
+            message: response.message,
+            ...getFillCost(placed),
+            isPositive: true
+          });
+        }
+        setSnackbar({ open: true, message: response.message, severity: 'success' });
+      } else {
+        setSnackbar({ open: true, message: response?.message || 'Order failed', severity: 'error' });
+      }
+    } catch (error) {
+      console.error('Error placing order:', error);
+      setSnackbar({ open: true, message: error.response?.data?.message || 'Order failed', severity: 'error' });
+    }
+  };
+
+  // Simulated deposit or withdrawal from the wallet dialog
+  const handleTransfer = async (action, amount) => {
+    try {
+      const response = await walletService[action](amount);
+      setWallet(response.data.wallet);
+      setSnackbar({ open: true, message: response.message, severity: 'success' });
+    } catch (error) {
+      console.error(`Error with ${action}:`, error);
+      setSnackbar({ open: true, message: error.response?.data?.message || 'Transfer failed', severity: 'error' });
+    }
+  };
+
+  // Cancel a resting order - the order list catches up through its order updates
+  const handleCancelOrder = async (order) => {
+    setCancellingOrderId(order.id);
+    try {
+      const response = await tradingService.cancelOrder(order.id);
+      setSnackbar({ open: true, message: response.message, severity: 'success' });
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      setSnackbar({ open: true, message: error.response?.data?.message || 'Could not cancel the order', severity: 'error' });
+    } finally {
+      setCancellingOrderId(null);
+    }
+  };
+
+  // Change a resting order's quantity or prices from the modify dialog
+  const handleModifyOrder = async (order, changes) => {
+    try {
+      const response = await tradingService.modifyOrder(order.id, changes);
+      setModifyingOrder(null);
+      setSnackbar({ open: true, message: response.message, severity: 'success' });
+    } catch (error) {
+      console.error('Error modifying order:', error);
+      setSnackbar({ open: true, message: error.response?.data?.message || 'Could not modify the order', severity: 'error' });
+    }
+  };
+
+  // Toggle subscription (subscribe/unsubscribe) - over the socket, falling back to REST
   const handleSubscriptionToggle = async (ticker) => {
     console.log('handleSubscriptionToggle called for:', ticker);
+    // Halted tickers take no actions until trading resumes
+    if (halts[ticker]) {
+      setSnackbar({ open: true, message: getHaltHint(halts[ticker]), severity: 'warning' });
+      return;
+    }
     setActionLoading(ticker);
     try {
       const isSubscribed = subscribedStocks.includes(ticker);
       console.log('isSubscribed:', isSubscribed);
-      const response = isSubscribed
-        ? await stockService.unsubscribe(ticker)
-        : await stockService.subscribe(ticker);
+      let response;
+      if (isConnected) {
+        response = isSubscribed ? await unsubscribe(ticker) : await subscribe(ticker);
+      } else {
+        response = isSubscribed
+          ? await stockService.unsubscribe(ticker)
+          : await stockService.subscribe(ticker);
+      }
 
       console.log('Response:', response);
       if (response?.success) {
         setSubscribedStocks(response.data || []);
-        requestSubscriptionUpdate();
         
         // Add notification
         addNotification({
           type: isSubscribed ? 'unsubscribe' : 'subscribe',
           ticker,
-          stockName: STOCK_INFO[ticker]?.name || ticker,
-          message: `You ${isSubscribed ? 'unsubscribed from' : 'subscribed to'} ${STOCK_INFO[ticker]?.name || ticker}`,
+          stockName: getStockInfo(ticker).name,
+          message: `You ${isSubscribed ? 'unsubscribed from' : 'subscribed to'} ${getStockInfo(ticker).name}`,
           isPositive: !isSubscribed
         });
         
         setSnackbar({
           open: true,
-          message: isSubscribed ? `Unsubscribed from ${STOCK_INFO[ticker]?.name}` : `Subscribed to ${STOCK_INFO[ticker]?.name}`,
+          message: isSubscribed ? `Unsubscribed from ${getStockInfo(ticker).name}` : `Subscribed to ${getStockInfo(ticker).name}`,
           severity: 'success'
         });
       } else {
         console.error('Response not successful:', response);
+        setSnackbar({
+          open: true,
+          message: response?.message || 'Subscription update failed',
+          severity: 'error'
+        });
       }
     } catch (error) {
       console.error('Error in handleSubscriptionToggle:', error);
@@ -1082,6 +1496,64 @@ const DashboardPage = () => {
     }
   };
 
+  // Replay recorded prices for a time range in place of the live stream
+  const handleStartReplay = async (options) => {
+    try {
+      const response = await startReplay(options);
+      if (response?.success) {
+        setReplayDialogOpen(false);
+        await playReplay();
+      } else {
+        setSnackbar({ open: true, message: response?.message || 'Failed to start replay', severity: 'error' });
+      }
+    } catch (error) {
+      console.error('Error starting replay:', error);
+      setSnackbar({ open: true, message: 'Failed to start replay', severity: 'error' });
+    }
+  };
+
+  // Run a control from the replay bar
+  const handleReplayAction = async (action, value) => {
+    const controls = {
+      play: playReplay,
+      pause: pauseReplay,
+      seek: seekReplay,
+      speed: setReplaySpeed,
+      stop: stopReplay
+    };
+
+    try {
+      const response = await controls[action](value);
+      if (!response?.success) {
+        setSnackbar({ open: true, message: response?.message || 'Replay control failed', severity: 'error' });
+      } else if (action === 'stop') {
+        setSnackbar({ open: true, message: 'Back to live prices', severity: 'success' });
+      }
+    } catch (error) {
+      console.error(`Error in replay ${action}:`, error);
+      setSnackbar({ open: true, message: 'Replay control failed', severity: 'error' });
+    }
+  };
+
+  // Save the display currency to the user's profile
+  const handleCurrencyChange = async (code) => {
+    try {
+      const response = await setCurrency(code);
+      setSnackbar({
+        open: true,
+        message: response?.success ? `Prices now shown in ${code}` : response?.message || 'Failed to update currency',
+        severity: response?.success ? 'success' : 'error'
+      });
+    } catch (error) {
+      console.error('Error updating currency:', error);
+      setSnackbar({
+        open: true,
+        message: error.response?.data?.message || 'Failed to update currency',
+        severity: 'error'
+      });
+    }
+  };
+
   // Logout
   const handleLogout = () => {
     disconnect();
@@ -1094,7 +1566,7 @@ const DashboardPage = () => {
     let totalValue = 0;
     
     subscribedStocks.forEach((ticker) => {
-      totalValue += (stockPrices[ticker] || INITIAL_STOCK_PRICES[ticker]) * USD_TO_INR;
+      totalValue += stockPrices[ticker] || getStockInfo(ticker).basePrice;
     });
     
     return {
@@ -1102,7 +1574,9 @@ const DashboardPage = () => {
       totalValue,
       activeUpdates: subscribedStocks.length
     };
-  }, [subscribedStocks, stockPrices]);
+  }, [subscribedStocks, stockPrices, getStockInfo]);
+
+  const sessionStyle = MARKET_SESSION_STYLES[marketStatus?.session] || MARKET_SESSION_STYLES.unknown;
 
   // Portfolio stocks (first 4 for cards)
   const portfolioStocks = useMemo(() => {
@@ -1262,12 +1736,7 @@ const DashboardPage = () => {
                   className="absolute top-full left-0 right-0 mt-2 bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden z-50"
                   sx={{ maxHeight: 300, overflowY: 'auto' }}
                 >
-                  {SUPPORTED_STOCKS
-                    .filter(ticker => 
-                      ticker.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                      STOCK_INFO[ticker].name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                      STOCK_INFO[ticker].fullName.toLowerCase().includes(searchQuery.toLowerCase())
-                    )
+                  {searchMatches
                     .map(ticker => (
                       <Box
                         key={ticker}
@@ -1282,12 +1751,12 @@ const DashboardPage = () => {
                           className="w-10 h-10 rounded-full flex items-center justify-center overflow-hidden bg-gray-100"
                         >
                           <img 
-                            src={STOCK_INFO[ticker].logo} 
+                            src={getStockInfo(ticker).logo} 
                             alt={ticker}
                             className="w-7 h-7 object-contain"
                             onError={(e) => {
                               e.target.style.display = 'none';
-                              e.target.parentElement.innerHTML = `<span style="font-weight: 700; font-size: 12px; color: ${STOCK_INFO[ticker].color}">${ticker.slice(0,2)}</span>`;
+                              e.target.parentElement.innerHTML = `<span style="font-weight: 700; font-size: 12px; color: ${getStockInfo(ticker).color}">${ticker.slice(0,2)}</span>`;
                             }}
                           />
                         </Box>
@@ -1296,12 +1765,12 @@ const DashboardPage = () => {
                             {ticker}
                           </Typography>
                           <Typography variant="caption" className="text-gray-500">
-                            {STOCK_INFO[ticker].fullName}
+                            {getStockInfo(ticker).fullName}
                           </Typography>
                         </Box>
                         <Box className="text-right">
                           <Typography variant="body2" className="font-semibold text-gray-900">
-                            ₹{(stockPrices[ticker] * USD_TO_INR).toLocaleString('en-IN', { maximumFractionDigits: 2 })}
+                            {formatMoney(stockPrices[ticker])}
                           </Typography>
                           {priceChanges[ticker] && (
                             <Typography 
@@ -1315,11 +1784,7 @@ const DashboardPage = () => {
                       </Box>
                     ))
                   }
-                  {SUPPORTED_STOCKS.filter(ticker => 
-                    ticker.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    STOCK_INFO[ticker].name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    STOCK_INFO[ticker].fullName.toLowerCase().includes(searchQuery.toLowerCase())
-                  ).length === 0 && (
+                  {searchMatches.length === 0 && (
                     <Box className="px-4 py-6 text-center">
                       <Typography variant="body2" className="text-gray-500">
                         No stocks found matching "{searchQuery}"
@@ -1332,11 +1797,48 @@ const DashboardPage = () => {
           </Box>
 
           <Box className="flex items-center gap-2 md:gap-4">
-            <Box className="hidden sm:flex items-center gap-2 text-xs md:text-sm bg-green-50 text-green-700 px-2 md:px-3 py-1 rounded-full">
-              <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
-              <span>Live</span>
-              <span className="hidden md:inline text-gray-400">• {currentTime.toLocaleTimeString('en-IN')}</span>
-            </Box>
+            <Tooltip title={getMarketStatusHint(marketStatus)}>
+              <Box className={`hidden sm:flex items-center gap-2 text-xs md:text-sm px-2 md:px-3 py-1 rounded-full ${sessionStyle.chip}`}>
+                <span className={`w-2 h-2 rounded-full ${sessionStyle.dot}`}></span>
+                <span>{sessionStyle.label}</span>
+                <span className="hidden md:inline text-gray-400">• {currentTime.toLocaleTimeString('en-IN')}</span>
+              </Box>
+            </Tooltip>
+
+            {STREAM_HEALTH_STYLES[streamHealth] && !replayActive && (
+              <Tooltip title={STREAM_HEALTH_STYLES[streamHealth].hint}>
+                <Box className={`flex items-center gap-2 text-xs md:text-sm px-2 md:px-3 py-1 rounded-full ${STREAM_HEALTH_STYLES[streamHealth].chip}`}>
+                  <span className={`w-2 h-2 rounded-full ${STREAM_HEALTH_STYLES[streamHealth].dot}`}></span>
+                  <span>{STREAM_HEALTH_STYLES[streamHealth].label}</span>
+                </Box>
+              </Tooltip>
+            )}
+
+            {indexTicker && stockPrices[indexTicker] !== undefined && (
+              <Tooltip title={`${marketIndex.name} (${marketIndex.weighting === 'equal' ? 'equal' : 'market-cap'} weighted) - change since the session open`}>
+                <Box className="hidden md:flex items-center gap-2 text-xs md:text-sm px-2 md:px-3 py-1 rounded-full bg-gray-50 text-gray-700">
+                  <span className="font-semibold">{indexTicker}</span>
+                  <span>{stockPrices[indexTicker].toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                  {priceChanges[indexTicker] && (
+                    <span className={priceChanges[indexTicker].isPositive ? 'text-green-600' : 'text-red-600'}>
+                      {priceChanges[indexTicker].isPositive ? '+' : ''}{priceChanges[indexTicker].percent.toFixed(2)}%
+                    </span>
+                  )}
+                </Box>
+              </Tooltip>
+            )}
+
+            <Tooltip title="Replay market">
+              <span>
+                <IconButton
+                  size="small"
+                  onClick={() => setReplayDialogOpen(true)}
+                  disabled={!isConnected || replayActive}
+                >
+                  <History sx={{ color: replayActive ? '#d97706' : '#64748b', fontSize: 22 }} />
+                </IconButton>
+              </span>
+            </Tooltip>
             
             <IconButton 
               size="small"
@@ -1450,6 +1952,9 @@ const DashboardPage = () => {
           </Box>
         </Box>
 
+        {/* Replay Controls */}
+        {replayActive && <ReplayBar replay={replay} onAction={handleReplayAction} />}
+
         {/* Dashboard Content */}
         <Box className="flex-1 p-3 md:p-6 overflow-auto">
           
@@ -1466,8 +1971,8 @@ const DashboardPage = () => {
             
                 <Box className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3 md:gap-4">
                   {portfolioStocks.length > 0 ? portfolioStocks.map((ticker) => {
-                    const info = STOCK_INFO[ticker];
-                    const priceINR = (stockPrices[ticker] || INITIAL_STOCK_PRICES[ticker]) * USD_TO_INR;
+                    const info = getStockInfo(ticker);
+                    const price = stockPrices[ticker] || info.basePrice;
                     const change = priceChanges[ticker] || { percent: 0, isPositive: true };
                 const history = priceHistory[ticker] || [];
                 
@@ -1490,9 +1995,12 @@ const DashboardPage = () => {
                           />
                         </Box>
                         <Box>
-                          <Typography variant="subtitle2" className="font-semibold text-gray-800">
-                            {info.name}
-                          </Typography>
+                          <Box className="flex items-center gap-2">
+                            <Typography variant="subtitle2" className="font-semibold text-gray-800">
+                              {info.name}
+                            </Typography>
+                            {halts[ticker] && <HaltBadge halt={halts[ticker]} />}
+                          </Box>
                           <Typography variant="caption" className="text-gray-400">
                             Subscribed
                           </Typography>
@@ -1507,7 +2015,7 @@ const DashboardPage = () => {
                           Current Price
                         </Typography>
                         <Typography variant="subtitle1" className="font-bold text-gray-800">
-                          {formatINR(priceINR)}
+                          {formatMoney(price)}
                         </Typography>
                       </Box>
                       <Box className="text-right">
@@ -1532,13 +2040,23 @@ const DashboardPage = () => {
                     
                     {/* Action buttons */}
                     <Box className="mt-3 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<ShoppingCart />}
+                        onClick={() => setOrderTicker(ticker)}
+                        disabled={replayActive}
+                        sx={{ textTransform: 'none', fontSize: 11, flex: 1 }}
+                      >
+                        Trade
+                      </Button>
                       <Button
                         size="small"
                         variant="outlined"
                         color="error"
                         startIcon={actionLoading === ticker ? <CircularProgress size={14} /> : <Remove />}
                         onClick={() => handleSubscriptionToggle(ticker)}
-                        disabled={actionLoading === ticker}
+                        disabled={actionLoading === ticker || Boolean(halts[ticker])}
                         sx={{ textTransform: 'none', fontSize: 11, flex: 1 }}
                       >
                         Unsubscribe
@@ -1560,6 +2078,159 @@ const DashboardPage = () => {
             </Box>
           </Box>
 
+          {/* Cash - the virtual wallet orders are paid from */}
+          <Box className="mb-6 bg-white rounded-xl border border-gray-100 shadow-sm p-4 flex items-center justify-between">
+            <Box className="flex items-center gap-3">
+              <AccountBalanceWallet sx={{ color: '#6366f1' }} />
+              <Box>
+                <Typography variant="caption" className="text-gray-500">
+                  Cash
+                </Typography>
+                <Typography variant="h6" className="font-bold text-gray-800 leading-tight">
+                  {wallet ? formatMoney(wallet.display?.balance ?? wallet.balance) : '—'}
+                </Typography>
+              </Box>
+            </Box>
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => setWalletOpen(true)}
+              sx={{ textTransform: 'none', borderRadius: '10px' }}
+            >
+              Wallet
+            </Button>
+          </Box>
+
+          {/* Positions - marked to the live price */}
+          {positions.length > 0 && (
+            <Box className="mb-6 bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+              <Box className="p-4 border-b border-gray-100 bg-gray-50">
+                <Typography variant="subtitle1" className="font-semibold text-gray-800">
+                  Positions ({positions.length})
+                </Typography>
+              </Box>
+              <Box className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500">
+                      <th className="px-4 py-2 font-medium">Stock</th>
+                      <th className="px-4 py-2 font-medium text-right">Shares</th>
+                      <th className="px-4 py-2 font-medium text-right">Avg Price</th>
+                      <th className="px-4 py-2 font-medium text-right">Price</th>
+                      <th className="px-4 py-2 font-medium text-right">Market Value</th>
+                      <th className="px-4 py-2 font-medium text-right">Unrealized P&amp;L</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {positions.map((position) => {
+                      const averagePrice = position.display?.averagePrice ?? position.averagePrice;
+                      const price = stockPrices[position.ticker] ?? position.display?.currentPrice ?? averagePrice;
+                      const unrealized = (price - averagePrice) * position.quantity;
+                      return (
+                        <tr key={position.ticker} className="border-t border-gray-100">
+                          <td className="px-4 py-2 font-semibold text-gray-800">{position.ticker}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{position.quantity}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{formatMoney(averagePrice)}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{formatMoney(price)}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{formatMoney(price * position.quantity)}</td>
+                          <td
+                            className="px-4 py-2 text-right font-semibold"
+                            style={{ color: unrealized >= 0 ? '#22c55e' : '#ef4444' }}
+                          >
+                            {unrealized >= 0 ? '+' : ''}{formatMoney(unrealized)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </Box>
+            </Box>
+          )}
+
+          {/* Orders - bracket exits are listed under their entry */}
+          {orders.length > 0 && (
+            <Box className="mb-6 bg-white rounded-xl border border-gray-100 shadow-sm overflow-hidden">
+              <Box className="p-4 border-b border-gray-100 bg-gray-50">
+                <Typography variant="subtitle1" className="font-semibold text-gray-800">
+                  Orders
+                </Typography>
+              </Box>
+              <Box className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500">
+                      <th className="px-4 py-2 font-medium">Order</th>
+                      <th className="px-4 py-2 font-medium text-right">Shares</th>
+                      <th className="px-4 py-2 font-medium text-right">Stop</th>
+                      <th className="px-4 py-2 font-medium text-right">Limit</th>
+                      <th className="px-4 py-2 font-medium text-right">Fill</th>
+                      <th className="px-4 py-2 font-medium">Status</th>
+                      <th className="px-4 py-2 font-medium">Placed</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {toOrderRows(orders).map(({ order, isChild }) => (
+                      <tr key={order.id} className={`border-t border-gray-100 ${isChild ? 'bg-gray-50/50' : ''}`}>
+                        <td className={`py-2 pr-4 text-gray-800 ${isChild ? 'pl-10' : 'pl-4'}`}>
+                          <span className="font-semibold">{order.ticker}</span>{' '}
+                          <span className={order.side === 'buy' ? 'text-green-600' : 'text-red-600'}>
+                            {order.side === 'buy' ? 'Buy' : 'Sell'}
+                          </span>{' '}
+                          <span className="text-gray-500">{order.type.replace('_', '-')}</span>
+                          {order.legRole && (
+                            <span className="ml-2 text-xs text-gray-500">{ORDER_LEG_LABELS[order.legRole]}</span>
+                          )}
+                          {order.ocoGroup && !order.parentOrderId && (
+                            <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-purple-50 text-purple-700">OCO</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-700">
+                          {order.status === 'partially_filled' ? `${order.filledQuantity} / ${order.quantity}` : order.quantity}
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-700">{order.stopPrice !== null ? formatMoney(order.display?.stopPrice ?? order.stopPrice) : '—'}</td>
+                        <td className="px-4 py-2 text-right text-gray-700">{order.limitPrice !== null ? formatMoney(order.display?.limitPrice ?? order.limitPrice) : '—'}</td>
+                        <td className="px-4 py-2 text-right text-gray-700">{order.fillPrice ? formatMoney(order.display?.fillPrice ?? order.fillPrice) : '—'}</td>
+                        <td className="px-4 py-2">
+                          <span
+                            className={`text-xs px-2 py-0.5 rounded-full ${ORDER_STATUS_STYLES[order.status] || ''}`}
+                            title={order.statusHistory?.[order.statusHistory.length - 1]?.reason || order.rejectReason || undefined}
+                          >
+                            {order.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-gray-500">{new Date(order.createdAt).toLocaleTimeString()}</td>
+                        <td className="px-2 py-1 text-right whitespace-nowrap">
+                          {LIVE_ORDER_STATUSES.includes(order.status) && (
+                            <>
+                              <Tooltip title="Modify">
+                                <IconButton size="small" onClick={() => setModifyingOrder(order)}>
+                                  <Edit fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                              <Tooltip title="Cancel">
+                                <span>
+                                  <IconButton
+                                    size="small"
+                                    onClick={() => handleCancelOrder(order)}
+                                    disabled={cancellingOrderId === order.id}
+                                  >
+                                    <Close fontSize="small" />
+                                  </IconButton>
+                                </span>
+                              </Tooltip>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Box>
+            </Box>
+          )}
+
           {/* Main Grid */}
           <Box className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
             {/* Investment Chart */}
@@ -1568,12 +2239,25 @@ const DashboardPage = () => {
                 <Typography variant="subtitle1" className="font-semibold text-gray-800">
                 Subscription Summary
                 </Typography>
-                <Box 
-                  className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-3 py-1.5 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
-                  onClick={(e) => setPeriodAnchorEl(e.currentTarget)}
-                >
-                  <span>{selectedPeriod.label}</span>
-                  <KeyboardArrowDown sx={{ fontSize: 18 }} />
+                <Box className="flex items-center gap-2">
+                  {indexTicker && (
+                    <Tooltip title={`Compare with the ${marketIndex.name}, rebased to your summary`}>
+                      <Box
+                        className={`flex items-center gap-2 text-sm px-3 py-1.5 rounded-lg cursor-pointer transition-colors ${showBenchmark ? 'bg-amber-50 text-amber-700 hover:bg-amber-100' : 'bg-gray-50 text-gray-600 hover:bg-gray-100'}`}
+                        onClick={() => setShowBenchmark(!showBenchmark)}
+                      >
+                        <span className="w-3 border-t-2 border-dashed border-amber-500" />
+                        <span>vs {indexTicker}</span>
+                      </Box>
+                    </Tooltip>
+                  )}
+                  <Box 
+                    className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-3 py-1.5 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
+                    onClick={(e) => setPeriodAnchorEl(e.currentTarget)}
+                  >
+                    <span>{selectedPeriod.label}</span>
+                    <KeyboardArrowDown sx={{ fontSize: 18 }} />
+                  </Box>
                 </Box>
                 <Menu
                   anchorEl={periodAnchorEl}
@@ -1611,7 +2295,7 @@ const DashboardPage = () => {
                       Total Value
                     </Typography>
                     <Typography variant="h6" className="font-bold text-gray-800">
-                      {formatINR(subscriptionMetrics.totalValue)}
+                      {formatMoney(subscriptionMetrics.totalValue)}
                     </Typography>
                   </Box>
                   <Box>
@@ -1639,9 +2323,13 @@ const DashboardPage = () => {
                 <Box style={{ height: '280px', width: '100%' }}>
                   <InvestmentChart 
                     data={investmentHistory} 
+                    benchmark={benchmarkHistory}
+                    benchmarkLabel={indexTicker}
                     hoveredPoint={hoveredChartPoint}
                     onHover={setHoveredChartPoint}
                     period={selectedPeriod}
+                    formatMoney={formatMoney}
+                    formatMoneyCompact={formatMoneyCompact}
                   />
                 </Box>
               </Box>
@@ -1672,8 +2360,8 @@ const DashboardPage = () => {
                 )}
 
                 {subscribedStocks.map((ticker) => {
-                  const info = STOCK_INFO[ticker];
-                  const priceINR = (stockPrices[ticker] || INITIAL_STOCK_PRICES[ticker]) * USD_TO_INR;
+                  const info = getStockInfo(ticker);
+                  const price = stockPrices[ticker] || info.basePrice;
                   const change = priceChanges[ticker] || { percent: 0, isPositive: true };
                   
                   return (
@@ -1701,6 +2389,7 @@ const DashboardPage = () => {
                             <span className="text-[10px] bg-blue-100 text-blue-600 px-1.5 py-0.5 rounded">
                               Subscribed
                             </span>
+                            {halts[ticker] && <HaltBadge halt={halts[ticker]} />}
                           </Box>
                           <Typography variant="caption" className="text-gray-400">
                             {info.sector}
@@ -1711,7 +2400,7 @@ const DashboardPage = () => {
                       <Box className="flex items-center gap-2 md:gap-3">
                         <Box className="text-right">
                           <Typography variant="body2" className="font-semibold text-gray-800">
-                            {formatINR(priceINR)}
+                            {formatMoney(price)}
                           </Typography>
                           <Typography 
                             variant="caption" 
@@ -1725,7 +2414,7 @@ const DashboardPage = () => {
                           <IconButton
                             size="small"
                             onClick={() => handleSubscriptionToggle(ticker)}
-                            disabled={actionLoading === ticker}
+                            disabled={actionLoading === ticker || Boolean(halts[ticker])}
                             sx={{
                               bgcolor: '#fef2f2',
                               color: '#ef4444',
@@ -1770,7 +2459,7 @@ const DashboardPage = () => {
               <Box className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4 mb-6">
                 <Box className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
                   <Typography variant="caption" className="text-gray-500">Total Stocks</Typography>
-                  <Typography variant="h5" className="font-bold text-gray-800">{SUPPORTED_STOCKS.length}</Typography>
+                  <Typography variant="h5" className="font-bold text-gray-800">{supportedStocks.length}</Typography>
                 </Box>
                 <Box className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
                   <Typography variant="caption" className="text-gray-500">Subscribed</Typography>
@@ -1779,13 +2468,13 @@ const DashboardPage = () => {
                 <Box className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
                   <Typography variant="caption" className="text-gray-500">Gainers</Typography>
                   <Typography variant="h5" className="font-bold text-green-600">
-                    {SUPPORTED_STOCKS.filter(t => priceChanges[t]?.isPositive).length}
+                    {supportedStocks.filter(t => priceChanges[t]?.isPositive).length}
                   </Typography>
                 </Box>
                 <Box className="bg-white rounded-xl p-4 border border-gray-100 shadow-sm">
                   <Typography variant="caption" className="text-gray-500">Losers</Typography>
                   <Typography variant="h5" className="font-bold text-red-600">
-                    {SUPPORTED_STOCKS.filter(t => priceChanges[t] && !priceChanges[t].isPositive).length}
+                    {supportedStocks.filter(t => priceChanges[t] && !priceChanges[t].isPositive).length}
                   </Typography>
                 </Box>
               </Box>
@@ -1809,28 +2498,33 @@ const DashboardPage = () => {
                 <Box className="divide-y divide-gray-100">
                   {/* Table Head */}
                   <Box className="hidden md:grid grid-cols-12 gap-4 px-4 py-3 bg-gray-50 text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    <Box className="col-span-4">Stock</Box>
+                    <Box className="col-span-3">Stock</Box>
                     <Box className="col-span-2 text-right">Price</Box>
+                    <Box className="col-span-2 text-right">Bid / Ask</Box>
                     <Box className="col-span-2 text-right">Change</Box>
-                    <Box className="col-span-2 text-center">Status</Box>
+                    <Box className="col-span-1 text-center">Status</Box>
                     <Box className="col-span-2 text-center">Action</Box>
                   </Box>
 
                   {/* Stock Rows */}
-                  {SUPPORTED_STOCKS.map((ticker) => {
-                    const info = STOCK_INFO[ticker];
-                    const priceINR = (stockPrices[ticker] || INITIAL_STOCK_PRICES[ticker]) * USD_TO_INR;
+                  {supportedStocks.map((ticker) => {
+                    const info = getStockInfo(ticker);
+                    const price = stockPrices[ticker] || info.basePrice;
                     const change = priceChanges[ticker] || { percent: 0, isPositive: true };
                     const isSubscribed = subscribedStocks.includes(ticker);
                     const history = priceHistory[ticker] || [];
+                    const quote = stockData[ticker];
                     
                     return (
                       <Box 
                         key={ticker}
                         className="grid grid-cols-1 md:grid-cols-12 gap-2 md:gap-4 p-4 hover:bg-gray-50 transition-colors items-center"
                       >
-                        {/* Stock Info */}
-                        <Box className="col-span-1 md:col-span-4 flex items-center gap-3">
+                        {/* Stock Info - opens the market depth */}
+                        <Box
+                          className="col-span-1 md:col-span-3 flex items-center gap-3 cursor-pointer"
+                          onClick={() => setDetailTicker(ticker)}
+                        >
                           <Box className="w-12 h-12 rounded-xl bg-gray-50 flex items-center justify-center overflow-hidden border border-gray-200">
                             <img 
                               src={info.logo} 
@@ -1852,6 +2546,7 @@ const DashboardPage = () => {
                                   SUBSCRIBED
                                 </span>
                               )}
+                              {halts[ticker] && <HaltBadge halt={halts[ticker]} />}
                             </Box>
                             <Typography variant="body2" className="text-gray-500">
                               {info.fullName}
@@ -1866,7 +2561,18 @@ const DashboardPage = () => {
                         <Box className="md:col-span-2 flex md:justify-end items-center gap-2">
                           <Typography variant="caption" className="text-gray-400 md:hidden">Price:</Typography>
                           <Typography variant="body1" className="font-bold text-gray-800">
-                            {formatINR(priceINR)}
+                            {formatMoney(price)}
+                          </Typography>
+                        </Box>
+
+                        {/* Bid / Ask */}
+                        <Box className="md:col-span-2 flex md:flex-col md:items-end gap-2 md:gap-0">
+                          <Typography variant="caption" className="text-gray-400 md:hidden">Bid / Ask:</Typography>
+                          <Typography variant="body2" className="font-semibold text-green-600">
+                            {quote?.bid !== undefined ? formatMoney(quote.display?.bid ?? quote.bid) : '—'}
+                          </Typography>
+                          <Typography variant="body2" className="font-semibold text-red-600">
+                            {quote?.ask !== undefined ? formatMoney(quote.display?.ask ?? quote.ask) : '—'}
                           </Typography>
                         </Box>
 
@@ -1894,7 +2600,7 @@ const DashboardPage = () => {
                         </Box>
 
                         {/* Status / Mini Chart */}
-                        <Box className="md:col-span-2 flex justify-center items-center">
+                        <Box className="md:col-span-1 flex justify-center items-center">
                           <Box className="w-20 h-10">
                             <MiniChart data={history} isPositive={change.isPositive} ticker={ticker} />
                           </Box>
@@ -1908,7 +2614,7 @@ const DashboardPage = () => {
                             color={subscribedStocks.includes(ticker) ? 'error' : 'primary'}
                             startIcon={actionLoading === ticker ? <CircularProgress size={14} color="inherit" /> : (subscribedStocks.includes(ticker) ? <Remove /> : <Add />)}
                             onClick={() => handleSubscriptionToggle(ticker)}
-                            disabled={actionLoading === ticker}
+                            disabled={actionLoading === ticker || Boolean(halts[ticker])}
                             sx={{ 
                               textTransform: 'none', 
                               fontSize: 12,
@@ -1970,7 +2676,7 @@ const DashboardPage = () => {
                   <Box className="bg-gray-50 rounded-lg p-4">
                     <Typography variant="caption" className="text-gray-500">Total Value</Typography>
                     <Typography variant="h6" className="font-bold text-gray-800">
-                      {formatINR(subscriptionMetrics.totalValue)}
+                      {formatMoney(subscriptionMetrics.totalValue)}
                     </Typography>
                   </Box>
                   <Box className="bg-gray-50 rounded-lg p-4">
@@ -1988,6 +2694,28 @@ const DashboardPage = () => {
                   </Box>
                 </Box>
 
+                <Box className="mt-6 pt-6 border-t border-gray-200">
+                  <Typography variant="subtitle2" className="font-semibold text-gray-800 mb-1">
+                    Display Currency
+                  </Typography>
+                  <Typography variant="caption" className="text-gray-500 block mb-3">
+                    Prices are quoted in USD and converted at live exchange rates
+                  </Typography>
+                  <TextField
+                    select
+                    size="small"
+                    value={currency}
+                    onChange={(e) => handleCurrencyChange(e.target.value)}
+                    sx={{ minWidth: 160 }}
+                  >
+                    {currencies.map((code) => (
+                      <MenuItem key={code} value={code}>
+                        {code}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Box>
+
                 <Box className="mt-6 pt-6 border-t border-gray-200">
                   <Button
                     variant="outlined"
@@ -2122,7 +2850,7 @@ const DashboardPage = () => {
                     <Box
                       className="w-11 h-11 rounded-xl flex items-center justify-center flex-shrink-0"
                       sx={{
-                        background: notification.type === 'purchase' 
+                        background: notification.type === 'purchase' || notification.type === 'sale'
                           ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)'
                           : notification.isPositive 
                             ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)'
@@ -2132,7 +2860,7 @@ const DashboardPage = () => {
                           : '0 4px 12px rgba(239, 68, 68, 0.25)'
                       }}
                     >
-                      {notification.type === 'purchase' ? (
+                      {notification.type === 'purchase' || notification.type === 'sale' ? (
                         <ShoppingCart sx={{ fontSize: 20, color: 'white' }} />
                       ) : (
                         notification.isPositive ? (
@@ -2147,7 +2875,7 @@ const DashboardPage = () => {
                     <Box className="flex-1 min-w-0">
                       <Box className="flex items-center gap-2 mb-1">
                         <Typography variant="body2" sx={{ fontWeight: 600, color: 'white' }}>
-                          {notification.type === 'purchase' ? 'Purchase Successful' : 'Price Alert'}
+                          {notification.type === 'purchase' ? 'Purchase Successful' : notification.type === 'sale' ? 'Sale Completed' : 'Price Alert'}
                         </Typography>
                         {!notification.read && (
                           <Box 
@@ -2159,7 +2887,7 @@ const DashboardPage = () => {
                       <Typography variant="body2" sx={{ color: '#94a3b8', mb: 1, lineHeight: 1.5 }}>
                         {notification.message}
                       </Typography>
-                      {notification.type === 'purchase' && notification.totalCost && (
+                      {(notification.type === 'purchase' || notification.type === 'sale') && notification.totalCost && (
                         <Box 
                           sx={{ 
                             display: 'inline-block',
@@ -2171,7 +2899,7 @@ const DashboardPage = () => {
                           }}
                         >
                           <Typography variant="caption" sx={{ color: '#34d399', fontWeight: 600 }}>
-                            Total: {formatINR(notification.totalCost)}
+                            Total: {formatMoney(notification.totalCost, notification.currency || 'INR')}
                           </Typography>
                         </Box>
                       )}
@@ -2186,7 +2914,7 @@ const DashboardPage = () => {
                             }}
                           >
                             <Typography variant="caption" sx={{ color: '#94a3b8' }}>
-                              Current: <span style={{ color: '#10b981', fontWeight: 600 }}>{formatINR(notification.currentPrice)}</span>
+                              Current: <span style={{ color: '#10b981', fontWeight: 600 }}>{formatMoney(notification.currentPrice, notification.currency || 'INR')}</span>
                             </Typography>
                           </Box>
                           <Box 
@@ -2198,7 +2926,7 @@ const DashboardPage = () => {
                             }}
                           >
                             <Typography variant="caption" sx={{ color: '#94a3b8' }}>
-                              Buy: <span style={{ color: '#f59e0b', fontWeight: 600 }}>{formatINR(notification.buyPrice)}</span>
+                              Buy: <span style={{ color: '#f59e0b', fontWeight: 600 }}>{formatMoney(notification.buyPrice, notification.currency || 'INR')}</span>
                             </Typography>
                           </Box>
                         </Box>
@@ -2256,6 +2984,48 @@ const DashboardPage = () => {
         </DialogContent>
       </Dialog>
 
+      {/* Market Depth and Time & Sales */}
+      <StockDetailDialog
+        key={detailTicker || 'closed'}
+        ticker={detailTicker}
+        info={detailTicker ? getStockInfo(detailTicker) : null}
+        liveBook={detailTicker ? orderBooks[detailTicker] : null}
+        liveTrades={detailTicker ? trades[detailTicker] : null}
+        onClose={() => setDetailTicker(null)}
+        formatPrice={formatUsd}
+      />
+
+      {/* Market Replay */}
+      <ReplayDialog
+        open={replayDialogOpen}
+        onClose={() => setReplayDialogOpen(false)}
+        onStart={handleStartReplay}
+      />
+
+      <WalletDialog
+        open={walletOpen}
+        wallet={wallet}
+        formatMoney={formatMoney}
+        onClose={() => setWalletOpen(false)}
+        onTransfer={handleTransfer}
+      />
+
+      <ModifyOrderDialog
+        order={modifyingOrder}
+        onClose={() => setModifyingOrder(null)}
+        onSubmit={handleModifyOrder}
+      />
+
+      <OrderDialog
+        open={Boolean(orderTicker)}
+        ticker={orderTicker}
+        quote={orderTicker ? stockData[orderTicker] : null}
+        held={positions.find((position) => position.ticker === orderTicker)?.quantity || 0}
+        formatMoney={formatMoney}
+        onClose={() => setOrderTicker(null)}
+        onSubmit={handlePlaceOrder}
+      />
+
       {/* Snackbar */}
       <Snackbar
         open={snackbar.open}
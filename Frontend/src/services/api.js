@@ -35,6 +35,13 @@ const api = axios.create({
 let isRefreshing = false;
 let failedQueue = [];
 
+// Called with the new access token whenever it is refreshed (e.g. to re-authenticate the live socket)
+const tokenListeners = new Set();
+
+const notifyTokenRefresh = (token) => {
+  tokenListeners.forEach((listener) => listener(token));
+};
+
 const processQueue = (error, token = null) => {
   failedQueue.forEach(prom => {
     if (error) {
@@ -118,6 +125,7 @@ api.interceptors.response.use(
             originalRequest.headers.Authorization = `Bearer ${accessToken}`;
 
             processQueue(null, accessToken);
+            notifyTokenRefresh(accessToken);
 
             return api(originalRequest);
           }
@@ -248,11 +256,18 @@ export const authService = {
       storage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, Date.now() + expiresIn);
       
       api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+      notifyTokenRefresh(accessToken);
     }
     
     return response.data;
   },
 
+  // Listen for refreshed access tokens - returns an unsubscribe function
+  onTokenRefresh: (listener) => {
+    tokenListeners.add(listener);
+    return () => tokenListeners.delete(listener);
+  },
+
   getMe: async () => {
     const response = await api.get('/auth/me');
     return response.data;
@@ -268,6 +283,11 @@ export const authService = {
     return response.data;
   },
 
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/auth/preferences', preferences);
+    return response.data;
+  },
+
   getCurrentUser: () => {
     const storage = getStorage();
     const user = storage.getItem(STORAGE_KEYS.USER);
@@ -332,6 +352,118 @@ export const stockService = {
   unsubscribe: async (ticker) => {
     const response = await api.post('/stocks/unsubscribe', { ticker });
     return response.data;
+  },
+
+  getCandles: async (ticker, interval, from, to) => {
+    const response = await api.get(`/stocks/${ticker}/candles`, {
+      params: { interval, from, to }
+    });
+    return response.data;
+  },
+
+  getDepth: async (ticker, levels) => {
+    const response = await api.get(`/stocks/${ticker}/depth`, {
+      params: { levels }
+    });
+    return response.data;
+  },
+
+  getTrades: async (ticker, limit, since) => {
+    const response = await api.get(`/stocks/${ticker}/trades`, {
+      params: { limit, since }
+    });
+    return response.data;
+  }
+};
+
+// Paper trading - orders fill against the simulated market
+export const tradingService = {
+  placeOrder: async (order) => {
+    const response = await api.post('/orders', order);
+    return response.data;
+  },
+
+  // Two resting orders where the first to fill cancels the other
+  placeOcoOrder: async (order) => {
+    const response = await api.post('/orders/oco', order);
+    return response.data;
+  },
+
+  // Pending, open and partially filled orders can be cancelled or changed
+  cancelOrder: async (orderId) => {
+    const response = await api.delete(`/orders/${orderId}`);
+    return response.data;
+  },
+
+  modifyOrder: async (orderId, changes) => {
+    const response = await api.patch(`/orders/${orderId}`, changes);
+    return response.data;
+  },
+
+  getOrders: async (ticker, limit) => {
+    const response = await api.get('/orders', {
+      params: { ticker, limit }
+    });
+    return response.data;
+  },
+
+  getPositions: async (includeClosed) => {
+    const response = await api.get('/positions', {
+      params: { closed: includeClosed || undefined }
+    });
+    return response.data;
+  }
+};
+
+// Virtual cash - the balance, its ledger and simulated transfers
+export const walletService = {
+  getWallet: async () => {
+    const response = await api.get('/wallet');
+    return response.data;
+  },
+
+  getTransactions: async (page, limit) => {
+    const response = await api.get('/wallet/transactions', {
+      params: { page, limit }
+    });
+    return response.data;
+  },
+
+  deposit: async (amount) => {
+    const response = await api.post('/wallet/deposit', { amount });
+    return response.data;
+  },
+
+  withdraw: async (amount) => {
+    const response = await api.post('/wallet/withdraw', { amount });
+    return response.data;
+  }
+};
+
+// Server-Sent Events price stream - the fallback when WebSockets are blocked.
+// EventSource cannot send headers, so the access token goes in the query string.
+export const streamService = {
+  openPriceStream: (token) => new EventSource(`${API_URL}/stream/prices?token=${encodeURIComponent(token)}`)
+};
+
+export const fxService = {
+  getRates: async () => {
+    const response = await api.get('/fx');
+    return response.data;
+  }
+};
+
+export const marketService = {
+  getIndex: async () => {
+    const response = await api.get('/market/index');
+    return response.data;
+  }
+};
+
+export const instrumentService = {
+  getInstruments: async () => {
+    const response = await api.get('/instruments');
+    return response.data;
   }
 };
 